@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+
+const API_KEY_HEADER = 'X-API-Key';
+const API_KEY_PARAM = 'key';
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const CORS_MAX_AGE_SECONDS = 600;
+
+/**
+ * Parse `TILE_SERVER_API_KEYS`: comma-separated keys, each optionally
+ * labelled as `label=key` so the access log can tell clients apart.
+ * Returns a Map from key to label.
+ */
+const parseApiKeys = (value) => {
+  const keys = new Map();
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry, index) => {
+      const separator = entry.indexOf('=');
+      const label = separator > 0 ? entry.slice(0, separator).trim() : `key${index + 1}`;
+      const key = separator > 0 ? entry.slice(separator + 1).trim() : entry;
+      if (key) keys.set(key, label);
+    });
+  return keys;
+};
+
+/**
+ * Parse `TILE_SERVER_CORS_ORIGINS`: `*` (the default) or a comma-separated
+ * list of origins. `null` matches pages opened from file://, which is how
+ * the Electron app loads.
+ */
+const parseCorsOrigins = (value) => {
+  const origins = String(value || '*')
+    .split(',')
+    .map((entry) => entry.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return origins.includes('*') ? '*' : new Set(origins);
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+// The presented key: `X-API-Key`, `Authorization: Bearer …` or `?key=`
+// (for Leaflet URL templates, which cannot send headers).
+const readPresentedKey = (req) => {
+  const header = req.get(API_KEY_HEADER);
+  if (header) return header.trim();
+
+  const authorization = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (authorization) return authorization[1].trim();
+
+  const param = req.query[API_KEY_PARAM];
+  return typeof param === 'string' ? param : undefined;
+};
+
+/**
+ * Reflect allowed origins in `Access-Control-Allow-Origin` and answer
+ * preflight requests. Disallowed origins get no CORS headers, so browsers
+ * keep the response from the page.
+ */
+const createCorsMiddleware = (allowedOrigins) => (req, res, next) => {
+  const origin = req.get('Origin');
+  if (allowedOrigins === '*') {
+    res.set('Access-Control-Allow-Origin', '*');
+  } else {
+    res.vary('Origin');
+    if (origin && allowedOrigins.has(origin)) {
+      res.set('Access-Control-Allow-Origin', origin);
+    }
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.set({
+      'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': `${API_KEY_HEADER}, Authorization`,
+      'Access-Control-Max-Age': String(CORS_MAX_AGE_SECONDS)
+    });
+    return res.status(204).end();
+  }
+
+  return next();
+};
+
+/**
+ * Require one of `apiKeys` on every request except `publicPaths`. The
+ * matching key's label is stored in `res.locals.client`. Without keys the
+ * middleware lets everything through.
+ */
+const createAuthMiddleware = (apiKeys, { publicPaths = [] } = {}) => {
+  const hashedKeys = Array.from(apiKeys, ([key, label]) => ({ hash: hashKey(key), label }));
+
+  return (req, res, next) => {
+    if (!hashedKeys.length || publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const presented = readPresentedKey(req);
+    if (presented) {
+      const presentedHash = hashKey(presented);
+      const match = hashedKeys.find(({ hash }) => crypto.timingSafeEqual(hash, presentedHash));
+      if (match) {
+        res.locals.client = match.label;
+        return next();
+      }
+    }
+
+    res.set('WWW-Authenticate', 'Bearer realm="tileserver"');
+    return res.status(401).json({
+      error: presented
+        ? 'Invalid API key.'
+        : `API key required: send the ${API_KEY_HEADER} header or a '${API_KEY_PARAM}' query parameter.`
+    });
+  };
+};
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// A browser request made by a page from another origin. Requests without
+// `Sec-Fetch-Site` or `Origin` (curl, scripts) are not cross-site.
+const isCrossSiteRequest = (req) => {
+  const site = req.get('Sec-Fetch-Site');
+  if (site) return site !== 'same-origin' && site !== 'none';
+  const origin = req.get('Origin');
+  return Boolean(origin) && origin !== `${req.protocol}://${req.get('Host')}`;
+};
+
+/**
+ * Guard for the admin routes, used instead of the tile keys: with
+ * `adminKey` the request must present that key (sent like an API key),
+ * without it only clients on this machine get in. Anything but GET and HEAD
+ * is refused when it comes from another site's page, so a page cannot make
+ * the browser reload the server.
+ */
+const createAdminMiddleware = (adminKey) => {
+  const adminHash = adminKey ? hashKey(adminKey) : null;
+
+  return (req, res, next) => {
+    if (!['GET', 'HEAD'].includes(req.method) && isCrossSiteRequest(req)) {
+      return res.status(403).json({ error: 'Cross-origin admin requests are not allowed.' });
+    }
+
+    if (!adminHash) {
+      if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+        return next();
+      }
+      return res.status(403).json({
+        error: 'The admin routes are only open to this machine unless TILE_SERVER_ADMIN_KEY is set.'
+      });
+    }
+
+    const presented = readPresentedKey(req);
+    if (presented && crypto.timingSafeEqual(adminHash, hashKey(presented))) {
+      res.locals.client = 'admin';
+      return next();
+    }
+
+    res.set('WWW-Authenticate', 'Bearer realm="tileserver-admin"');
+    return res.status(401).json({ error: presented ? 'Invalid admin key.' : 'Admin key required.' });
+  };
+};
+
+/**
+ * Token-bucket limit of `limit` requests per minute for each client address.
+ * A client may burst up to `limit` requests and gets 429 with Retry-After
+ * once the bucket is empty. It runs before authentication, so guessing keys
+ * is throttled too.
+ */
+const createRateLimiter = ({ limit, windowMs = RATE_LIMIT_WINDOW_MS }) => {
+  const buckets = new Map();
+  const refillPerMs = limit / windowMs;
+
+  // Buckets that have refilled completely carry no state worth keeping.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, client) => {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= limit) {
+        buckets.delete(client);
+      }
+    });
+  }, windowMs);
+  sweep.unref();
+
+  const middleware = (req, res, next) => {
+    const client = req.ip;
+    const now = Date.now();
+    const bucket = buckets.get(client) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(client, bucket);
+
+    if (bucket.tokens < 1) {
+      res.set('Retry-After', String(Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests; slow down.' });
+    }
+
+    bucket.tokens -= 1;
+    return next();
+  };
+
+  return { limit, middleware, clients: () => buckets.size, close: () => clearInterval(sweep) };
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  API_KEY_PARAM,
+  createAdminMiddleware,
+  createAuthMiddleware,
+  createCorsMiddleware,
+  createRateLimiter,
+  parseApiKeys,
+  parseCorsOrigins
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { API_KEY_PARAM } = require('./access-control');
+
+// Any spelling the query parser could read as the key: percent-encoded,
+// in another case, or with brackets (`key[]=`).
+const isKeyParam = (name) => {
+  let decoded = name;
+  try {
+    decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+  } catch (error) {
+    // Malformed escapes are compared as they are.
+  }
+  return decoded.trim().toLowerCase().replace(/\[.*$/, '') === API_KEY_PARAM;
+};
+
+/**
+ * `url` with the value of every key parameter replaced, so keys passed in
+ * the query string never end up in log files.
+ */
+const redactUrl = (url) => {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+  const params = url
+    .slice(queryStart + 1)
+    .split('&')
+    .map((param) => {
+      const name = param.split('=')[0];
+      return isKeyParam(name) ? `${name}=[redacted]` : param;
+    });
+  return `${url.slice(0, queryStart + 1)}${params.join('&')}`;
+};
+
+const openLogStream = (target) => {
+  if (target === '-') {
+    return process.stdout;
+  }
+  const filePath = path.resolve(target);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  stream.on('error', (error) => console.error(`[tileserver] Access log ${filePath} failed:`, error));
+  return stream;
+};
+
+/**
+ * Count every finished request per tileset and per client, and append one
+ * line per request to `target` (a file path, or `-` for stdout) when given:
+ *
+ *   2026-05-01T10:00:00.000Z 192.168.1.20 alice GET /tiles/satellite/12/654/1582 200 18342 4ms
+ *
+ * Routes name the tileset they served in `res.locals.tileset`; the client
+ * is the API key label from `res.locals.client`, or `-`.
+ */
+const createAccessLog = ({ target } = {}) => {
+  const stream = target ? openLogStream(target) : null;
+  const since = new Date().toISOString();
+  const totals = { requests: 0, byStatus: {} };
+  const tilesets = new Map();
+  const clients = new Map();
+
+  const record = (req, res, durationMs) => {
+    const status = res.statusCode;
+    const bytes = Number(res.getHeader('Content-Length')) || 0;
+    const client = res.locals.client || '-';
+    const statusClass = `${Math.floor(status / 100)}xx`;
+
+    totals.requests += 1;
+    totals.byStatus[statusClass] = (totals.byStatus[statusClass] || 0) + 1;
+    clients.set(client, (clients.get(client) || 0) + 1);
+
+    if (res.locals.tileset) {
+      const counts = tilesets.get(res.locals.tileset) || {
+        requests: 0,
+        served: 0,
+        notModified: 0,
+        missing: 0,
+        bytes: 0
+      };
+      counts.requests += 1;
+      if (status === 304) counts.notModified += 1;
+      else if (status === 404 || status === 204) counts.missing += 1;
+      else if (status < 300) counts.served += 1;
+      counts.bytes += bytes;
+      tilesets.set(res.locals.tileset, counts);
+    }
+
+    if (stream) {
+      stream.write(
+        `${new Date().toISOString()} ${req.ip} ${client} ${req.method} ${redactUrl(
+          req.originalUrl
+        )} ${status} ${bytes} ${Math.round(durationMs)}ms\n`
+      );
+    }
+  };
+
+  const middleware = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => record(req, res, Number(process.hrtime.bigint() - startedAt) / 1e6));
+    next();
+  };
+
+  const stats = () => ({
+    since,
+    requests: totals.requests,
+    byStatus: { ...totals.byStatus },
+    tilesets: Object.fromEntries(Array.from(tilesets, ([name, counts]) => [name, { ...counts }])),
+    clients: Object.fromEntries(clients)
+  });
+
+  return { middleware, stats };
+};
+
+module.exports = { createAccessLog, redactUrl };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+// Shared with the renderer's localStorage store.
+const { createBookmarkActions, readBookmarks } = require('../ui/bookmarks');
+
+/**
+ * Bookmarked views kept in one JSON file, `{ "bookmarks": [...] }`, in the
+ * order they were added. The file has the same shape as an export, so it
+ * can be imported elsewhere as is. Writes are queued so that overlapping
+ * changes do not drop each other.
+ */
+const createBookmarkStore = (filePath) => {
+  let queue = Promise.resolve();
+
+  const read = async () => {
+    let document;
+    try {
+      document = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Unable to read bookmarks from ${filePath}: ${error.message}`);
+    }
+
+    return readBookmarks(document?.bookmarks, (error) => {
+      console.warn(`[bookmarks] Skipping invalid bookmark: ${error.message}`);
+    });
+  };
+
+  const write = async (bookmarks) => {
+    const partialPath = `${filePath}.part`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(partialPath, JSON.stringify({ bookmarks }, null, 2));
+    await fs.promises.rename(partialPath, filePath);
+  };
+
+  const update = (change) => {
+    const result = queue.then(async () => {
+      const bookmarks = await read();
+      const value = change(bookmarks);
+      await write(bookmarks);
+      return value;
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return { filePath, list: () => queue.then(read), ...createBookmarkActions(update) };
+};
+
+module.exports = { createBookmarkStore };
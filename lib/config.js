@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Looked up in the working directory unless APP_CONFIG_FILE names a file.
+const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml', 'config.json'];
+const DEFAULT_TILE_SERVER_URL = 'http://127.0.0.1:8080/tiles/{z}/{x}/{y}';
+const TRUE_VALUES = ['1', 'true', 'on', 'yes'];
+const FALSE_VALUES = ['0', 'false', 'off', 'no'];
+
+const validateTileSources = (entries) =>
+  entries.every((entry) => entry && typeof entry === 'object' && typeof entry.urlTemplate === 'string') ||
+  'must list entries that each have a urlTemplate';
+
+/**
+ * Every setting the app, web server, tile server and downloader read, by
+ * its environment variable name. Settings without a default are left
+ * undefined so that the code using them can fall back on something else
+ * (e.g. DOWNLOAD_OUTPUT_DIR on TILE_SERVER_ROOT).
+ */
+const CONFIG_SCHEMA = {
+  // Map view
+  MAP_LAT: { type: 'number', min: -90, max: 90, default: 37.7749 },
+  MAP_LNG: { type: 'number', min: -180, max: 180, default: -122.4194 },
+  MAP_ZOOM: { type: 'number', min: 0, max: 24, default: 12 },
+  MAP_LAYERS: { type: 'json', validate: validateTileSources },
+  MAP_SEARCH_URL: { type: 'string' },
+
+  // How the app and web pages reach the tile server
+  TILE_SERVER_URL: { type: 'string', default: DEFAULT_TILE_SERVER_URL },
+  TILE_SERVER_ATTRIBUTION: { type: 'string', default: 'Local tile server' },
+  TILE_SERVER_MIN_ZOOM: { type: 'number', integer: true, min: 0, max: 24, default: 0 },
+  TILE_SERVER_MAX_ZOOM: { type: 'number', integer: true, min: 0, max: 24, default: 19 },
+  TILE_SERVER_API_KEY: { type: 'string' },
+  TILE_SERVER_EMBEDDED: { type: 'enum', values: ['off', 'on', 'auto'], default: 'off' },
+  TILE_SERVER_NODE: { type: 'string', default: 'node' },
+
+  // Tile server
+  TILE_SERVER_PORT: { type: 'number', integer: true, min: 0, max: 65535, default: 8080 },
+  TILE_SERVER_HOST: { type: 'string', default: '0.0.0.0' },
+  TILE_SERVER_ROOT: { type: 'string' },
+  TILE_SERVER_TILESETS: { type: 'string' },
+  TILE_SERVER_MBTILES: { type: 'string' },
+  TILE_SERVER_EXTENSIONS: { type: 'string' },
+  TILE_SERVER_SYNTHESIZE: { type: 'string' },
+  TILE_SERVER_OVERZOOM_LEVELS: { type: 'number', integer: true, min: 0 },
+  TILE_SERVER_UNDERZOOM_LEVELS: { type: 'number', integer: true, min: 0 },
+  TILE_SERVER_CACHE_MAX_AGE: { type: 'string' },
+  TILE_SERVER_EMPTY_TILES: { type: 'enum', values: ['404', '204', 'transparent'], default: '404' },
+  TILE_SERVER_API_KEYS: { type: 'string' },
+  TILE_SERVER_ADMIN_KEY: { type: 'string' },
+  TILE_SERVER_CORS_ORIGINS: { type: 'string' },
+  TILE_SERVER_RATE_LIMIT: { type: 'number', integer: true, min: 0, default: 0 },
+  TILE_SERVER_ACCESS_LOG: { type: 'string' },
+  TILE_SERVER_GAZETTEER: { type: 'string' },
+  TILE_SERVER_WATCH: { type: 'boolean', default: true },
+
+  // Web server
+  WEB_HOST: { type: 'string', default: '0.0.0.0' },
+  WEB_PORT: { type: 'number', integer: true, min: 0, max: 65535, default: 3000 },
+
+  // Downloads (scripts/download-tiles.js and the app's download panel)
+  DOWNLOAD_LAT: { type: 'number', min: -90, max: 90 },
+  DOWNLOAD_LON: { type: 'number', min: -180, max: 180 },
+  DOWNLOAD_RADIUS_METERS: { type: 'number', min: 0 },
+  DOWNLOAD_BBOX: { type: 'string' },
+  DOWNLOAD_GEOJSON: { type: 'string' },
+  DOWNLOAD_BUFFER_METERS: { type: 'number', min: 0 },
+  DOWNLOAD_TILES: { type: 'string' },
+  DOWNLOAD_ZOOM_LEVELS: { type: 'string' },
+  DOWNLOAD_SOURCE_URL_TEMPLATE: { type: 'string' },
+  DOWNLOAD_SOURCES: { type: 'json', validate: validateTileSources },
+  DOWNLOAD_OUTPUT_DIR: { type: 'string' },
+  DOWNLOAD_TILE_EXT: { type: 'string' },
+  DOWNLOAD_SUBDOMAINS: { type: 'string' },
+  DOWNLOAD_TILE_SIZE_KB: { type: 'number', min: 0 },
+  DOWNLOAD_CONCURRENCY: { type: 'number', integer: true, min: 1 },
+  DOWNLOAD_RETRIES: { type: 'number', integer: true, min: 0 },
+  DOWNLOAD_DELAY_MS: { type: 'number', min: 0 },
+  DOWNLOAD_MANIFEST: { type: 'string' }
+};
+
+const describeRange = ({ min, max }) => {
+  if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+  if (min !== undefined) return ` of at least ${min}`;
+  if (max !== undefined) return ` of at most ${max}`;
+  return '';
+};
+
+/**
+ * Convert one raw value (a string from the environment, or anything a
+ * config file holds) to the setting's type. Returns `{ value }` or
+ * `{ error }`.
+ */
+const coerceValue = (spec, raw) => {
+  switch (spec.type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      const valid =
+        typeof raw !== 'boolean' &&
+        Number.isFinite(value) &&
+        (!spec.integer || Number.isInteger(value)) &&
+        (spec.min === undefined || value >= spec.min) &&
+        (spec.max === undefined || value <= spec.max);
+      return valid
+        ? { value }
+        : { error: `must be ${spec.integer ? 'a whole number' : 'a number'}${describeRange(spec)}` };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: 'must be on or off' };
+    }
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      return spec.values.includes(value) ? { value } : { error: `must be one of ${spec.values.join(', ')}` };
+    }
+    case 'json': {
+      let value = raw;
+      if (typeof raw === 'string') {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          return { error: `is not valid JSON (${error.message})` };
+        }
+      }
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      const result = spec.validate ? spec.validate(value) : true;
+      return result === true ? { value } : { error: result };
+    }
+    default:
+      return raw !== null && typeof raw === 'object' ? { error: 'must be text' } : { value: String(raw) };
+  }
+};
+
+// Empty values (`KEY=` in .env, `KEY:` in YAML) count as unset.
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+const formatValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return JSON.stringify(text.length > 60 ? `${text.slice(0, 57)}...` : text);
+};
+
+const readProfileArg = (argv) => {
+  const index = argv.findIndex((arg) => arg === '--profile' || arg.startsWith('--profile='));
+  if (index === -1) return undefined;
+  return argv[index].includes('=') ? argv[index].slice('--profile='.length) : argv[index + 1];
+};
+
+/**
+ * The config file to read: APP_CONFIG_FILE, or the first of
+ * CONFIG_FILE_NAMES in `cwd`. Null when there is none.
+ */
+const resolveConfigPath = (env = process.env, cwd = process.cwd()) => {
+  if (env.APP_CONFIG_FILE) {
+    return path.resolve(cwd, env.APP_CONFIG_FILE);
+  }
+  const found = CONFIG_FILE_NAMES.map((name) => path.join(cwd, name)).find((filePath) =>
+    fs.existsSync(filePath)
+  );
+  return found || null;
+};
+
+const readConfigFile = (filePath) => {
+  let parsed;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isUnset(parsed)) return {};
+  if (!isObject(parsed)) {
+    throw new Error(`Config file ${filePath} must hold an object with settings and profiles.`);
+  }
+  const unknown = Object.keys(parsed).filter((key) => !['profile', 'settings', 'profiles'].includes(key));
+  if (unknown.length) {
+    throw new Error(
+      `Config file ${filePath} has unknown section ${unknown.join(', ')}; expected profile, settings and profiles.`
+    );
+  }
+  ['settings', 'profiles'].forEach((key) => {
+    if (!isUnset(parsed[key]) && !isObject(parsed[key])) {
+      throw new Error(`'${key}' in config file ${filePath} must be a map of names to values.`);
+    }
+  });
+  return parsed;
+};
+
+/**
+ * Resolve the configuration shared by every entry point. Each setting comes
+ * from, in order of precedence: the environment (including `.env`, which
+ * the caller loads first), the selected profile of the config file, the
+ * file's `settings`, and the schema default. The profile is `--profile
+ * <name>` in `argv`, else APP_PROFILE, else the file's `profile`.
+ *
+ * Returns `{ filePath, profile, profiles, values, sources }`, where
+ * `sources[key]` says which layer a value came from. Throws one error
+ * listing every invalid setting by name.
+ */
+const loadConfig = ({ env = process.env, argv = process.argv, cwd = process.cwd() } = {}) => {
+  const filePath = resolveConfigPath(env, cwd);
+  const file = filePath ? readConfigFile(filePath) : {};
+  const profiles = file.profiles || {};
+  const fileName = filePath ? path.basename(filePath) : null;
+
+  const profile = readProfileArg(argv) || env.APP_PROFILE || file.profile || null;
+  if (profile && !(profile in profiles)) {
+    const available = Object.keys(profiles);
+    throw new Error(
+      `Unknown config profile '${profile}'` +
+        (fileName ? ` in ${fileName}` : ' (no config file found)') +
+        (available.length ? `; choose one of ${available.join(', ')}.` : '.')
+    );
+  }
+  const profileSettings = profile ? profiles[profile] || {} : {};
+  if (typeof profileSettings !== 'object' || Array.isArray(profileSettings)) {
+    throw new Error(`Profile '${profile}' in ${fileName} must be a map of settings.`);
+  }
+
+  // Highest precedence first. Unknown names are only errors in the file,
+  // since the environment holds plenty of unrelated variables.
+  const layers = [
+    { source: 'env', label: 'the environment', settings: env, strict: false },
+    profile && {
+      source: 'profile',
+      label: `${fileName} (profile ${profile})`,
+      settings: profileSettings,
+      strict: true
+    },
+    { source: 'file', label: fileName, settings: file.settings || {}, strict: true }
+  ].filter(Boolean);
+
+  const errors = [];
+  layers
+    .filter((layer) => layer.strict)
+    .forEach((layer) => {
+      Object.keys(layer.settings)
+        .filter((key) => !CONFIG_SCHEMA[key])
+        .forEach((key) => {
+          errors.push({ key, source: layer.label, message: `${key} in ${layer.label} is not a known setting.` });
+        });
+    });
+
+  const values = {};
+  const sources = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+    const layer = layers.find((entry) => !isUnset(entry.settings[key]));
+    if (!layer) {
+      values[key] = spec.default;
+      sources[key] = 'default';
+      return;
+    }
+
+    const raw = layer.settings[key];
+    const result = coerceValue(spec, raw);
+    if (result.error) {
+      errors.push({
+        key,
+        source: layer.label,
+        message: `${key} in ${layer.label} ${result.error}; got ${formatValue(raw)}.`
+      });
+      return;
+    }
+    values[key] = result.value;
+    sources[key] = layer.source;
+  });
+
+  if (errors.length) {
+    const error = new Error(`Invalid configuration:\n  ${errors.map((entry) => entry.message).join('\n  ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return { filePath, profile, profiles: Object.keys(profiles), values, sources };
+};
+
+/**
+ * One line naming the config file and profile in use, for start-up logs.
+ */
+const describeConfig = (config) => {
+  if (!config.filePath) return 'No config file; using the environment and defaults';
+  return `Using ${config.filePath}${config.profile ? ` (profile ${config.profile})` : ''}`;
+};
+
+/**
+ * The map and tile server settings handed to the renderer, by the Electron
+ * preload and the web server alike. With `embeddedUrl`, URLs on the
+ * TILE_SERVER_URL origin point at the embedded tile server instead.
+ */
+const buildClientConfig = (values, { embeddedUrl = null } = {}) => {
+  let configuredOrigin = null;
+  try {
+    configuredOrigin = new URL(values.TILE_SERVER_URL).origin;
+  } catch (error) {
+    configuredOrigin = null;
+  }
+
+  const toEmbeddedUrl = (urlTemplate) =>
+    embeddedUrl &&
+    configuredOrigin &&
+    typeof urlTemplate === 'string' &&
+    urlTemplate.startsWith(`${configuredOrigin}/`)
+      ? `${embeddedUrl}${urlTemplate.slice(configuredOrigin.length)}`
+      : urlTemplate;
+
+  return {
+    tileServer: {
+      urlTemplate: embeddedUrl ? `${embeddedUrl}/tiles/{z}/{x}/{y}` : values.TILE_SERVER_URL,
+      attribution: values.TILE_SERVER_ATTRIBUTION,
+      minZoom: values.TILE_SERVER_MIN_ZOOM,
+      maxZoom: values.TILE_SERVER_MAX_ZOOM,
+      layers:
+        values.MAP_LAYERS &&
+        values.MAP_LAYERS.map((layer) => ({ ...layer, urlTemplate: toEmbeddedUrl(layer.urlTemplate) })),
+      searchUrl: toEmbeddedUrl(values.MAP_SEARCH_URL),
+      apiKey: values.TILE_SERVER_API_KEY,
+      embedded: Boolean(embeddedUrl)
+    },
+    initialView: {
+      lat: values.MAP_LAT,
+      lng: values.MAP_LNG,
+      zoom: values.MAP_ZOOM
+    }
+  };
+};
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  CONFIG_SCHEMA,
+  buildClientConfig,
+  describeConfig,
+  loadConfig,
+  resolveConfigPath
+};
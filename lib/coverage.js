@@ -0,0 +1,240 @@
+const { isValidTile, tileRangeForBounds } = require('./tile-math');
+
+const COVERAGE_TTL_MS = 5 * 60 * 1000;
+const MAX_WINDOW_TILES = 10_000;
+const MAX_REPORT_TILES = 1_000_000;
+
+const createRequestError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const rangeSize = (range) => (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+
+/**
+ * Which z/x/y tiles a tileset actually holds. Each zoom level is listed from
+ * every source on first use and cached as a set of `x * 2^z + y` keys for
+ * `ttlMs`, so repeated coverage queries do not rescan the disk.
+ */
+const createCoverageIndex = (tileset, { ttlMs = COVERAGE_TTL_MS } = {}) => {
+  const zoomCache = new Map();
+
+  const listZooms = () =>
+    tileset.sources
+      .flatMap((source) => (source.listZooms ? source.listZooms() : []))
+      .filter((zoom, index, zooms) => zooms.indexOf(zoom) === index)
+      .sort((a, b) => a - b);
+
+  const loadZoom = async (zoom) => {
+    const scale = 2 ** zoom;
+    const keys = new Set();
+    for (const source of tileset.sources) {
+      if (!source.listTiles) {
+        continue;
+      }
+      const tiles = await source.listTiles(zoom);
+      tiles.forEach(([x, y]) => keys.add(x * scale + y));
+    }
+    return keys;
+  };
+
+  const getZoom = (zoom, { refresh = false } = {}) => {
+    const cached = zoomCache.get(zoom);
+    if (cached && !refresh && Date.now() - cached.loadedAt < ttlMs) {
+      return cached.keys;
+    }
+
+    const keys = loadZoom(zoom);
+    zoomCache.set(zoom, { keys, loadedAt: Date.now() });
+    keys.catch(() => zoomCache.delete(zoom));
+    return keys;
+  };
+
+  /**
+   * Per-zoom tile counts and extents. When the tileset declares bounds,
+   * `expected` is the number of tiles in that rectangle and `ratio` the
+   * share of them present.
+   */
+  const summary = async ({ refresh = false } = {}) => {
+    const zooms = [];
+
+    for (const zoom of listZooms()) {
+      const keys = await getZoom(zoom, { refresh });
+      const scale = 2 ** zoom;
+      const extent = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+      keys.forEach((key) => {
+        const x = Math.floor(key / scale);
+        const y = key - x * scale;
+        extent.minX = Math.min(extent.minX, x);
+        extent.maxX = Math.max(extent.maxX, x);
+        extent.minY = Math.min(extent.minY, y);
+        extent.maxY = Math.max(extent.maxY, y);
+      });
+
+      const entry = { zoom, tiles: keys.size, extent: keys.size ? extent : null };
+      if (tileset.bounds) {
+        entry.expected = rangeSize(tileRangeForBounds(tileset.bounds, zoom));
+        entry.ratio = entry.expected ? Math.min(keys.size / entry.expected, 1) : 0;
+      }
+      zooms.push(entry);
+    }
+
+    return { tileset: tileset.name, bounds: tileset.bounds, zooms };
+  };
+
+  /**
+   * Present and missing `[x, y]` tiles inside `bounds` at one zoom level.
+   */
+  const query = async (zoom, bounds, { refresh = false } = {}) => {
+    const range = tileRangeForBounds(bounds, zoom);
+    const total = rangeSize(range);
+    if (total > MAX_WINDOW_TILES) {
+      throw createRequestError(
+        `The window spans ${total} tiles at zoom ${zoom}; narrow the bbox to at most ${MAX_WINDOW_TILES}.`
+      );
+    }
+
+    const keys = await getZoom(zoom, { refresh });
+    const scale = 2 ** zoom;
+    const present = [];
+    const missing = [];
+
+    for (let x = range.minX; x <= range.maxX; x += 1) {
+      for (let y = range.minY; y <= range.maxY; y += 1) {
+        (keys.has(x * scale + y) ? present : missing).push([x, y]);
+      }
+    }
+
+    return { zoom, range, total, present, missing };
+  };
+
+  /**
+   * Missing `[z, x, y]` tiles inside `bounds` across `zooms`.
+   */
+  const missingTiles = async (zooms, bounds, { refresh = false } = {}) => {
+    const ranges = zooms.map((zoom) => ({ zoom, range: tileRangeForBounds(bounds, zoom) }));
+    const total = ranges.reduce((sum, { range }) => sum + rangeSize(range), 0);
+    if (total > MAX_REPORT_TILES) {
+      throw createRequestError(
+        `The report spans ${total} tiles; narrow the bbox or zoom range to at most ${MAX_REPORT_TILES}.`
+      );
+    }
+
+    const tiles = [];
+    for (const { zoom, range } of ranges) {
+      const keys = await getZoom(zoom, { refresh });
+      const scale = 2 ** zoom;
+      for (let x = range.minX; x <= range.maxX; x += 1) {
+        for (let y = range.minY; y <= range.maxY; y += 1) {
+          if (!keys.has(x * scale + y)) {
+            tiles.push([zoom, x, y]);
+          }
+        }
+      }
+    }
+
+    return { checked: total, tiles };
+  };
+
+  let usageCache = null;
+
+  /**
+   * Bytes on disk and per-zoom tile counts and sizes across all sources,
+   * cached for `ttlMs` like the coverage sets.
+   */
+  const usage = ({ refresh = false } = {}) => {
+    if (usageCache && !refresh && Date.now() - usageCache.loadedAt < ttlMs) {
+      return usageCache.result;
+    }
+
+    const load = async () => {
+      const zooms = new Map();
+      let bytes = 0;
+      for (const source of tileset.sources) {
+        if (!source.usage) continue;
+        const sourceUsage = await source.usage();
+        bytes += sourceUsage.bytes;
+        sourceUsage.zooms.forEach((entry) => {
+          const total = zooms.get(entry.zoom) || { zoom: entry.zoom, tiles: 0, bytes: 0 };
+          total.tiles += entry.tiles;
+          total.bytes += entry.bytes;
+          zooms.set(entry.zoom, total);
+        });
+      }
+
+      const sorted = Array.from(zooms.values()).sort((a, b) => a.zoom - b.zoom);
+      return {
+        tileset: tileset.name,
+        bytes,
+        tiles: sorted.reduce((sum, entry) => sum + entry.tiles, 0),
+        zooms: sorted
+      };
+    };
+
+    const result = load();
+    usageCache = { result, loadedAt: Date.now() };
+    result.catch(() => {
+      usageCache = null;
+    });
+    return result;
+  };
+
+  return {
+    listZooms,
+    summary,
+    usage,
+    query,
+    missingTiles,
+    invalidate: () => {
+      zoomCache.clear();
+      usageCache = null;
+    }
+  };
+};
+
+/**
+ * Plain-text tile list: `#` comment lines followed by one `z/x/y` per line.
+ */
+const formatTileReport = (tiles, comments = []) =>
+  [...comments.map((line) => `# ${line}`), ...tiles.map((tile) => tile.join('/'))].join('\n') +
+  '\n';
+
+/**
+ * Read a tile list written by `formatTileReport` or the JSON form of the
+ * missing-tile report (`{ tiles: [[z, x, y], ...] }`, a bare array, or
+ * `{ z, x, y }` objects). Returns `[z, x, y]` triples.
+ */
+const parseTileReport = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let entries;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    entries = (Array.isArray(parsed) ? parsed : parsed.tiles || []).map((entry) =>
+      Array.isArray(entry) ? entry : [entry.z, entry.x, entry.y]
+    );
+  } else {
+    entries = trimmed
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => line.split('/'));
+  }
+
+  return entries.map((entry, index) => {
+    const [z, x, y] = entry.map(Number);
+    if (entry.length !== 3 || !isValidTile({ z, x, y })) {
+      throw new Error(`Invalid tile entry #${index + 1}: ${JSON.stringify(entry)}`);
+    }
+    return [z, x, y];
+  });
+};
+
+module.exports = {
+  MAX_REPORT_TILES,
+  MAX_WINDOW_TILES,
+  createCoverageIndex,
+  formatTileReport,
+  parseTileReport
+};
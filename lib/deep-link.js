@@ -0,0 +1,33 @@
+const DEEP_LINK_SCHEME = 'mapdistance';
+const DEEP_LINK_PREFIX = `${DEEP_LINK_SCHEME}://open`;
+
+/**
+ * The app link for a map hash (see ui/map-hash.js), e.g.
+ * `mapdistance://open#map=14/37.7749/-122.4194&route=…`.
+ */
+const formatDeepLink = (hash) => `${DEEP_LINK_PREFIX}#${String(hash || '').replace(/^#/, '')}`;
+
+/**
+ * The map hash carried by an app link, or null when `url` is not one.
+ * Some launchers drop the `#`, so `mapdistance://open?map=…` works too.
+ */
+const deepLinkToHash = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== `${DEEP_LINK_SCHEME}:`) return null;
+  const hash = parsed.hash.slice(1) || parsed.search.slice(1);
+  return hash || null;
+};
+
+/**
+ * The first app link on a command line. Windows and Linux start the app
+ * (or a second instance of it) with the link as an argument.
+ */
+const findDeepLink = (argv) =>
+  argv.find((arg) => String(arg).startsWith(`${DEEP_LINK_SCHEME}:`)) || null;
+
+module.exports = { DEEP_LINK_SCHEME, deepLinkToHash, findDeepLink, formatDeepLink };
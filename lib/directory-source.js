@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { tileBounds } = require('./tile-math');
+
+const METADATA_FILE = 'tileset.json';
+
+const isNumericName = (name) => /^\d+$/.test(name);
+
+const listNumericDirectories = (dirPath) => {
+  try {
+    return fs
+      .readdirSync(dirPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && isNumericName(entry.name))
+      .map((entry) => Number(entry.name))
+      .sort((a, b) => a - b);
+  } catch (error) {
+    return [];
+  }
+};
+
+const readMetadataFile = (root) => {
+  const metadataPath = path.join(root, METADATA_FILE);
+  if (!fs.existsSync(metadataPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  } catch (error) {
+    console.warn(`[tileserver] Ignoring invalid ${metadataPath}:`, error.message);
+    return {};
+  }
+};
+
+/**
+ * Derive zoom range, stored formats and coarse bounds from the directory
+ * layout. Bounds come from the lowest zoom level so the scan stays cheap.
+ */
+const inspectDirectory = (root) => {
+  const zooms = listNumericDirectories(root);
+  if (!zooms.length) {
+    return { minZoom: undefined, maxZoom: undefined, formats: [], bounds: null };
+  }
+
+  const minZoom = zooms[0];
+  const maxZoom = zooms[zooms.length - 1];
+  const formats = new Set();
+  let bounds = null;
+
+  const zoomDir = path.join(root, String(minZoom));
+  listNumericDirectories(zoomDir).forEach((x) => {
+    let files = [];
+    try {
+      files = fs.readdirSync(path.join(zoomDir, String(x)));
+    } catch (error) {
+      return;
+    }
+
+    files.forEach((file) => {
+      const match = /^(\d+)\.([a-z0-9]+)$/i.exec(file);
+      if (!match) {
+        return;
+      }
+
+      formats.add(match[2].toLowerCase());
+      const extent = tileBounds({ z: minZoom, x, y: Number(match[1]) });
+      bounds = bounds
+        ? {
+            minLon: Math.min(bounds.minLon, extent.minLon),
+            minLat: Math.min(bounds.minLat, extent.minLat),
+            maxLon: Math.max(bounds.maxLon, extent.maxLon),
+            maxLat: Math.max(bounds.maxLat, extent.maxLat)
+          }
+        : extent;
+    });
+  });
+
+  return { minZoom, maxZoom, formats: Array.from(formats), bounds };
+};
+
+/**
+ * Serve tiles stored as loose `{z}/{x}/{y}.{ext}` files below `root`.
+ * An optional `tileset.json` next to the zoom folders overrides the
+ * metadata derived from the layout (name, attribution, bounds, zooms).
+ */
+const createDirectorySource = (root) => {
+  const resolvedRoot = path.resolve(root);
+  const inspected = inspectDirectory(resolvedRoot);
+  const metadata = readMetadataFile(resolvedRoot);
+
+  const getTile = async ({ z, x, y, extension }) => {
+    const tilePath = path.join(resolvedRoot, String(z), String(x), `${y}.${extension}`);
+    const normalizedTilePath = path.normalize(tilePath);
+    if (!normalizedTilePath.startsWith(resolvedRoot)) {
+      const error = new Error('Tile path escapes root directory.');
+      error.status = 403;
+      throw error;
+    }
+
+    try {
+      await fs.promises.access(normalizedTilePath, fs.constants.R_OK);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return { filePath: normalizedTilePath };
+  };
+
+  const listZooms = () => listNumericDirectories(resolvedRoot);
+
+  /**
+   * Every stored `[x, y]` at `zoom`, whatever its extension.
+   */
+  const listTiles = async (zoom) => {
+    const zoomDir = path.join(resolvedRoot, String(zoom));
+    const tiles = [];
+
+    for (const x of listNumericDirectories(zoomDir)) {
+      let files = [];
+      try {
+        files = await fs.promises.readdir(path.join(zoomDir, String(x)));
+      } catch (error) {
+        continue;
+      }
+
+      files.forEach((file) => {
+        const match = /^(\d+)\.[a-z0-9]+$/i.exec(file);
+        if (match) {
+          tiles.push([x, Number(match[1])]);
+        }
+      });
+    }
+
+    return tiles;
+  };
+
+  /**
+   * Tile count and bytes on disk per zoom level. Stats every file, so
+   * callers should cache the result.
+   */
+  const usage = async () => {
+    const zooms = [];
+    for (const zoom of listNumericDirectories(resolvedRoot)) {
+      const zoomDir = path.join(resolvedRoot, String(zoom));
+      const entry = { zoom, tiles: 0, bytes: 0 };
+
+      for (const x of listNumericDirectories(zoomDir)) {
+        const columnDir = path.join(zoomDir, String(x));
+        let files = [];
+        try {
+          files = await fs.promises.readdir(columnDir);
+        } catch (error) {
+          continue;
+        }
+
+        for (const file of files) {
+          if (!/^\d+\.[a-z0-9]+$/i.test(file)) continue;
+          try {
+            const stats = await fs.promises.stat(path.join(columnDir, file));
+            entry.tiles += 1;
+            entry.bytes += stats.size;
+          } catch (error) {
+            // Removed while scanning.
+          }
+        }
+      }
+      zooms.push(entry);
+    }
+
+    return { bytes: zooms.reduce((sum, entry) => sum + entry.bytes, 0), zooms };
+  };
+
+  const format = metadata.format || inspected.formats[0];
+  const bounds = Array.isArray(metadata.bounds)
+    ? {
+        minLon: metadata.bounds[0],
+        minLat: metadata.bounds[1],
+        maxLon: metadata.bounds[2],
+        maxLat: metadata.bounds[3]
+      }
+    : inspected.bounds;
+  const minZoom = Number.isFinite(metadata.minzoom) ? metadata.minzoom : inspected.minZoom;
+  const maxZoom = Number.isFinite(metadata.maxzoom) ? metadata.maxzoom : inspected.maxZoom;
+
+  return {
+    type: 'directory',
+    root: resolvedRoot,
+    name: metadata.name,
+    attribution: metadata.attribution,
+    format,
+    bounds,
+    minZoom,
+    maxZoom,
+    getTile,
+    listZooms,
+    listTiles,
+    usage,
+    describe: () => ({
+      type: 'directory',
+      root: resolvedRoot,
+      format,
+      bounds,
+      minZoom,
+      maxZoom
+    })
+  };
+};
+
+module.exports = { createDirectorySource, isNumericName, listNumericDirectories };
@@ -0,0 +1,448 @@
+const { tileBounds } = require('./tile-math');
+
+const EARTH_RADIUS_METERS = 6_371_008.8;
+const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_METERS) / 180;
+
+const OUTSIDE = 'outside';
+const PARTIAL = 'partial';
+const INSIDE = 'inside';
+
+const rectsOverlap = (a, b) =>
+  a.maxLon >= b.minLon && a.minLon <= b.maxLon && a.maxLat >= b.minLat && a.minLat <= b.maxLat;
+
+const boundsOfPoints = (points) => {
+  return points.reduce(
+    (acc, [lon, lat]) => ({
+      minLon: Math.min(acc.minLon, lon),
+      minLat: Math.min(acc.minLat, lat),
+      maxLon: Math.max(acc.maxLon, lon),
+      maxLat: Math.max(acc.maxLat, lat)
+    }),
+    { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity }
+  );
+};
+
+const mergeBounds = (boundsList) => {
+  return boundsList.reduce(
+    (acc, bounds) => ({
+      minLon: Math.min(acc.minLon, bounds.minLon),
+      minLat: Math.min(acc.minLat, bounds.minLat),
+      maxLon: Math.max(acc.maxLon, bounds.maxLon),
+      maxLat: Math.max(acc.maxLat, bounds.maxLat)
+    }),
+    { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity }
+  );
+};
+
+/**
+ * Liang–Barsky clip: true when the segment a→b touches the rectangle.
+ */
+const segmentIntersectsRect = ([ax, ay], [bx, by], rect) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  let t0 = 0;
+  let t1 = 1;
+
+  const clip = (p, q) => {
+    if (p === 0) {
+      return q >= 0;
+    }
+
+    const r = q / p;
+    if (p < 0) {
+      if (r > t1) return false;
+      if (r > t0) t0 = r;
+    } else {
+      if (r < t0) return false;
+      if (r < t1) t1 = r;
+    }
+    return true;
+  };
+
+  return (
+    clip(-dx, ax - rect.minLon) &&
+    clip(dx, rect.maxLon - ax) &&
+    clip(-dy, ay - rect.minLat) &&
+    clip(dy, rect.maxLat - ay)
+  );
+};
+
+const pointInRings = ([x, y], rings) => {
+  let inside = false;
+
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  });
+
+  return inside;
+};
+
+/**
+ * A polygon given as GeoJSON rings (outer ring first, then holes).
+ */
+const createPolygonArea = (rings) => {
+  const bounds = boundsOfPoints(rings[0]);
+
+  const classify = (rect) => {
+    if (!rectsOverlap(rect, bounds)) {
+      return OUTSIDE;
+    }
+
+    const crossesEdge = rings.some((ring) =>
+      ring.some((point, index) => index > 0 && segmentIntersectsRect(ring[index - 1], point, rect))
+    );
+    if (crossesEdge) {
+      return PARTIAL;
+    }
+
+    return pointInRings([rect.minLon, rect.minLat], rings) ? INSIDE : OUTSIDE;
+  };
+
+  return { bounds, classify };
+};
+
+/**
+ * Everything within `bufferMeters` of a line string. A single-point line is a
+ * circle, which is how the classic --lat/--lon/--radius area is modelled.
+ */
+const createCorridorArea = (points, bufferMeters) => {
+  const pointBounds = boundsOfPoints(points);
+  const maxAbsLat = Math.min(
+    Math.max(Math.abs(pointBounds.minLat), Math.abs(pointBounds.maxLat)) +
+      bufferMeters / METERS_PER_DEGREE,
+    89.9
+  );
+  const lonPad = bufferMeters / (METERS_PER_DEGREE * Math.cos((maxAbsLat * Math.PI) / 180));
+  const latPad = bufferMeters / METERS_PER_DEGREE;
+  const bounds = {
+    minLon: pointBounds.minLon - lonPad,
+    minLat: pointBounds.minLat - latPad,
+    maxLon: pointBounds.maxLon + lonPad,
+    maxLat: pointBounds.maxLat + latPad
+  };
+
+  const segments = points.length === 1
+    ? [[points[0], points[0]]]
+    : points.slice(1).map((point, index) => [points[index], point]);
+
+  const distanceToSegment = ([px, py], [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+  };
+
+  // An equirectangular plane in meters with longitudes scaled by `cosLat`.
+  const createPlane = (rect, cosLat) => {
+    const project = ([lon, lat]) => [lon * cosLat * METERS_PER_DEGREE, lat * METERS_PER_DEGREE];
+    const [minX, minY] = project([rect.minLon, rect.minLat]);
+    const [maxX, maxY] = project([rect.maxLon, rect.maxLat]);
+    return {
+      project,
+      corners: [
+        [minX, minY],
+        [minX, maxY],
+        [maxX, minY],
+        [maxX, maxY]
+      ],
+      distanceToRect: ([px, py]) =>
+        Math.hypot(Math.max(minX - px, 0, px - maxX), Math.max(minY - py, 0, py - maxY))
+    };
+  };
+
+  const cosOfLat = (lat) => Math.cos((lat * Math.PI) / 180);
+
+  const classify = (rect) => {
+    if (!rectsOverlap(rect, bounds)) {
+      return OUTSIDE;
+    }
+
+    // A path no longer than the buffer stays within `latPad` of the tile's
+    // rows. Scaling longitudes by the smallest cosine over that band never
+    // overstates a distance, and by the largest never understates one, so
+    // large low-zoom tiles are only pruned or filled when that is certain.
+    const lowLat = Math.max(rect.minLat - latPad, -90);
+    const highLat = Math.min(rect.maxLat + latPad, 90);
+    const lowerBound = createPlane(rect, Math.min(cosOfLat(lowLat), cosOfLat(highLat)));
+    const upperBound = createPlane(
+      rect,
+      lowLat <= 0 && highLat >= 0 ? 1 : Math.max(cosOfLat(lowLat), cosOfLat(highLat))
+    );
+
+    let touches = false;
+
+    for (const [start, end] of segments) {
+      const a = upperBound.project(start);
+      const b = upperBound.project(end);
+
+      // The buffer around one segment is convex, so all corners inside means the whole tile is.
+      if (upperBound.corners.every((corner) => distanceToSegment(corner, a, b) <= bufferMeters)) {
+        return INSIDE;
+      }
+
+      if (touches) {
+        continue;
+      }
+
+      const lowStart = lowerBound.project(start);
+      const lowEnd = lowerBound.project(end);
+      const distance = segmentIntersectsRect(start, end, rect)
+        ? 0
+        : Math.min(
+            lowerBound.distanceToRect(lowStart),
+            lowerBound.distanceToRect(lowEnd),
+            ...lowerBound.corners.map((corner) => distanceToSegment(corner, lowStart, lowEnd))
+          );
+      touches = distance <= bufferMeters;
+    }
+
+    return touches ? PARTIAL : OUTSIDE;
+  };
+
+  return { bounds, classify };
+};
+
+const createBboxArea = ({ minLon, minLat, maxLon, maxLat }) => {
+  return createPolygonArea([
+    [
+      [minLon, minLat],
+      [maxLon, minLat],
+      [maxLon, maxLat],
+      [minLon, maxLat],
+      [minLon, minLat]
+    ]
+  ]);
+};
+
+const createCircleArea = ({ lat, lon, radiusMeters }) =>
+  createCorridorArea([[lon, lat]], radiusMeters);
+
+/**
+ * The union of several areas: inside if any part contains the tile.
+ */
+const createUnionArea = (areas) => {
+  const bounds = mergeBounds(areas.map((area) => area.bounds));
+
+  const classify = (rect) => {
+    let relation = OUTSIDE;
+    for (const area of areas) {
+      const result = area.classify(rect);
+      if (result === INSIDE) {
+        return INSIDE;
+      }
+      if (result === PARTIAL) {
+        relation = PARTIAL;
+      }
+    }
+    return relation;
+  };
+
+  return { bounds, classify };
+};
+
+const collectGeometries = (geojson) => {
+  if (!geojson || typeof geojson !== 'object') {
+    return [];
+  }
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(collectGeometries);
+    case 'Feature':
+      return collectGeometries(geojson.geometry);
+    case 'GeometryCollection':
+      return (geojson.geometries || []).flatMap(collectGeometries);
+    default:
+      return [geojson];
+  }
+};
+
+/**
+ * Build a download area from GeoJSON. Polygons are used as-is; points and
+ * line strings become corridors and therefore need a buffer distance.
+ */
+const createAreaFromGeoJSON = (geojson, { bufferMeters } = {}) => {
+  const areas = [];
+  const lines = [];
+  const points = [];
+
+  collectGeometries(geojson).forEach((geometry) => {
+    switch (geometry.type) {
+      case 'Polygon':
+        areas.push(createPolygonArea(geometry.coordinates));
+        break;
+      case 'MultiPolygon':
+        geometry.coordinates.forEach((rings) => areas.push(createPolygonArea(rings)));
+        break;
+      case 'LineString':
+        lines.push(geometry.coordinates);
+        break;
+      case 'MultiLineString':
+        lines.push(...geometry.coordinates);
+        break;
+      case 'Point':
+        points.push(geometry.coordinates);
+        break;
+      case 'MultiPoint':
+        points.push(...geometry.coordinates);
+        break;
+      default:
+        throw new Error(`Unsupported GeoJSON geometry type '${geometry.type}'.`);
+    }
+  });
+
+  if (lines.length || points.length) {
+    if (!Number.isFinite(bufferMeters) || bufferMeters <= 0) {
+      throw new Error('Line and point geometries need a positive buffer distance (--buffer).');
+    }
+
+    lines.forEach((line) => areas.push(createCorridorArea(line, bufferMeters)));
+    points.forEach((point) => areas.push(createCorridorArea([point], bufferMeters)));
+  }
+
+  if (!areas.length) {
+    throw new Error('The GeoJSON does not contain any geometry.');
+  }
+
+  return areas.length === 1 ? areas[0] : createUnionArea(areas);
+};
+
+/**
+ * Tiles covering `area` at `zoom`, as per-column runs of rows. Found by
+ * walking the tile quadtree from z0 and pruning tiles fully outside the
+ * area, so huge zoom levels never enumerate the whole bounding box. Returns
+ * null, having done work in proportion to `maxTiles` only, when the area
+ * covers more tiles than that.
+ */
+const computeTileCover = (area, zoom, { maxTiles = Infinity } = {}) => {
+  const columns = new Map();
+  let counted = 0;
+
+  const addRows = (x, yStart, yEnd) => {
+    if (!columns.has(x)) {
+      columns.set(x, []);
+    }
+    columns.get(x).push([yStart, yEnd]);
+  };
+
+  const visit = (z, x, y) => {
+    if (counted > maxTiles) {
+      return;
+    }
+    const relation = area.classify(tileBounds({ z, x, y }));
+    if (relation === OUTSIDE) {
+      return;
+    }
+
+    if (relation === INSIDE || z === zoom) {
+      const scale = 2 ** (zoom - z);
+      counted += scale * scale;
+      if (counted > maxTiles) {
+        return;
+      }
+      for (let column = x * scale; column < (x + 1) * scale; column += 1) {
+        addRows(column, y * scale, (y + 1) * scale - 1);
+      }
+      return;
+    }
+
+    visit(z + 1, x * 2, y * 2);
+    visit(z + 1, x * 2, y * 2 + 1);
+    visit(z + 1, x * 2 + 1, y * 2);
+    visit(z + 1, x * 2 + 1, y * 2 + 1);
+  };
+
+  visit(0, 0, 0);
+  if (counted > maxTiles) {
+    return null;
+  }
+
+  const runs = [];
+  let total = 0;
+
+  Array.from(columns.keys())
+    .sort((a, b) => a - b)
+    .forEach((x) => {
+      const intervals = columns.get(x).sort((a, b) => a[0] - b[0]);
+      const merged = [];
+      intervals.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + 1) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          merged.push([start, end]);
+        }
+      });
+
+      merged.forEach(([yStart, yEnd]) => {
+        runs.push({ x, yStart, yEnd, offset: total });
+        total += yEnd - yStart + 1;
+      });
+    });
+
+  return { zoom, runs, total };
+};
+
+/**
+ * Cover for an explicit list of `[x, y]` tiles at `zoom`, e.g. a missing-tile
+ * report. Duplicates are dropped and consecutive rows merged into runs.
+ */
+const computeTileListCover = (tiles, zoom) => {
+  const sorted = tiles
+    .map(([x, y]) => [x, y])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const runs = [];
+  let total = 0;
+  sorted.forEach(([x, y]) => {
+    const last = runs[runs.length - 1];
+    if (last && last.x === x && y <= last.yEnd + 1) {
+      if (y === last.yEnd + 1) {
+        last.yEnd = y;
+        total += 1;
+      }
+      return;
+    }
+    runs.push({ x, yStart: y, yEnd: y, offset: total });
+    total += 1;
+  });
+
+  return { zoom, runs, total };
+};
+
+const tileAtCoverIndex = (cover, index) => {
+  let low = 0;
+  let high = cover.runs.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (cover.runs[mid].offset <= index) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const run = cover.runs[low];
+  return { z: cover.zoom, x: run.x, y: run.yStart + (index - run.offset) };
+};
+
+module.exports = {
+  createAreaFromGeoJSON,
+  createBboxArea,
+  createCircleArea,
+  createCorridorArea,
+  createPolygonArea,
+  computeTileCover,
+  computeTileListCover,
+  tileAtCoverIndex
+};
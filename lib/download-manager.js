@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createAreaFromGeoJSON, createBboxArea } = require('./download-areas');
+const {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DELAY_MS,
+  DEFAULT_EXT,
+  DEFAULT_RETRIES,
+  DEFAULT_SOURCE,
+  computeCovers,
+  createDownloadJob,
+  estimateTileSizeKb
+} = require('./tile-download');
+
+const MAX_ZOOM = 22;
+// Covers are enumerated in the main process, so requests are capped before
+// that work can stall the app.
+const MAX_DOWNLOAD_TILES = 1_000_000;
+const FINISHED_STATES = ['completed', 'incomplete', 'interrupted', 'cancelled', 'failed'];
+
+const parseSubdomains = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+/**
+ * The sources the app can download from, given the resolved config values:
+ * `DOWNLOAD_SOURCES` (a list of `{ id, name, urlTemplate, ext, subdomains,
+ * output }`), or else the single source the download-tiles script would
+ * use. Outputs default to `DOWNLOAD_OUTPUT_DIR`, then `TILE_SERVER_ROOT`,
+ * then `./tiles`.
+ */
+const resolveDownloadSources = (settings) => {
+  const defaultOutput = settings.DOWNLOAD_OUTPUT_DIR || settings.TILE_SERVER_ROOT || 'tiles';
+  const fallback = {
+    id: 'default',
+    name: 'Default source',
+    urlTemplate: settings.DOWNLOAD_SOURCE_URL_TEMPLATE || DEFAULT_SOURCE,
+    ext: settings.DOWNLOAD_TILE_EXT,
+    subdomains: settings.DOWNLOAD_SUBDOMAINS
+  };
+  const configured = settings.DOWNLOAD_SOURCES || [];
+
+  return (configured.length ? configured : [fallback]).map((source, index) => ({
+    id: String(source.id || `source-${index + 1}`),
+    name: String(source.name || source.id || `Source ${index + 1}`),
+    urlTemplate: source.urlTemplate,
+    ext: String(source.ext || DEFAULT_EXT).replace('.', ''),
+    subdomains: parseSubdomains(source.subdomains),
+    outputDir: path.resolve(source.output || defaultOutput)
+  }));
+};
+
+/**
+ * Turn the renderer's area (`{ type: 'bbox', bbox }` or
+ * `{ type: 'polygon', coordinates: [[lon, lat], …] }`) into a download area
+ * and the signature that identifies it in the job manifest.
+ */
+const resolveRequestArea = (area) => {
+  if (area && area.type === 'bbox' && area.bbox) {
+    const { minLon, minLat, maxLon, maxLat } = area.bbox;
+    if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite) || minLon >= maxLon || minLat >= maxLat) {
+      throw new Error('The rectangle is empty.');
+    }
+    return {
+      area: createBboxArea({ minLon, minLat, maxLon, maxLat }),
+      signature: { bbox: { minLon, minLat, maxLon, maxLat } }
+    };
+  }
+
+  if (area && area.type === 'polygon' && Array.isArray(area.coordinates)) {
+    const ring = area.coordinates.map(([lon, lat]) => [Number(lon), Number(lat)]);
+    if (ring.length < 3 || !ring.every((point) => point.every(Number.isFinite))) {
+      throw new Error('The polygon needs at least three points.');
+    }
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      ring.push(first);
+    }
+    return {
+      area: createAreaFromGeoJSON({ type: 'Polygon', coordinates: [ring] }),
+      signature: { polygon: crypto.createHash('sha1').update(JSON.stringify(ring)).digest('hex') }
+    };
+  }
+
+  throw new Error('Draw a rectangle or polygon to download.');
+};
+
+const resolveZoomLevels = ({ minZoom, maxZoom }) => {
+  const from = Math.floor(Number(minZoom));
+  const to = Math.floor(Number(maxZoom));
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from < 0 || to > MAX_ZOOM || from > to) {
+    throw new Error(`Choose zoom levels between 0 and ${MAX_ZOOM}, lowest first.`);
+  }
+  return Array.from({ length: to - from + 1 }, (_value, index) => from + index);
+};
+
+/**
+ * Region downloads started from the app, one at a time, on the same engine
+ * as scripts/download-tiles.js (so an interrupted download resumes from its
+ * manifest when started again). `settings` are the resolved config values.
+ * Requests are `{ area, minZoom, maxZoom, sourceId }`.
+ * `onProgress(progress)` receives the job's progress plus the source and
+ * zoom range.
+ */
+const createDownloadManager = ({
+  settings,
+  sources = resolveDownloadSources(settings),
+  onProgress = () => {}
+}) => {
+  let active = null;
+
+  const resolveRequest = (request = {}) => {
+    const source = sources.find((entry) => entry.id === request.sourceId) || sources[0];
+    const zoomLevels = resolveZoomLevels(request);
+    return { source, zoomLevels, ...resolveRequestArea(request.area) };
+  };
+
+  const describe = (entry, progress = entry.job.getProgress()) => ({
+    ...progress,
+    ...(entry.error ? { state: 'failed', error: entry.error } : {}),
+    sourceId: entry.source.id,
+    sourceName: entry.source.name,
+    zoomLevels: entry.zoomLevels,
+    outputDir: entry.source.outputDir
+  });
+
+  const listSources = () => sources.map(({ id, name, ext, outputDir }) => ({ id, name, ext, outputDir }));
+
+  /**
+   * Tile count and estimated size per zoom level, without downloading.
+   * Areas over MAX_DOWNLOAD_TILES are refused here and in `start`.
+   */
+  const estimate = (request) => {
+    const { source, zoomLevels, area } = resolveRequest(request);
+    const tileBytes = estimateTileSizeKb(source.ext) * 1024;
+    const zooms = computeCovers({ area, zoomLevels, maxTiles: MAX_DOWNLOAD_TILES }).map((cover) => ({
+      zoom: cover.zoom,
+      tiles: cover.total,
+      bytes: cover.total * tileBytes
+    }));
+    return {
+      zooms,
+      tiles: zooms.reduce((sum, entry) => sum + entry.tiles, 0),
+      bytes: zooms.reduce((sum, entry) => sum + entry.bytes, 0)
+    };
+  };
+
+  const start = (request) => {
+    if (active && !FINISHED_STATES.includes(describe(active).state)) {
+      throw new Error('A download is already running.');
+    }
+
+    const { source, zoomLevels, area, signature } = resolveRequest(request);
+    const current = { source, zoomLevels };
+    current.job = createDownloadJob({
+      area,
+      signature,
+      zoomLevels,
+      sourceTemplate: source.urlTemplate,
+      outputDir: source.outputDir,
+      tileExt: source.ext,
+      subdomains: source.subdomains,
+      maxTiles: MAX_DOWNLOAD_TILES,
+      concurrency: settings.DOWNLOAD_CONCURRENCY ?? DEFAULT_CONCURRENCY,
+      retries: settings.DOWNLOAD_RETRIES ?? DEFAULT_RETRIES,
+      delayMs: settings.DOWNLOAD_DELAY_MS ?? DEFAULT_DELAY_MS,
+      onProgress: (progress) => onProgress(describe(current, progress)),
+      onTileError: (tile, message) => {
+        console.warn(`[main] Failed ${tile.z}/${tile.x}/${tile.y}: ${message}`);
+      }
+    });
+    active = current;
+
+    console.log(`[main] Downloading ${current.job.total} tiles from ${source.name} into ${source.outputDir}`);
+    current.done = current.job.run().catch((error) => {
+      console.error('[main] Download failed:', error);
+      current.error = error.message;
+      onProgress(describe(current));
+    });
+    return describe(current);
+  };
+
+  const control = (action) => () => {
+    if (active) active.job[action]();
+    return status();
+  };
+
+  const status = () => (active ? describe(active) : null);
+
+  /**
+   * Stop the running download so that it can resume next time, and wait
+   * for its manifest to be saved.
+   */
+  const shutdown = async () => {
+    if (!active) return;
+    active.job.stop();
+    await active.done;
+  };
+
+  return {
+    listSources,
+    estimate,
+    start,
+    pause: control('pause'),
+    resume: control('resume'),
+    cancel: control('cancel'),
+    status,
+    shutdown
+  };
+};
+
+module.exports = { createDownloadManager, resolveDownloadSources };
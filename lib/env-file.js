@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+/**
+ * Load a `.env` file into `process.env` the way `dotenv.config()` does, but
+ * so that it can be loaded again: variables that were already set by the
+ * shell always win, variables the file set are updated, and ones removed
+ * from the file are unset. `load()` returns the names that changed.
+ */
+const createEnvFileLoader = (filePath = path.resolve('.env')) => {
+  const resolvedPath = path.resolve(filePath);
+  const shellKeys = new Set(Object.keys(process.env));
+  let fileValues = {};
+
+  const load = () => {
+    let parsed = {};
+    try {
+      parsed = dotenv.parse(fs.readFileSync(resolvedPath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[tileserver] Could not read ${resolvedPath}: ${error.message}`);
+        return [];
+      }
+    }
+
+    const changed = [];
+    Object.keys(fileValues).forEach((key) => {
+      if (!(key in parsed) && !shellKeys.has(key)) {
+        delete process.env[key];
+        changed.push(key);
+      }
+    });
+    Object.entries(parsed).forEach(([key, value]) => {
+      if (shellKeys.has(key) || process.env[key] === value) return;
+      process.env[key] = value;
+      changed.push(key);
+    });
+
+    fileValues = parsed;
+    return changed;
+  };
+
+  return { filePath: resolvedPath, load };
+};
+
+module.exports = { createEnvFileLoader };
@@ -0,0 +1,487 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_PREFIX_TOKENS = 5000;
+const BBOX_BOOST = 0.75;
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LON_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x'];
+const TYPE_COLUMNS = ['type', 'kind', 'class', 'category', 'feature_class'];
+const OSM_TYPE_KEYS = ['place', 'amenity', 'highway', 'shop', 'tourism', 'building', 'railway', 'natural', 'leisure'];
+
+/**
+ * Lower-case, strip accents and punctuation so "Straße", "strasse" and
+ * "STRASSE," compare equal-ish.
+ */
+const normalizeText = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const tokenize = (value) => normalizeText(value).split(' ').filter(Boolean);
+
+/**
+ * Levenshtein distance, giving up early once it exceeds `max`.
+ */
+const boundedEditDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_value, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const maxEditsFor = (token) => {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+};
+
+const toPlace = ({ name, lat, lon, type, source }) => {
+  const latitude = Number(lat);
+  const longitude = Number(lon);
+  const trimmed = String(name || '').trim();
+
+  if (!trimmed || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return { name: trimmed, lat: latitude, lon: longitude, type: type || undefined, source };
+};
+
+const parseCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+/**
+ * CSV with a header row containing `name` and latitude/longitude columns
+ * (`lat`/`latitude`, `lon`/`lng`/`longitude`). Comma, semicolon and tab
+ * delimiters are detected from the header.
+ */
+const loadCsv = async (filePath) => {
+  const source = path.basename(filePath);
+  const places = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  let columns = null;
+  let delimiter = ',';
+
+  for await (const rawLine of lines) {
+    const line = columns ? rawLine : rawLine.replace(/^\uFEFF/, '');
+    if (!line.trim()) continue;
+
+    if (!columns) {
+      delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        line.split(candidate).length > line.split(best).length ? candidate : best
+      );
+      const header = parseCsvLine(line, delimiter).map((value) => value.toLowerCase());
+      const find = (names) => header.findIndex((column) => names.includes(column));
+      columns = {
+        name: header.indexOf('name'),
+        lat: find(LAT_COLUMNS),
+        lon: find(LON_COLUMNS),
+        type: find(TYPE_COLUMNS)
+      };
+
+      if (columns.name === -1 || columns.lat === -1 || columns.lon === -1) {
+        throw new Error(`${source}: CSV header needs name, lat and lon columns.`);
+      }
+      continue;
+    }
+
+    const fields = parseCsvLine(line, delimiter);
+    const place = toPlace({
+      name: fields[columns.name],
+      lat: fields[columns.lat],
+      lon: fields[columns.lon],
+      type: columns.type === -1 ? undefined : fields[columns.type],
+      source
+    });
+    if (place) places.push(place);
+  }
+
+  return places;
+};
+
+/**
+ * A representative point for any GeoJSON geometry: the point itself, or the
+ * centre of the geometry's bounding box.
+ */
+const geometryAnchor = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') {
+    return { lon: geometry.coordinates[0], lat: geometry.coordinates[1] };
+  }
+
+  const positions = [];
+  const collect = (value) => {
+    if (Array.isArray(value) && typeof value[0] === 'number') {
+      positions.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(collect);
+    }
+  };
+  if (geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach((child) => collect(child.coordinates));
+  } else {
+    collect(geometry.coordinates);
+  }
+  if (!positions.length) return null;
+
+  const lons = positions.map((position) => position[0]);
+  const lats = positions.map((position) => position[1]);
+  return {
+    lon: (Math.min(...lons) + Math.max(...lons)) / 2,
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2
+  };
+};
+
+const featureToPlace = (feature, source) => {
+  if (!feature || feature.type !== 'Feature') return null;
+  const properties = feature.properties || {};
+  const anchor = geometryAnchor(feature.geometry);
+  if (!anchor) return null;
+
+  const type =
+    TYPE_COLUMNS.map((key) => properties[key]).find(Boolean) ||
+    OSM_TYPE_KEYS.filter((key) => properties[key]).map((key) => `${key}=${properties[key]}`)[0];
+
+  return toPlace({ name: properties.name, ...anchor, type, source });
+};
+
+const loadGeoJson = async (filePath) => {
+  const source = path.basename(filePath);
+  const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  const features = data.type === 'FeatureCollection' ? data.features || [] : [data];
+  return features.map((feature) => featureToPlace(feature, source)).filter(Boolean);
+};
+
+/**
+ * Newline-delimited GeoJSON features, e.g. from
+ * `osmium export -f geojsonseq extract.osm.pbf`.
+ */
+const loadGeoJsonSeq = async (filePath) => {
+  const source = path.basename(filePath);
+  const places = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  for await (const rawLine of lines) {
+    const line = rawLine.replace(/^[\u001e\s]+/, '').trim();
+    if (!line) continue;
+    try {
+      const place = featureToPlace(JSON.parse(line), source);
+      if (place) places.push(place);
+    } catch (error) {
+      console.warn(`[tileserver] Skipping invalid line in ${source}: ${error.message}`);
+    }
+  }
+
+  return places;
+};
+
+const decodeXmlEntities = (value) =>
+  value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (_match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+
+const readXmlAttribute = (element, name) => {
+  const match = element.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : undefined;
+};
+
+/**
+ * Named nodes and ways from an OSM XML extract (`.osm`). Ways are placed at
+ * the centre of their nodes' bounding box, so node coordinates are kept in
+ * memory while reading; convert very large extracts to GeoJSON sequences
+ * with osmium instead.
+ */
+const loadOsmXml = async (filePath) => {
+  const source = path.basename(filePath);
+  const places = [];
+  const nodeCoordinates = new Map();
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  let current = null;
+
+  const finish = () => {
+    if (!current || !current.tags.name) {
+      current = null;
+      return;
+    }
+
+    let anchor = current.anchor;
+    if (current.kind === 'way') {
+      const coordinates = current.refs.map((ref) => nodeCoordinates.get(ref)).filter(Boolean);
+      if (coordinates.length) {
+        const lats = coordinates.map(([lat]) => lat);
+        const lons = coordinates.map(([, lon]) => lon);
+        anchor = {
+          lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+          lon: (Math.min(...lons) + Math.max(...lons)) / 2
+        };
+      }
+    }
+
+    if (anchor) {
+      const typeKey = OSM_TYPE_KEYS.find((key) => current.tags[key]);
+      const place = toPlace({
+        name: current.tags.name,
+        ...anchor,
+        type: typeKey ? `${typeKey}=${current.tags[typeKey]}` : undefined,
+        source
+      });
+      if (place) places.push(place);
+    }
+    current = null;
+  };
+
+  for await (const line of lines) {
+    // OSM XML writers put one element per line.
+    for (const element of line.match(/<[^>]+>/g) || []) {
+      if (element.startsWith('<node ')) {
+        const id = readXmlAttribute(element, 'id');
+        const lat = Number(readXmlAttribute(element, 'lat'));
+        const lon = Number(readXmlAttribute(element, 'lon'));
+        nodeCoordinates.set(id, [lat, lon]);
+        current = { kind: 'node', tags: {}, anchor: { lat, lon } };
+        if (element.endsWith('/>')) finish();
+      } else if (element.startsWith('<way ')) {
+        current = { kind: 'way', tags: {}, refs: [] };
+        if (element.endsWith('/>')) finish();
+      } else if (element.startsWith('<relation ')) {
+        current = null;
+      } else if (current && element.startsWith('<tag ')) {
+        current.tags[readXmlAttribute(element, 'k')] = readXmlAttribute(element, 'v');
+      } else if (current && current.kind === 'way' && element.startsWith('<nd ')) {
+        current.refs.push(readXmlAttribute(element, 'ref'));
+      } else if (element === '</node>' || element === '</way>') {
+        finish();
+      }
+    }
+  }
+
+  return places;
+};
+
+const loadGazetteerFile = (filePath) => {
+  const lower = filePath.toLowerCase();
+  if (lower.endsWith('.csv') || lower.endsWith('.tsv') || lower.endsWith('.txt')) {
+    return loadCsv(filePath);
+  }
+  if (lower.endsWith('.geojsonl') || lower.endsWith('.geojsons') || lower.endsWith('.ndjson') || lower.endsWith('.jsonl')) {
+    return loadGeoJsonSeq(filePath);
+  }
+  if (lower.endsWith('.geojson') || lower.endsWith('.json')) {
+    return loadGeoJson(filePath);
+  }
+  if (lower.endsWith('.osm') || lower.endsWith('.xml')) {
+    return loadOsmXml(filePath);
+  }
+  return Promise.reject(
+    new Error(`${path.basename(filePath)}: unsupported gazetteer format (use CSV, GeoJSON, GeoJSON sequence or OSM XML).`)
+  );
+};
+
+const isInsideBbox = (place, bbox) =>
+  place.lon >= bbox.minLon && place.lon <= bbox.maxLon && place.lat >= bbox.minLat && place.lat <= bbox.maxLat;
+
+/**
+ * In-memory name index. Every distinct name token maps to the places that
+ * contain it; tokens are also kept sorted so prefix lookups are a binary
+ * search.
+ */
+const createGazetteerIndex = (places) => {
+  const tokenPlaces = new Map();
+  const normalizedNames = places.map((place) => normalizeText(place.name));
+
+  places.forEach((place, placeIndex) => {
+    new Set(tokenize(place.name)).forEach((token) => {
+      if (!tokenPlaces.has(token)) tokenPlaces.set(token, []);
+      tokenPlaces.get(token).push(placeIndex);
+    });
+  });
+
+  const sortedTokens = Array.from(tokenPlaces.keys()).sort();
+
+  const tokensWithPrefix = (prefix) => {
+    let low = 0;
+    let high = sortedTokens.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sortedTokens[middle] < prefix) low = middle + 1;
+      else high = middle;
+    }
+
+    const matches = [];
+    for (let index = low; index < sortedTokens.length && matches.length < MAX_PREFIX_TOKENS; index += 1) {
+      if (!sortedTokens[index].startsWith(prefix)) break;
+      matches.push(sortedTokens[index]);
+    }
+    return matches;
+  };
+
+  /**
+   * Score every place matching one query token: exact token 1, prefix 0.8
+   * (0.6 unless it is the last, still-being-typed token), fuzzy 0.6 minus
+   * 0.15 per edit.
+   */
+  const matchToken = (queryToken, isLast) => {
+    const scores = new Map();
+    const award = (token, score) => {
+      (tokenPlaces.get(token) || []).forEach((placeIndex) => {
+        if ((scores.get(placeIndex) || 0) < score) scores.set(placeIndex, score);
+      });
+    };
+
+    award(queryToken, 1);
+    tokensWithPrefix(queryToken).forEach((token) => {
+      if (token !== queryToken) award(token, isLast ? 0.8 : 0.6);
+    });
+
+    const maxEdits = maxEditsFor(queryToken);
+    if (maxEdits > 0) {
+      sortedTokens.forEach((token) => {
+        if (token === queryToken || Math.abs(token.length - queryToken.length) > maxEdits) return;
+        const distance = boundedEditDistance(queryToken, token, maxEdits);
+        if (distance > 0 && distance <= maxEdits) award(token, 0.6 - 0.15 * distance);
+      });
+    }
+
+    return scores;
+  };
+
+  /**
+   * Places matching every token of `query`, best first. Places inside
+   * `bbox` (`{ minLon, minLat, maxLon, maxLat }`) rank higher.
+   */
+  const search = (query, { limit = DEFAULT_SEARCH_LIMIT, bbox } = {}) => {
+    const queryTokens = tokenize(query);
+    if (!queryTokens.length) return [];
+
+    let combined = null;
+    queryTokens.forEach((token, index) => {
+      const scores = matchToken(token, index === queryTokens.length - 1);
+      if (!combined) {
+        combined = scores;
+        return;
+      }
+      const next = new Map();
+      combined.forEach((score, placeIndex) => {
+        if (scores.has(placeIndex)) next.set(placeIndex, score + scores.get(placeIndex));
+      });
+      combined = next;
+    });
+
+    const normalizedQuery = normalizeText(query);
+    const results = Array.from(combined, ([placeIndex, tokenScore]) => {
+      const place = places[placeIndex];
+      const name = normalizedNames[placeIndex];
+      let score = tokenScore / queryTokens.length;
+      if (name === normalizedQuery) score += 1;
+      else if (name.startsWith(normalizedQuery)) score += 0.5;
+      if (bbox && isInsideBbox(place, bbox)) score += BBOX_BOOST;
+      return { place, score };
+    });
+
+    results.sort(
+      (a, b) => b.score - a.score || a.place.name.length - b.place.name.length || a.place.name.localeCompare(b.place.name)
+    );
+
+    return results.slice(0, Math.min(Math.max(1, limit), MAX_SEARCH_LIMIT)).map(({ place, score }) => ({
+      ...place,
+      score: Number(score.toFixed(3))
+    }));
+  };
+
+  return {
+    size: places.length,
+    search
+  };
+};
+
+/**
+ * Load every gazetteer file and index them together. Files that fail to load
+ * are reported and skipped so one bad file doesn't disable search.
+ */
+const loadGazetteer = async (filePaths) => {
+  const places = [];
+  const sources = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const loaded = await loadGazetteerFile(filePath);
+      places.push(...loaded);
+      sources.push({ file: filePath, places: loaded.length });
+      console.log(`[tileserver] Loaded ${loaded.length} places from ${filePath}`);
+    } catch (error) {
+      console.error(`[tileserver] Failed to load ${filePath}: ${error.message}`);
+      sources.push({ file: filePath, error: error.message });
+    }
+  }
+
+  return { index: createGazetteerIndex(places), sources };
+};
+
+module.exports = {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  createGazetteerIndex,
+  loadGazetteer,
+  normalizeText
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { tileIntersectsBounds } = require('./tile-math');
+
+const FORMAT_ALIASES = {
+  jpeg: 'jpg'
+};
+
+const normalizeFormat = (format) => {
+  const value = String(format || '').trim().toLowerCase();
+  return FORMAT_ALIASES[value] || value;
+};
+
+const parseBounds = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const parts = String(value)
+    .split(',')
+    .map((part) => Number(part.trim()));
+
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return null;
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  return { minLon, minLat, maxLon, maxLat };
+};
+
+const parseZoom = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+/**
+ * Serve tiles from an MBTiles (SQLite) archive. MBTiles stores rows in TMS
+ * order, so the XYZ `y` requested by Leaflet is flipped before lookup.
+ */
+const createMbtilesSource = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+  const db = new Database(resolvedPath, { readonly: true, fileMustExist: true });
+
+  const metadata = Object.fromEntries(
+    db
+      .prepare('SELECT name, value FROM metadata')
+      .all()
+      .map(({ name, value }) => [name, value])
+  );
+
+  const format = normalizeFormat(metadata.format || 'png');
+  const bounds = parseBounds(metadata.bounds);
+  const minZoom = parseZoom(metadata.minzoom);
+  const maxZoom = parseZoom(metadata.maxzoom);
+
+  const selectTile = db.prepare(
+    'SELECT tile_data AS data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+  );
+
+  const getTile = async ({ z, x, y, extension }) => {
+    const zoom = Number(z);
+    const column = Number(x);
+    const row = Number(y);
+
+    if (normalizeFormat(extension) !== format) {
+      return null;
+    }
+
+    if (minZoom !== undefined && zoom < minZoom) {
+      return null;
+    }
+
+    if (maxZoom !== undefined && zoom > maxZoom) {
+      return null;
+    }
+
+    if (!tileIntersectsBounds({ z: zoom, x: column, y: row }, bounds)) {
+      return null;
+    }
+
+    const tmsRow = 2 ** zoom - 1 - row;
+    const result = selectTile.get(zoom, column, tmsRow);
+    if (!result) {
+      return null;
+    }
+
+    return { data: result.data, format };
+  };
+
+  const selectZooms = db.prepare('SELECT DISTINCT zoom_level FROM tiles ORDER BY zoom_level').pluck();
+  const selectRows = db
+    .prepare('SELECT tile_column, tile_row FROM tiles WHERE zoom_level = ?')
+    .raw();
+
+  const selectUsage = db.prepare(
+    'SELECT zoom_level AS zoom, COUNT(*) AS tiles, SUM(LENGTH(tile_data)) AS bytes FROM tiles GROUP BY zoom_level ORDER BY zoom_level'
+  );
+
+  const listZooms = () => selectZooms.all();
+
+  /**
+   * Every stored `[x, y]` at `zoom`, flipped back to XYZ rows.
+   */
+  const listTiles = async (zoom) => {
+    const flip = 2 ** zoom - 1;
+    return selectRows.all(zoom).map(([column, row]) => [column, flip - row]);
+  };
+
+  /**
+   * Tile count and tile bytes per zoom level; `bytes` is the archive's size
+   * on disk.
+   */
+  const usage = async () => ({
+    bytes: (await fs.promises.stat(resolvedPath)).size,
+    zooms: selectUsage.all()
+  });
+
+  return {
+    type: 'mbtiles',
+    filePath: resolvedPath,
+    name: metadata.name || path.basename(resolvedPath, '.mbtiles'),
+    attribution: metadata.attribution,
+    format,
+    bounds,
+    minZoom,
+    maxZoom,
+    metadata,
+    getTile,
+    listZooms,
+    listTiles,
+    usage,
+    close: () => db.close(),
+    describe: () => ({
+      type: 'mbtiles',
+      file: resolvedPath,
+      name: metadata.name || path.basename(resolvedPath, '.mbtiles'),
+      format,
+      bounds,
+      minZoom,
+      maxZoom
+    })
+  };
+};
+
+module.exports = { createMbtilesSource, normalizeFormat, parseBounds };
@@ -0,0 +1,191 @@
+const { isValidTile } = require('./tile-math');
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const MAX_TRACKED_MISSING = 5000;
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+/**
+ * A counter keyed by label set. Label names are fixed per metric so each
+ * series can be stored under its joined label values.
+ */
+const createCounter = (name, help, labelNames) => {
+  const series = new Map();
+  return {
+    inc: (labels, amount = 1) => {
+      const key = labelNames.map((label) => labels[label]).join('\u0000');
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    values: () => Array.from(series.values()),
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...Array.from(series.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+};
+
+const createHistogram = (name, help, labelNames, buckets) => {
+  const series = new Map();
+  return {
+    observe: (labels, value) => {
+      const key = labelNames.map((label) => labels[label]).join('\u0000');
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    ]
+  };
+};
+
+/**
+ * Request metrics for the tile server, rendered in the Prometheus text
+ * format by `render()`.
+ *
+ * Routes describe what they served through `res.locals`: `tileset`, `tile`
+ * (`{ z, x, y }`) and `tileMissing` when the tileset does not store a tile
+ * inside its zoom range, even if a synthetic or empty tile was sent
+ * instead. Invalid coordinates are never counted. The most requested
+ * missing tiles are tracked up to MAX_TRACKED_MISSING entries; beyond that
+ * the least requested half is forgotten.
+ */
+const createMetrics = () => {
+  const startedAt = Date.now();
+  const requests = createCounter(
+    'tileserver_http_requests_total',
+    'HTTP requests by route and status code.',
+    ['route', 'status']
+  );
+  const durations = createHistogram(
+    'tileserver_http_request_duration_seconds',
+    'Time to answer HTTP requests, by route.',
+    ['route'],
+    DURATION_BUCKETS
+  );
+  const tileRequests = createCounter(
+    'tileserver_tile_requests_total',
+    'Tile requests by tileset, zoom level and status code.',
+    ['tileset', 'zoom', 'status']
+  );
+  const tileBytes = createCounter(
+    'tileserver_tile_bytes_total',
+    'Tile bytes sent, by tileset.',
+    ['tileset']
+  );
+  const missingRequests = createCounter(
+    'tileserver_tile_missing_total',
+    'Requests for tiles the tileset does not store, by tileset and zoom level.',
+    ['tileset', 'zoom']
+  );
+  const missingTiles = new Map();
+
+  const trackMissing = (tileset, { z, x, y }) => {
+    const key = `${tileset}/${z}/${x}/${y}`;
+    missingTiles.set(key, (missingTiles.get(key) || 0) + 1);
+    if (missingTiles.size > MAX_TRACKED_MISSING) {
+      Array.from(missingTiles)
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, Math.floor(MAX_TRACKED_MISSING / 2))
+        .forEach(([stale]) => missingTiles.delete(stale));
+    }
+  };
+
+  const record = (req, res, seconds) => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const status = String(res.statusCode);
+    requests.inc({ route, status });
+    durations.observe({ route }, seconds);
+
+    const { tileset, tile } = res.locals;
+    if (!tileset || !tile || !isValidTile(tile)) return;
+
+    tileRequests.inc({ tileset, zoom: tile.z, status });
+    tileBytes.inc({ tileset }, Number(res.getHeader('Content-Length')) || 0);
+    if (res.locals.tileMissing) {
+      missingRequests.inc({ tileset, zoom: tile.z });
+      trackMissing(tileset, tile);
+    }
+  };
+
+  const middleware = (req, res, next) => {
+    const startedAtNs = process.hrtime.bigint();
+    res.on('finish', () => record(req, res, Number(process.hrtime.bigint() - startedAtNs) / 1e9));
+    next();
+  };
+
+  /**
+   * `[{ tileset, z, x, y, requests }]`, most requested first.
+   */
+  const topMissing = ({ tileset, limit = 50 } = {}) =>
+    Array.from(missingTiles)
+      .map(([key, count]) => {
+        const [name, z, x, y] = key.split('/');
+        return { tileset: name, z: Number(z), x: Number(x), y: Number(y), requests: count };
+      })
+      .filter((entry) => !tileset || entry.tileset === tileset)
+      .sort((a, b) => b.requests - a.requests)
+      .slice(0, limit);
+
+  /**
+   * Totals since start-up for the admin page.
+   */
+  const totals = () => {
+    const tiles = tileRequests.values();
+    const tileCount = tiles.reduce((sum, entry) => sum + entry.value, 0);
+    const missing = missingRequests.values().reduce((sum, entry) => sum + entry.value, 0);
+    return {
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      requests: requests.values().reduce((sum, entry) => sum + entry.value, 0),
+      tileRequests: tileCount,
+      missingTiles: missing,
+      missingRatio: tileCount ? missing / tileCount : 0,
+      bytes: tileBytes.values().reduce((sum, entry) => sum + entry.value, 0)
+    };
+  };
+
+  const render = () => {
+    const memory = process.memoryUsage();
+    return `${[
+      ...requests.render(),
+      ...durations.render(),
+      ...tileRequests.render(),
+      ...tileBytes.render(),
+      ...missingRequests.render(),
+      '# HELP tileserver_uptime_seconds Seconds since the tile server started.',
+      '# TYPE tileserver_uptime_seconds gauge',
+      `tileserver_uptime_seconds ${(Date.now() - startedAt) / 1000}`,
+      '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+      '# TYPE process_resident_memory_bytes gauge',
+      `process_resident_memory_bytes ${memory.rss}`
+    ].join('\n')}\n`;
+  };
+
+  return { middleware, render, topMissing, totals };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROUTE_EXTENSION = '.geojson';
+
+const slugify = (value) =>
+  String(value)
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .toLowerCase()
+    .slice(0, 60) || 'route';
+
+const isValidRouteId = (id) => /^[a-z0-9-]+$/.test(String(id));
+
+const routePath = (dir, id) => {
+  if (!isValidRouteId(id)) {
+    throw new Error(`Invalid route id '${id}'.`);
+  }
+  return path.join(dir, `${id}${ROUTE_EXTENSION}`);
+};
+
+/**
+ * Saved routes stored as one GeoJSON file each in `dir`. The route name is
+ * kept in the feature collection's `name` member so files stay portable.
+ */
+const createRouteLibrary = (dir) => {
+  const ensureDir = () => fs.promises.mkdir(dir, { recursive: true });
+
+  const readRoute = async (id) => {
+    const raw = await fs.promises.readFile(routePath(dir, id), 'utf8');
+    const geojson = JSON.parse(raw);
+    const stat = await fs.promises.stat(routePath(dir, id));
+    return {
+      id,
+      name: geojson.name || id,
+      savedAt: stat.mtime.toISOString(),
+      geojson
+    };
+  };
+
+  const list = async () => {
+    await ensureDir();
+    const files = await fs.promises.readdir(dir);
+    const routes = await Promise.all(
+      files
+        .filter((file) => file.endsWith(ROUTE_EXTENSION))
+        .map((file) => path.basename(file, ROUTE_EXTENSION))
+        .filter(isValidRouteId)
+        .map(async (id) => {
+          try {
+            const { geojson, ...summary } = await readRoute(id);
+            return summary;
+          } catch (error) {
+            console.warn(`[routes] Skipping unreadable route ${id}:`, error.message);
+            return null;
+          }
+        })
+    );
+
+    return routes
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  // A new route gets a file of its own: the name's slug, with a number
+  // appended while another route already has that id.
+  const createRoute = async (baseId, content) => {
+    for (let attempt = 1; ; attempt += 1) {
+      const routeId = attempt === 1 ? baseId : `${baseId}-${attempt}`;
+      try {
+        await fs.promises.writeFile(routePath(dir, routeId), content, { flag: 'wx' });
+        return routeId;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
+  };
+
+  // Saving with an `id` overwrites that route; without one, a new route is
+  // added and its id returned for later saves.
+  const save = async ({ id, name, geojson }) => {
+    if (!geojson || geojson.type !== 'FeatureCollection') {
+      throw new Error('Routes must be saved as a GeoJSON FeatureCollection.');
+    }
+
+    await ensureDir();
+    const baseId = slugify(name || geojson.name || 'route');
+    const document = { ...geojson, name: name || geojson.name || id || baseId };
+    const content = JSON.stringify(document, null, 2);
+    if (id) {
+      await fs.promises.writeFile(routePath(dir, id), content);
+      return { id, name: document.name };
+    }
+
+    return { id: await createRoute(baseId, content), name: document.name };
+  };
+
+  const remove = async (id) => {
+    try {
+      await fs.promises.unlink(routePath(dir, id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  };
+
+  return { dir, list, load: readRoute, save, remove };
+};
+
+module.exports = { createRouteLibrary };
@@ -0,0 +1,528 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const { computeTileCover, computeTileListCover, tileAtCoverIndex } = require('./download-areas');
+
+const DEFAULT_SOURCE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const DEFAULT_EXT = 'png';
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRIES = 5;
+const DEFAULT_DELAY_MS = 25;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const MANIFEST_SAVE_INTERVAL_MS = 2000;
+const PROGRESS_INTERVAL_MS = 500;
+const ESTIMATED_TILE_KB = { png: 20, jpg: 25, jpeg: 25, webp: 15 };
+
+const IMAGE_SIGNATURES = [
+  [0x89, 0x50, 0x4e, 0x47],
+  [0xff, 0xd8, 0xff],
+  [0x47, 0x49, 0x46, 0x38]
+];
+
+/**
+ * Zoom levels from `12`, `12-14`, `12,14` or an array of those, sorted and
+ * without duplicates.
+ */
+const parseZooms = (value) => {
+  if (value === undefined || value === null || value.length === 0) {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .flatMap(parseZooms)
+      .filter((zoom, index, arr) => arr.indexOf(zoom) === index)
+      .sort((a, b) => a - b);
+  }
+
+  const stringValue = String(value).trim();
+
+  if (stringValue.includes('-')) {
+    const [start, end] = stringValue.split('-').map((part) => parseInt(part, 10));
+    if (Number.isFinite(start) && Number.isFinite(end) && start <= end) {
+      const range = [];
+      for (let z = start; z <= end; z += 1) {
+        range.push(z);
+      }
+      return range;
+    }
+  }
+
+  return stringValue
+    .split(',')
+    .map((part) => parseInt(part.trim(), 10))
+    .filter(Number.isFinite);
+};
+
+const estimateTileSizeKb = (tileExt) => ESTIMATED_TILE_KB[String(tileExt).toLowerCase()] || 20;
+
+/**
+ * Per-zoom covers for an `area`, or for `tilesByZoom` (a Map from zoom to
+ * `[x, y]` pairs) when downloading an explicit tile list. Throws, without
+ * enumerating the rest, once the covers add up to more than `maxTiles`.
+ */
+const computeCovers = ({ area, tilesByZoom, zoomLevels, maxTiles = Infinity }) => {
+  let remaining = maxTiles;
+  return zoomLevels.map((zoom) => {
+    const cover = tilesByZoom
+      ? computeTileListCover(tilesByZoom.get(zoom) || [], zoom)
+      : computeTileCover(area, zoom, { maxTiles: remaining });
+    if (!cover || cover.total > remaining) {
+      throw new Error(
+        `The area covers more than ${maxTiles.toLocaleString('en-US')} tiles. ` +
+          'Choose a smaller area or fewer zoom levels.'
+      );
+    }
+    remaining -= cover.total;
+    return cover;
+  });
+};
+
+const ensureDirectory = async (dirPath) => {
+  await fs.promises.mkdir(dirPath, { recursive: true });
+};
+
+const isImageBuffer = (buffer) => {
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return true;
+  }
+
+  return IMAGE_SIGNATURES.some((signature) =>
+    signature.every((byte, index) => buffer[index] === byte)
+  );
+};
+
+/**
+ * A tile on disk counts as present when it is non-empty and starts with a
+ * known image signature; truncated or HTML error bodies are fetched again.
+ */
+const isValidTileFile = async (filePath) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    if (size === 0) {
+      return false;
+    }
+
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    return isImageBuffer(header.subarray(0, bytesRead));
+  } catch (error) {
+    return false;
+  } finally {
+    await handle?.close();
+  }
+};
+
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(date - Date.now(), 0) : undefined;
+};
+
+const backoffDelay = (attempt) => {
+  const exponential = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+  return Math.min(exponential + jitter, MAX_RETRY_DELAY_MS);
+};
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const downloadTile = async ({ url, outputPath, retries }) => {
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    let waitMs = backoffDelay(attempt);
+
+    try {
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+        if (!isRetryableStatus(response.status)) {
+          return { success: false, error: error.message };
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfter !== undefined) {
+          waitMs = Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+        }
+        throw error;
+      }
+
+      const arrayBuffer = await response.arrayBuffer();
+      const buffer = Buffer.from(arrayBuffer);
+      if (buffer.length === 0) {
+        throw new Error('Empty response body');
+      }
+
+      const partialPath = `${outputPath}.part`;
+      await ensureDirectory(path.dirname(outputPath));
+      await fs.promises.writeFile(partialPath, buffer);
+      await fs.promises.rename(partialPath, outputPath);
+
+      return { success: true, bytes: buffer.length, attempts: attempt + 1 };
+    } catch (error) {
+      lastError = error;
+      if (attempt < retries) {
+        await delay(waitMs);
+      }
+    }
+  }
+
+  return {
+    success: false,
+    error: lastError ? lastError.message || String(lastError) : 'Unknown error'
+  };
+};
+
+const createJobId = (job) => {
+  return crypto.createHash('sha1').update(JSON.stringify(job)).digest('hex').slice(0, 12);
+};
+
+const loadManifest = async (manifestPath, jobId) => {
+  try {
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    if (manifest.jobId === jobId && manifest.status !== 'completed') {
+      return manifest;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[download-tiles] Ignoring unreadable manifest ${manifestPath}: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+const saveManifest = async (manifestPath, manifest) => {
+  const partialPath = `${manifestPath}.part`;
+  manifest.updatedAt = new Date().toISOString();
+  await ensureDirectory(path.dirname(manifestPath));
+  await fs.promises.writeFile(partialPath, JSON.stringify(manifest, null, 2));
+  await fs.promises.rename(partialPath, manifestPath);
+};
+
+const renderUrl = (template, { z, x, y, s, ext }) => {
+  return template
+    .replaceAll('{z}', String(z))
+    .replaceAll('{x}', String(x))
+    .replaceAll('{y}', String(y))
+    .replaceAll('{s}', s ?? '')
+    .replaceAll('{ext}', ext);
+};
+
+/**
+ * A resumable download of every tile in `area` (or `tilesByZoom`) at
+ * `zoomLevels` into `outputDir/{z}/{x}/{y}.{tileExt}`.
+ *
+ * Tiles go through a pool of `concurrency` workers and are retried with
+ * exponential backoff (honouring HTTP 429 / Retry-After). Existing valid
+ * tiles are skipped unless `force` is set. Progress is saved to a manifest
+ * every couple of seconds; a job with the same area, zooms, source and
+ * output picks up from it. `signature` identifies the area in the manifest,
+ * and `maxTiles` refuses jobs with more tiles (see computeCovers).
+ *
+ * `run()` resolves with the final progress once the job completes, or
+ * after `stop()` (resumable later) or `cancel()` (manifest removed) once
+ * in-flight tiles finish. `pause()` and `resume()` hold the workers between
+ * tiles. `onProgress(progress)` is called at most every PROGRESS_INTERVAL_MS
+ * and on every state change; `onTileError(tile, message)` for each tile that
+ * failed all retries.
+ */
+const createDownloadJob = ({
+  area,
+  tilesByZoom,
+  signature,
+  zoomLevels,
+  sourceTemplate = DEFAULT_SOURCE,
+  outputDir,
+  tileExt = DEFAULT_EXT,
+  subdomains = [],
+  concurrency = DEFAULT_CONCURRENCY,
+  retries = DEFAULT_RETRIES,
+  delayMs = DEFAULT_DELAY_MS,
+  force = false,
+  maxTiles,
+  manifestPath,
+  onProgress = () => {},
+  onTileError = () => {}
+}) => {
+  const covers = computeCovers({ area, tilesByZoom, zoomLevels, maxTiles });
+  const total = covers.reduce((sum, cover) => sum + cover.total, 0);
+  const job = { area: signature, zoomLevels, sourceTemplate, outputDir, tileExt };
+  const jobId = createJobId(job);
+  const resolvedManifestPath = path.resolve(
+    manifestPath || path.join(outputDir, `.download-${jobId}.json`)
+  );
+
+  let manifest = null;
+  let resumed = false;
+  let alreadyDone = 0;
+  let retryQueue = [];
+  const failedTiles = [];
+  const retriesInFlight = new Set();
+  const stats = { downloaded: 0, skipped: 0, failed: 0, bytes: 0, zoom: covers[0]?.zoom };
+
+  let state = 'ready';
+  let stopping = false;
+  let cancelled = false;
+  let resumeGate = null;
+  let releaseGate = null;
+  let startedAt = 0;
+  let pausedAt = 0;
+  let pausedMs = 0;
+  let lastProgressAt = 0;
+
+  const getProgress = () => {
+    const done = Math.min(stats.downloaded + stats.skipped + stats.failed, total);
+    const elapsed = (state === 'paused' ? pausedAt : Date.now()) - startedAt - pausedMs;
+    const rate = startedAt && elapsed > 0 ? (done - alreadyDone) / (elapsed / 1000) : 0;
+    return {
+      jobId,
+      state,
+      zoom: stats.zoom,
+      total,
+      done,
+      downloaded: stats.downloaded,
+      skipped: stats.skipped,
+      failed: stats.failed,
+      bytes: stats.bytes,
+      rate,
+      etaMs: rate > 0 ? ((total - done) / rate) * 1000 : null
+    };
+  };
+
+  const emit = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastProgressAt = now;
+    onProgress(getProgress());
+  };
+
+  const setState = (next) => {
+    state = next;
+    emit(true);
+  };
+
+  /**
+   * Read the manifest of an earlier run of this job, if any.
+   */
+  const load = async () => {
+    if (manifest) {
+      return { resumed, alreadyDone, retryCount: retryQueue.length };
+    }
+
+    const previous = await loadManifest(resolvedManifestPath, jobId);
+    resumed = Boolean(previous);
+    manifest = previous || {
+      jobId,
+      job,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      zooms: Object.fromEntries(covers.map((cover) => [cover.zoom, { total: cover.total, nextIndex: 0 }])),
+      stats: { downloaded: 0, skipped: 0, failed: 0 },
+      failedTiles: []
+    };
+
+    stats.downloaded = manifest.stats.downloaded;
+    retryQueue = resumed ? manifest.failedTiles.slice() : [];
+    alreadyDone =
+      covers.reduce((sum, cover) => sum + manifest.zooms[cover.zoom].nextIndex, 0) -
+      retryQueue.length;
+    stats.skipped = Math.max(alreadyDone - stats.downloaded, 0);
+
+    return { resumed, alreadyDone, retryCount: retryQueue.length };
+  };
+
+  const run = async () => {
+    await load();
+    manifest.status = 'running';
+    startedAt = Date.now();
+    setState('running');
+
+    // Per-zoom sets of finished indices above the watermark; the watermark only
+    // advances over a contiguous run so a crash never skips unfinished tiles.
+    const finishedAhead = new Map(covers.map((cover) => [cover.zoom, new Set()]));
+
+    const markFinished = (tile) => {
+      if (tile.index === undefined) {
+        retriesInFlight.delete(tile);
+        return;
+      }
+
+      const zoomState = manifest.zooms[tile.z];
+      const ahead = finishedAhead.get(tile.z);
+      ahead.add(tile.index);
+      while (ahead.has(zoomState.nextIndex)) {
+        ahead.delete(zoomState.nextIndex);
+        zoomState.nextIndex += 1;
+      }
+    };
+
+    function* pendingTiles() {
+      while (retryQueue.length > 0) {
+        const tile = retryQueue.shift();
+        retriesInFlight.add(tile);
+        yield tile;
+      }
+
+      for (const cover of covers) {
+        for (let index = manifest.zooms[cover.zoom].nextIndex; index < cover.total; index += 1) {
+          yield { ...tileAtCoverIndex(cover, index), index };
+        }
+      }
+    }
+
+    const queue = pendingTiles();
+    let lastSavedAt = Date.now();
+    let pendingSave = Promise.resolve();
+
+    // Saves are chained so concurrent workers never race on the manifest file.
+    const persist = () => {
+      lastSavedAt = Date.now();
+      pendingSave = pendingSave.then(() => {
+        manifest.stats = { downloaded: stats.downloaded, skipped: stats.skipped, failed: stats.failed };
+        manifest.failedTiles = [...failedTiles, ...retriesInFlight, ...retryQueue].map(
+          ({ z, x, y }) => ({ z, x, y })
+        );
+        return saveManifest(resolvedManifestPath, manifest);
+      });
+      return pendingSave;
+    };
+
+    const worker = async () => {
+      while (!stopping) {
+        if (resumeGate) {
+          await resumeGate;
+          continue;
+        }
+
+        const { value: tile, done } = queue.next();
+        if (done) {
+          return;
+        }
+
+        stats.zoom = tile.z;
+        const outputPath = path.join(outputDir, String(tile.z), String(tile.x), `${tile.y}.${tileExt}`);
+
+        if (!force && (await isValidTileFile(outputPath))) {
+          stats.skipped += 1;
+        } else {
+          const subdomain =
+            subdomains.length > 0 ? subdomains[(tile.x + tile.y) % subdomains.length] : undefined;
+          const url = renderUrl(sourceTemplate, { z: tile.z, x: tile.x, y: tile.y, s: subdomain, ext: tileExt });
+
+          const result = await downloadTile({ url, outputPath, retries });
+          if (result.success) {
+            stats.downloaded += 1;
+            stats.bytes += result.bytes;
+          } else {
+            stats.failed += 1;
+            failedTiles.push({ z: tile.z, x: tile.x, y: tile.y });
+            onTileError(tile, result.error);
+          }
+
+          if (delayMs > 0) {
+            await delay(delayMs);
+          }
+        }
+
+        markFinished(tile);
+        emit();
+
+        if (Date.now() - lastSavedAt >= MANIFEST_SAVE_INTERVAL_MS) {
+          await persist();
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    if (cancelled) {
+      await pendingSave;
+      await fs.promises.rm(resolvedManifestPath, { force: true });
+      setState('cancelled');
+    } else if (stopping) {
+      manifest.status = 'interrupted';
+      await persist();
+      setState('interrupted');
+    } else {
+      manifest.status = failedTiles.length > 0 ? 'incomplete' : 'completed';
+      await persist();
+      setState(manifest.status);
+    }
+
+    return getProgress();
+  };
+
+  const pause = () => {
+    if (state !== 'running') return;
+    resumeGate = new Promise((resolve) => {
+      releaseGate = resolve;
+    });
+    pausedAt = Date.now();
+    setState('paused');
+  };
+
+  const resume = () => {
+    if (state !== 'paused') return;
+    pausedMs += Date.now() - pausedAt;
+    const release = releaseGate;
+    resumeGate = null;
+    release();
+    setState('running');
+  };
+
+  const stop = () => {
+    if (stopping || !['running', 'paused'].includes(state)) return;
+    if (state === 'paused') resume();
+    stopping = true;
+    setState('stopping');
+  };
+
+  const cancel = () => {
+    cancelled = true;
+    stop();
+  };
+
+  return {
+    jobId,
+    manifestPath: resolvedManifestPath,
+    covers,
+    total,
+    load,
+    run,
+    pause,
+    resume,
+    stop,
+    cancel,
+    getProgress,
+    failedTiles: () => failedTiles.slice()
+  };
+};
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DELAY_MS,
+  DEFAULT_EXT,
+  DEFAULT_RETRIES,
+  DEFAULT_SOURCE,
+  computeCovers,
+  createDownloadJob,
+  estimateTileSizeKb,
+  isValidTileFile,
+  parseZooms
+};
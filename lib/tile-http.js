@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const TILE_MIME_TYPES = {
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+// Server preference between formats the client accepts equally; smallest
+// encodings first.
+const NEGOTIATION_ORDER = ['webp', 'png', 'jpg', 'jpeg'];
+const DEFAULT_CACHE_MAX_AGE = 3600;
+const DEFAULT_ETAG_CACHE_SIZE = 10000;
+const EMPTY_TILE_MODES = ['404', '204', 'transparent'];
+
+/**
+ * `[{ type, subtype, q }]` for an Accept header. A missing header accepts
+ * everything.
+ */
+const parseAccept = (header) => {
+  if (!header || !String(header).trim()) {
+    return [{ type: '*', subtype: '*', q: 1 }];
+  }
+
+  return String(header)
+    .split(',')
+    .flatMap((part) => {
+      const [range, ...params] = part.trim().split(';');
+      const [type, subtype] = range.trim().toLowerCase().split('/');
+      if (!type || !subtype) return [];
+
+      const qParam = params.map((param) => param.trim()).find((param) => /^q=/i.test(param));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return [{ type, subtype, q: Number.isFinite(q) ? Math.min(Math.max(q, 0), 1) : 1 }];
+    });
+};
+
+// The q value of the most specific range matching `mimeType`, as RFC 9110
+// asks (`image/webp` beats `image/*` beats `*/*`).
+const qualityFor = (ranges, mimeType) => {
+  const [type, subtype] = mimeType.split('/');
+  let best = null;
+  ranges.forEach((range) => {
+    let specificity = -1;
+    if (range.type === type && range.subtype === subtype) specificity = 2;
+    else if (range.type === type && range.subtype === '*') specificity = 1;
+    else if (range.type === '*' && range.subtype === '*') specificity = 0;
+
+    if (specificity >= 0 && (!best || specificity > best.specificity)) {
+      best = { specificity, q: range.q };
+    }
+  });
+  return best ? best.q : 0;
+};
+
+/**
+ * The tile extensions to look for, best first: ordered by the client's
+ * preference and, between equals, by NEGOTIATION_ORDER. Formats the client
+ * refuses (q=0) are left out.
+ */
+const negotiateTileExtensions = (acceptHeader, allowedExtensions) => {
+  const ranges = parseAccept(acceptHeader);
+  return NEGOTIATION_ORDER.filter((extension) => allowedExtensions.has(extension))
+    .map((extension, index) => ({ extension, index, q: qualityFor(ranges, TILE_MIME_TYPES[extension]) }))
+    .filter(({ q }) => q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ extension }) => extension);
+};
+
+const computeEtag = (data) =>
+  `"${crypto.createHash('sha1').update(data).digest('base64url')}"`;
+
+/**
+ * Strong ETags for tile files, remembered per path until the file's size or
+ * modification time changes (a re-downloaded tile is renamed into place, so
+ * it always gets a new one). Resolves to `{ etag, lastModified, data }`;
+ * `data` is only set when the file had to be read to hash it.
+ */
+const createFileEtagCache = (maxEntries = DEFAULT_ETAG_CACHE_SIZE) => {
+  const entries = new Map();
+
+  return async (filePath) => {
+    const stats = await fs.promises.stat(filePath);
+    const cached = entries.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return { etag: cached.etag, lastModified: stats.mtime, data: null };
+    }
+
+    const data = await fs.promises.readFile(filePath);
+    const etag = computeEtag(data);
+    entries.delete(filePath);
+    entries.set(filePath, { etag, mtimeMs: stats.mtimeMs, size: stats.size });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return { etag, lastModified: stats.mtime, data };
+  };
+};
+
+/**
+ * Parse `TILE_SERVER_CACHE_MAX_AGE`: a number of seconds for every tileset,
+ * `name=seconds` overrides, or both (`3600,satellite=604800`). Returns a
+ * lookup from tileset name to seconds.
+ */
+const parseCacheMaxAge = (value, fallback = DEFAULT_CACHE_MAX_AGE) => {
+  const overrides = new Map();
+  let defaultMaxAge = fallback;
+
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf('=');
+      const name = separator > 0 ? entry.slice(0, separator).trim() : null;
+      const seconds = Number(separator > 0 ? entry.slice(separator + 1) : entry);
+      if (!Number.isInteger(seconds) || seconds < 0) {
+        console.warn(`[tileserver] Ignoring cache max-age '${entry}': expected seconds or name=seconds.`);
+        return;
+      }
+      if (name) overrides.set(name, seconds);
+      else defaultMaxAge = seconds;
+    });
+
+  const lookup = (name) => (overrides.has(name) ? overrides.get(name) : defaultMaxAge);
+  lookup.defaultMaxAge = defaultMaxAge;
+  lookup.overrides = Object.fromEntries(overrides);
+  return lookup;
+};
+
+const cacheControlFor = (maxAge) => (maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache');
+
+/**
+ * Parse `TILE_SERVER_EMPTY_TILES`: how to answer for tiles that are neither
+ * stored nor synthesized. `404` (the default), `204` or `transparent`.
+ */
+const parseEmptyTileMode = (value) => {
+  const mode = String(value || '').trim().toLowerCase();
+  if (!mode) return '404';
+  if (!EMPTY_TILE_MODES.includes(mode)) {
+    console.warn(`[tileserver] Ignoring empty tile mode '${mode}'; expected ${EMPTY_TILE_MODES.join(', ')}.`);
+    return '404';
+  }
+  return mode;
+};
+
+module.exports = {
+  DEFAULT_CACHE_MAX_AGE,
+  TILE_MIME_TYPES,
+  cacheControlFor,
+  computeEtag,
+  createFileEtagCache,
+  negotiateTileExtensions,
+  parseCacheMaxAge,
+  parseEmptyTileMode
+};
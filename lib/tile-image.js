@@ -0,0 +1,76 @@
+const sharp = require('sharp');
+
+const DEFAULT_QUALITY = 85;
+const TILE_FORMATS = ['png', 'jpg', 'webp'];
+
+const normalizeTileFormat = (value) => {
+  const format = String(value || '').trim().toLowerCase().replace(/^\./, '');
+  return format === 'jpeg' ? 'jpg' : format;
+};
+
+/**
+ * Encode a sharp pipeline as a tile. JPEG has no alpha channel, so
+ * transparent areas are flattened onto `background`. PNG stays lossless
+ * unless an explicit `quality` below 100 asks for a quantized palette.
+ */
+const encodeTile = (image, format, { quality, lossless = false, background = '#ffffff' } = {}) => {
+  switch (normalizeTileFormat(format)) {
+    case 'jpg':
+      return image
+        .flatten({ background })
+        .jpeg({ quality: quality ?? DEFAULT_QUALITY, mozjpeg: true })
+        .toBuffer();
+    case 'webp':
+      return image.webp(lossless ? { lossless: true } : { quality: quality ?? DEFAULT_QUALITY }).toBuffer();
+    default:
+      return image
+        .png(
+          quality !== undefined && quality < 100
+            ? { palette: true, quality, compressionLevel: 9 }
+            : { compressionLevel: 9 }
+        )
+        .toBuffer();
+  }
+};
+
+/**
+ * Whether a tile image holds no information: fully transparent, or a single
+ * flat colour when `uniform` is set.
+ */
+const isBlankTile = async (data, { uniform = true } = {}) => {
+  const { channels } = await sharp(data).stats();
+  const alpha = channels.length === 4 || channels.length === 2 ? channels[channels.length - 1] : null;
+  if (alpha && alpha.max === 0) {
+    return true;
+  }
+  return uniform && channels.every((channel) => channel.min === channel.max);
+};
+
+const emptyTiles = new Map();
+
+/**
+ * A fully transparent 256px tile, as WebP when asked for and PNG otherwise
+ * (JPEG cannot be transparent). Resolves to `{ data, format }`.
+ */
+const createEmptyTile = (format) => {
+  const outputFormat = normalizeTileFormat(format) === 'webp' ? 'webp' : 'png';
+  if (!emptyTiles.has(outputFormat)) {
+    const image = sharp({
+      create: { width: 256, height: 256, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    });
+    emptyTiles.set(
+      outputFormat,
+      encodeTile(image, outputFormat, { lossless: true }).then((data) => ({ data, format: outputFormat }))
+    );
+  }
+  return emptyTiles.get(outputFormat);
+};
+
+module.exports = {
+  DEFAULT_QUALITY,
+  TILE_FORMATS,
+  createEmptyTile,
+  encodeTile,
+  isBlankTile,
+  normalizeTileFormat
+};
@@ -0,0 +1,89 @@
+// Deepest zoom level accepted from clients; 2^30 columns still fit a double exactly.
+const MAX_TILE_ZOOM = 30;
+
+/**
+ * True when `{ z, x, y }` are integers naming a tile that exists: `z` from
+ * 0 to MAX_TILE_ZOOM and `x` and `y` below 2^z.
+ */
+const isValidTile = ({ z, x, y }) =>
+  [z, x, y].every(Number.isInteger) &&
+  z >= 0 &&
+  z <= MAX_TILE_ZOOM &&
+  x >= 0 &&
+  y >= 0 &&
+  x < 2 ** z &&
+  y < 2 ** z;
+
+const tileToLon = (x, zoom) => (x / 2 ** zoom) * 360 - 180;
+
+const tileToLat = (y, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** zoom;
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+};
+
+const tileBounds = ({ z, x, y }) => ({
+  minLon: tileToLon(x, z),
+  minLat: tileToLat(y + 1, z),
+  maxLon: tileToLon(x + 1, z),
+  maxLat: tileToLat(y, z)
+});
+
+const tileIntersectsBounds = (tile, bounds) => {
+  if (!bounds) {
+    return true;
+  }
+
+  const extent = tileBounds(tile);
+
+  return (
+    extent.maxLon >= bounds.minLon &&
+    extent.minLon <= bounds.maxLon &&
+    extent.maxLat >= bounds.minLat &&
+    extent.minLat <= bounds.maxLat
+  );
+};
+
+const MAX_MERCATOR_LAT = 85.0511287798;
+
+const clampTile = (value, zoom) => Math.min(Math.max(value, 0), 2 ** zoom - 1);
+
+const lonToTileFraction = (lon, zoom) => ((lon + 180) / 360) * 2 ** zoom;
+
+const latToTileFraction = (lat, zoom) => {
+  const clamped = Math.min(Math.max(lat, -MAX_MERCATOR_LAT), MAX_MERCATOR_LAT);
+  const radians = (clamped * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom;
+};
+
+const lonToTileX = (lon, zoom) => clampTile(Math.floor(lonToTileFraction(lon, zoom)), zoom);
+
+const latToTileY = (lat, zoom) => clampTile(Math.floor(latToTileFraction(lat, zoom)), zoom);
+
+/**
+ * Inclusive tile column/row range covering `bounds` at `zoom`. Tiles that
+ * only touch the east or south edge are left out.
+ */
+const tileRangeForBounds = (bounds, zoom) => {
+  const minX = lonToTileX(bounds.minLon, zoom);
+  const minY = latToTileY(bounds.maxLat, zoom);
+  const lastBefore = (fraction) => Math.ceil(fraction) - 1;
+
+  return {
+    minX,
+    maxX: Math.max(clampTile(lastBefore(lonToTileFraction(bounds.maxLon, zoom)), zoom), minX),
+    minY,
+    maxY: Math.max(clampTile(lastBefore(latToTileFraction(bounds.minLat, zoom)), zoom), minY)
+  };
+};
+
+module.exports = {
+  MAX_TILE_ZOOM,
+  isValidTile,
+  tileToLon,
+  tileToLat,
+  tileBounds,
+  tileIntersectsBounds,
+  lonToTileX,
+  latToTileY,
+  tileRangeForBounds
+};
@@ -0,0 +1,473 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { listNumericDirectories } = require('./directory-source');
+const { tileBounds } = require('./tile-math');
+
+const PACK_TYPE = 'map-tile-pack';
+const PACK_VERSION = 1;
+const MANIFEST_ENTRY = 'manifest.json';
+const CHECKSUMS_ENTRY = 'checksums.sha256';
+const INSTALLED_PACKS_DIR = '.packs';
+const TAR_BLOCK = 512;
+const TILE_ENTRY_PATTERN = /^tiles\/(\d+)\/(\d+)\/(\d+)\.(png|jpg|jpeg|webp)$/;
+const TILE_FILE_PATTERN = /^(\d+)\.(png|jpg|jpeg|webp)$/i;
+const CONFLICT_POLICIES = ['skip', 'overwrite'];
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// --- tar (ustar) ---------------------------------------------------------
+
+const writeOctal = (header, value, offset, length) => {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+};
+
+const createTarHeader = (name, size, mtime) => {
+  let prefix = '';
+  let shortName = name;
+  if (Buffer.byteLength(name) > 100) {
+    const split = name.lastIndexOf('/', 155);
+    prefix = name.slice(0, split);
+    shortName = name.slice(split + 1);
+  }
+  if (Buffer.byteLength(shortName) > 100 || Buffer.byteLength(prefix) > 155) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(shortName, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+  return header;
+};
+
+const readString = (buffer, offset, length) => {
+  const value = buffer.subarray(offset, offset + length);
+  const end = value.indexOf(0);
+  return value.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+/**
+ * Sequential tar writer. `add()` resolves once the entry is handed to the
+ * stream, waiting for it to drain so large packs do not buffer in memory.
+ */
+const createTarWriter = (filePath) => {
+  const stream = fs.createWriteStream(filePath);
+  let failure = null;
+  stream.on('error', (error) => {
+    failure = error;
+  });
+
+  const write = (chunk) =>
+    new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      if (stream.write(chunk)) return resolve();
+      stream.once('drain', resolve);
+      stream.once('error', reject);
+    });
+
+  const add = async (name, data, mtime = Date.now()) => {
+    await write(createTarHeader(name, data.length, mtime));
+    await write(data);
+    const padding = (TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK;
+    if (padding) {
+      await write(Buffer.alloc(padding));
+    }
+  };
+
+  const close = async () => {
+    await write(Buffer.alloc(TAR_BLOCK * 2));
+    await new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    });
+  };
+
+  return { add, close };
+};
+
+/**
+ * Yield `{ name, data }` for each regular file in a tar archive, in order.
+ */
+async function* readTarEntries(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const header = Buffer.alloc(TAR_BLOCK);
+  let offset = 0;
+
+  try {
+    while (true) {
+      const { bytesRead } = await handle.read(header, 0, TAR_BLOCK, offset);
+      if (bytesRead === 0 || (bytesRead === TAR_BLOCK && header.every((byte) => byte === 0))) {
+        return;
+      }
+      if (bytesRead < TAR_BLOCK) {
+        throw new Error(`Archive is truncated at byte ${offset}.`);
+      }
+
+      const stored = parseInt(readString(header, 148, 8).trim(), 8);
+      const computed = header.reduce(
+        (sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte),
+        0
+      );
+      if (stored !== computed) {
+        throw new Error(`Corrupt archive header at byte ${offset}.`);
+      }
+
+      const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+      const type = readString(header, 156, 1);
+      const prefix = readString(header, 345, 155);
+      const name = prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100);
+      offset += TAR_BLOCK;
+
+      if (type === '0' || type === '') {
+        const data = Buffer.alloc(size);
+        const { bytesRead: dataRead } = await handle.read(data, 0, size, offset);
+        if (dataRead < size) {
+          throw new Error(`Archive is truncated inside ${name}.`);
+        }
+        yield { name, data };
+      }
+
+      offset += Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// --- packs ---------------------------------------------------------------
+
+const tileEntryName = ({ z, x, y, extension }) => `tiles/${z}/${x}/${y}.${extension}`;
+
+const parseTileEntryName = (name) => {
+  const match = TILE_ENTRY_PATTERN.exec(name);
+  return match
+    ? { z: Number(match[1]), x: Number(match[2]), y: Number(match[3]), extension: match[4] }
+    : null;
+};
+
+const mergeBounds = (a, b) =>
+  a
+    ? {
+        minLon: Math.min(a.minLon, b.minLon),
+        minLat: Math.min(a.minLat, b.minLat),
+        maxLon: Math.max(a.maxLon, b.maxLon),
+        maxLat: Math.max(a.maxLat, b.maxLat)
+      }
+    : b;
+
+/**
+ * Tiles below a `{z}/{x}/{y}.{ext}` directory at the given zooms, keeping
+ * only those `area.classify` does not place outside (all of them without an
+ * area).
+ */
+const collectDirectoryTiles = async (root, { zooms, area }) => {
+  const available = listNumericDirectories(root);
+  const selectedZooms = zooms ? available.filter((zoom) => zooms.includes(zoom)) : available;
+  const tiles = [];
+
+  for (const z of selectedZooms) {
+    for (const x of listNumericDirectories(path.join(root, String(z)))) {
+      const columnDir = path.join(root, String(z), String(x));
+      const files = await fs.promises.readdir(columnDir).catch(() => []);
+      files.forEach((file) => {
+        const match = TILE_FILE_PATTERN.exec(file);
+        if (!match) {
+          return;
+        }
+        const tile = { z, x, y: Number(match[1]), extension: match[2].toLowerCase() };
+        if (area && area.classify(tileBounds(tile)) === 'outside') {
+          return;
+        }
+        tiles.push({ ...tile, filePath: path.join(columnDir, file) });
+      });
+    }
+  }
+
+  return tiles.sort((a, b) => a.z - b.z || a.x - b.x || a.y - b.y);
+};
+
+/**
+ * Write `tiles` into a pack at `outputPath`. Checksums are computed first so
+ * the manifest and checksum list lead the archive and can be read without
+ * scanning the tiles.
+ */
+const buildPack = async ({ tiles, outputPath, name, attribution, source, onProgress = () => {} }) => {
+  const zoomStats = new Map();
+  const checksumLines = [];
+  const formats = new Set();
+  let bounds = null;
+  let bytes = 0;
+
+  for (const [index, tile] of tiles.entries()) {
+    const data = await fs.promises.readFile(tile.filePath);
+    tile.sha256 = sha256(data);
+    tile.size = data.length;
+    checksumLines.push(`${tile.sha256}  ${tileEntryName(tile)}`);
+    formats.add(tile.extension);
+    bounds = mergeBounds(bounds, tileBounds(tile));
+    bytes += data.length;
+
+    const stats = zoomStats.get(tile.z) || { zoom: tile.z, tiles: 0, bytes: 0 };
+    stats.tiles += 1;
+    stats.bytes += data.length;
+    zoomStats.set(tile.z, stats);
+    onProgress('hash', index + 1, tiles.length);
+  }
+
+  const checksums = Buffer.from(`${checksumLines.join('\n')}\n`);
+  const manifest = {
+    type: PACK_TYPE,
+    version: PACK_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    attribution,
+    source,
+    bounds: bounds && [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat],
+    zooms: Array.from(zoomStats.values()),
+    formats: Array.from(formats),
+    tileCount: tiles.length,
+    bytes,
+    checksums: { algorithm: 'sha256', file: CHECKSUMS_ENTRY, sha256: sha256(checksums) }
+  };
+
+  const partialPath = `${outputPath}.part`;
+  const writer = createTarWriter(partialPath);
+  try {
+    await writer.add(MANIFEST_ENTRY, Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`));
+    await writer.add(CHECKSUMS_ENTRY, checksums);
+    for (const [index, tile] of tiles.entries()) {
+      const data = await fs.promises.readFile(tile.filePath);
+      if (sha256(data) !== tile.sha256) {
+        throw new Error(`${tile.filePath} changed while the pack was being built.`);
+      }
+      await writer.add(tileEntryName(tile), data);
+      onProgress('write', index + 1, tiles.length);
+    }
+    await writer.close();
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw error;
+  }
+  await fs.promises.rename(partialPath, outputPath);
+
+  return manifest;
+};
+
+const parseChecksums = (data) =>
+  new Map(
+    data
+      .toString('utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        const match = /^([0-9a-f]{64}) [ *](.+)$/.exec(line);
+        if (!match) {
+          throw new Error(`Malformed checksum line: ${line}`);
+        }
+        return [match[2], match[1]];
+      })
+  );
+
+/**
+ * Walk a pack and hand each tile to `onTile(tile, data)` after checking it
+ * against the checksum list. Problems are collected rather than thrown so a
+ * single report covers the whole archive; anything structural (no manifest,
+ * unreadable tar) still throws.
+ */
+const scanPack = async (packPath, { onTile = async () => {}, onProgress = () => {} } = {}) => {
+  const entries = readTarEntries(packPath);
+  try {
+    return await readPackEntries(packPath, entries, { onTile, onProgress });
+  } finally {
+    await entries.return();
+  }
+};
+
+const readPackEntries = async (packPath, entries, { onTile, onProgress }) => {
+  const problems = [];
+
+  const first = await entries.next();
+  if (first.done || first.value.name !== MANIFEST_ENTRY) {
+    throw new Error(`${packPath} is not a tile pack (no leading ${MANIFEST_ENTRY}).`);
+  }
+  const manifest = JSON.parse(first.value.data.toString('utf8'));
+  if (manifest.type !== PACK_TYPE || manifest.version > PACK_VERSION) {
+    throw new Error(`${packPath} is not a supported tile pack (type ${manifest.type}, version ${manifest.version}).`);
+  }
+
+  const second = await entries.next();
+  if (second.done || second.value.name !== CHECKSUMS_ENTRY) {
+    throw new Error(`${packPath} has no ${CHECKSUMS_ENTRY}.`);
+  }
+  if (sha256(second.value.data) !== manifest.checksums.sha256) {
+    problems.push(`${CHECKSUMS_ENTRY} does not match the digest in the manifest.`);
+  }
+  const expected = parseChecksums(second.value.data);
+
+  let tileCount = 0;
+  for await (const { name, data } of entries) {
+    const tile = parseTileEntryName(name);
+    if (!tile) {
+      problems.push(`Unexpected entry ${name}.`);
+      continue;
+    }
+
+    tileCount += 1;
+    const checksum = expected.get(name);
+    if (!checksum) {
+      problems.push(`${name} is not listed in ${CHECKSUMS_ENTRY}.`);
+      continue;
+    }
+    expected.delete(name);
+    if (sha256(data) !== checksum) {
+      problems.push(`${name} is corrupt (checksum mismatch).`);
+      continue;
+    }
+
+    await onTile(tile, data);
+    onProgress(tileCount, manifest.tileCount);
+  }
+
+  expected.forEach((_checksum, name) => problems.push(`${name} is missing from the archive.`));
+  if (tileCount !== manifest.tileCount) {
+    problems.push(`Archive holds ${tileCount} tiles; the manifest lists ${manifest.tileCount}.`);
+  }
+
+  return { manifest, tileCount, problems };
+};
+
+const verifyPack = (packPath, options) => scanPack(packPath, options);
+
+const readPackManifest = async (packPath) => {
+  for await (const { name, data } of readTarEntries(packPath)) {
+    if (name !== MANIFEST_ENTRY) break;
+    return JSON.parse(data.toString('utf8'));
+  }
+  throw new Error(`${packPath} is not a tile pack (no leading ${MANIFEST_ENTRY}).`);
+};
+
+/**
+ * Merge a pack's tiles into `targetDir`. Identical tiles are skipped; a tile
+ * whose content differs is a conflict, kept (`skip`) or replaced
+ * (`overwrite`) per `onConflict`. Corrupt tiles are never written. Unless
+ * `dryRun`, a record of the import is kept in `<installRoot>/.packs/`.
+ */
+const importPack = async (
+  packPath,
+  { targetDir, installRoot = targetDir, tileset, onConflict = 'skip', dryRun = false, onProgress }
+) => {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown conflict policy '${onConflict}'. Use ${CONFLICT_POLICIES.join(' or ')}.`);
+  }
+
+  const result = { written: 0, identical: 0, overwritten: 0, conflicts: [] };
+
+  const { manifest, tileCount, problems } = await scanPack(packPath, {
+    onProgress,
+    onTile: async (tile, data) => {
+      const outputPath = path.join(targetDir, String(tile.z), String(tile.x), `${tile.y}.${tile.extension}`);
+      let existing = null;
+      try {
+        existing = await fs.promises.readFile(outputPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      if (existing && existing.equals(data)) {
+        result.identical += 1;
+        return;
+      }
+      if (existing) {
+        result.conflicts.push(tile);
+        if (onConflict === 'skip') return;
+        result.overwritten += 1;
+      } else {
+        result.written += 1;
+      }
+
+      if (dryRun) return;
+      const partialPath = `${outputPath}.part`;
+      await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.promises.writeFile(partialPath, data);
+      await fs.promises.rename(partialPath, outputPath);
+    }
+  });
+
+  if (!dryRun) {
+    const recordDir = path.join(installRoot, INSTALLED_PACKS_DIR);
+    await fs.promises.mkdir(recordDir, { recursive: true });
+    const record = {
+      ...manifest,
+      installedAt: new Date().toISOString(),
+      archive: path.resolve(packPath),
+      tileset: tileset || 'default',
+      import: {
+        onConflict,
+        written: result.written,
+        identical: result.identical,
+        overwritten: result.overwritten,
+        conflicts: result.conflicts.length,
+        problems: problems.length
+      }
+    };
+    const fileName = `${String(manifest.name || 'pack').replace(/[^A-Za-z0-9_.-]+/g, '_')}.json`;
+    await fs.promises.writeFile(path.join(recordDir, fileName), `${JSON.stringify(record, null, 2)}\n`);
+  }
+
+  return { manifest, tileCount, problems, ...result };
+};
+
+/**
+ * Import records written by `importPack`, newest first. Unreadable records
+ * are skipped with a warning.
+ */
+const listInstalledPacks = async (root) => {
+  const recordDir = path.join(root, INSTALLED_PACKS_DIR);
+  let files = [];
+  try {
+    files = await fs.promises.readdir(recordDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .map(async (file) => {
+        try {
+          return JSON.parse(await fs.promises.readFile(path.join(recordDir, file), 'utf8'));
+        } catch (error) {
+          console.warn(`[tileserver] Ignoring unreadable pack record ${file}: ${error.message}`);
+          return null;
+        }
+      })
+  );
+
+  return records
+    .filter(Boolean)
+    .sort((a, b) => String(b.installedAt).localeCompare(String(a.installedAt)));
+};
+
+module.exports = {
+  CONFLICT_POLICIES,
+  INSTALLED_PACKS_DIR,
+  buildPack,
+  collectDirectoryTiles,
+  importPack,
+  listInstalledPacks,
+  readPackManifest,
+  readTarEntries,
+  verifyPack
+};
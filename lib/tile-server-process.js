@@ -0,0 +1,233 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const HOST = '127.0.0.1';
+const HEALTH_INTERVAL_MS = 5000;
+const HEALTH_TIMEOUT_MS = 2000;
+const STARTUP_PROBE_MS = 300;
+const STARTUP_TIMEOUT_MS = 15 * 1000;
+// Consecutive failed probes before a running server counts as hung.
+const MAX_FAILED_PROBES = 3;
+const MIN_RESTART_DELAY_MS = 1000;
+const MAX_RESTART_DELAY_MS = 30 * 1000;
+// A server that stayed up this long restarts without backoff next time.
+const STABLE_UPTIME_MS = 60 * 1000;
+const STOP_TIMEOUT_MS = 3000;
+
+/**
+ * Ask the OS for a free loopback port.
+ */
+const findFreePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, HOST, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+/**
+ * GET `url` and parse the JSON answer; rejects on non-2xx and after
+ * `timeoutMs`.
+ */
+const fetchJson = async (url, timeoutMs = HEALTH_TIMEOUT_MS) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+const summarizeHealth = (health) => ({
+  tilesets: health.tilesets || [],
+  reloads: health.reload ? health.reload.reloads : 0,
+  restartRequired: health.reload ? health.reload.restartRequired : []
+});
+
+/**
+ * Run `tileserver.js` as a child process on a free loopback port and keep
+ * it alive. The server runs under a separate Node.js (`nodePath`) rather
+ * than inside Electron, because native modules such as better-sqlite3 are
+ * built for the Node.js that ran `npm install`.
+ *
+ * `/health` is probed every few seconds. A server that exits, does not
+ * answer within STARTUP_TIMEOUT_MS of starting, or stops answering for
+ * MAX_FAILED_PROBES probes is restarted on the same port with a growing
+ * delay, so the URL handed to the renderer stays valid. `onStatus(status)`
+ * is called whenever the status changes.
+ */
+const createTileServerProcess = ({
+  scriptPath = path.join(__dirname, '..', 'tileserver.js'),
+  nodePath = 'node',
+  env = process.env,
+  cwd = process.cwd(),
+  onStatus = () => {}
+} = {}) => {
+  let child = null;
+  let port = null;
+  let stopped = false;
+  let probeTimer = null;
+  let restartTimer = null;
+  let failedProbes = 0;
+  let restartDelay = MIN_RESTART_DELAY_MS;
+  let startedAt = 0;
+
+  const status = {
+    state: 'stopped',
+    url: null,
+    pid: null,
+    restarts: 0,
+    lastError: null,
+    lastExit: null,
+    health: null
+  };
+
+  const update = (changes) => {
+    const stateChanged = Object.entries(changes).some(
+      ([key, value]) => JSON.stringify(status[key]) !== JSON.stringify(value)
+    );
+    Object.assign(status, changes);
+    if (stateChanged) {
+      onStatus({ ...status });
+    }
+  };
+
+  const scheduleProbe = (delay) => {
+    clearTimeout(probeTimer);
+    probeTimer = setTimeout(probe, delay);
+  };
+
+  // Probed every STARTUP_PROBE_MS until the server first answers, then
+  // every HEALTH_INTERVAL_MS.
+  const probe = async () => {
+    const current = child;
+    if (!current) return;
+
+    try {
+      const health = await fetchJson(`${status.url}/health`);
+      if (current !== child) return;
+      failedProbes = 0;
+      update({ state: 'running', health: summarizeHealth(health) });
+    } catch (error) {
+      if (current !== child) return;
+      if (status.state === 'starting') {
+        if (Date.now() - startedAt < STARTUP_TIMEOUT_MS) {
+          scheduleProbe(STARTUP_PROBE_MS);
+          return;
+        }
+        console.warn('[main] Tile server did not answer after starting; restarting it');
+        current.kill();
+        return;
+      }
+
+      failedProbes += 1;
+      update({ state: 'unhealthy', lastError: `Health check failed: ${error.message}` });
+      if (failedProbes >= MAX_FAILED_PROBES) {
+        console.warn('[main] Tile server stopped answering; restarting it');
+        current.kill();
+        return;
+      }
+    }
+    scheduleProbe(HEALTH_INTERVAL_MS);
+  };
+
+  const spawnServer = () => {
+    let lastStderr = '';
+    failedProbes = 0;
+    startedAt = Date.now();
+
+    child = spawn(nodePath, [scriptPath], {
+      cwd,
+      env: { ...env, TILE_SERVER_PORT: String(port), TILE_SERVER_HOST: HOST },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+    const current = child;
+    update({ state: 'starting', pid: current.pid || null });
+    scheduleProbe(STARTUP_PROBE_MS);
+
+    current.stdout.on('data', (chunk) => process.stdout.write(chunk));
+    current.stderr.on('data', (chunk) => {
+      process.stderr.write(chunk);
+      lastStderr = String(chunk).trim().split('\n').pop() || lastStderr;
+    });
+
+    current.on('error', (error) => {
+      if (current !== child) return;
+      child = null;
+      clearTimeout(probeTimer);
+      const message =
+        error.code === 'ENOENT'
+          ? `Cannot run '${nodePath}'. Install Node.js or set TILE_SERVER_NODE.`
+          : error.message;
+      console.error(`[main] Failed to start the tile server: ${message}`);
+      update({ state: 'failed', pid: null, lastError: message });
+    });
+
+    current.on('exit', (code, signal) => {
+      if (current !== child) return;
+      child = null;
+      clearTimeout(probeTimer);
+      const exited = {
+        pid: null,
+        health: null,
+        lastExit: { code, signal, at: new Date().toISOString() },
+        lastError: lastStderr || status.lastError
+      };
+      if (stopped) {
+        update({ ...exited, state: 'stopped' });
+        return;
+      }
+
+      console.warn(`[main] Tile server exited (${signal || `code ${code}`}); restarting`);
+      if (Date.now() - startedAt >= STABLE_UPTIME_MS) {
+        restartDelay = MIN_RESTART_DELAY_MS;
+      }
+      update({ ...exited, state: 'restarting', restarts: status.restarts + 1 });
+      restartTimer = setTimeout(() => {
+        restartTimer = null;
+        spawnServer();
+      }, restartDelay);
+      restartDelay = Math.min(restartDelay * 2, MAX_RESTART_DELAY_MS);
+    });
+  };
+
+  /**
+   * Pick a port and spawn the server. Resolves with the server's base URL
+   * straight away; readiness shows up in the status.
+   */
+  const start = async () => {
+    stopped = false;
+    port = await findFreePort();
+    status.url = `http://${HOST}:${port}`;
+    spawnServer();
+    return status.url;
+  };
+
+  const stop = () =>
+    new Promise((resolve) => {
+      stopped = true;
+      clearTimeout(probeTimer);
+      clearTimeout(restartTimer);
+      if (!child) {
+        update({ state: 'stopped' });
+        resolve();
+        return;
+      }
+
+      const current = child;
+      const forceTimer = setTimeout(() => current.kill('SIGKILL'), STOP_TIMEOUT_MS);
+      current.once('exit', () => {
+        clearTimeout(forceTimer);
+        resolve();
+      });
+      current.kill();
+    });
+
+  return { start, stop, getStatus: () => ({ ...status }) };
+};
+
+module.exports = { createTileServerProcess, fetchJson };
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { encodeTile } = require('./tile-image');
+
+const TILE_SIZE = 256;
+const DEFAULT_OVERZOOM_LEVELS = 4;
+const DEFAULT_UNDERZOOM_LEVELS = 2;
+const DEFAULT_CACHE_SIZE = 256;
+const SYNTHESIS_MODES = ['overzoom', 'underzoom'];
+
+/**
+ * Parse `TILE_SERVER_SYNTHESIZE`: `overzoom`, `underzoom`, both comma-separated,
+ * or `all` / `true`. Anything else disables synthesis.
+ */
+const parseSynthesisModes = (value) => {
+  const entries = String(value || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (entries.includes('all') || entries.includes('true')) {
+    return new Set(SYNTHESIS_MODES);
+  }
+
+  entries
+    .filter((entry) => !SYNTHESIS_MODES.includes(entry) && entry !== 'off' && entry !== 'false')
+    .forEach((entry) => console.warn(`[tileserver] Ignoring unknown synthesis mode '${entry}'.`));
+
+  return new Set(entries.filter((entry) => SYNTHESIS_MODES.includes(entry)));
+};
+
+const readTileData = (tile) => (tile.filePath ? fs.promises.readFile(tile.filePath) : tile.data);
+
+/**
+ * Build tiles a tileset lacks from the tiles it has:
+ *
+ * - overzoom crops the matching quarter (or smaller) of the nearest ancestor
+ *   up to `overzoomLevels` levels above and scales it up;
+ * - underzoom stitches the four children (recursing up to `underzoomLevels`
+ *   levels below) and scales the mosaic down. Absent children stay
+ *   transparent.
+ *
+ * Below the tileset's `minZoom` children are tried first; elsewhere the
+ * ancestor is, with children as the fallback. Synthesized tiles are kept
+ * in a small LRU cache keyed by tileset and tile; `clear()` empties it.
+ */
+const createTileSynthesizer = ({
+  modes,
+  overzoomLevels = DEFAULT_OVERZOOM_LEVELS,
+  underzoomLevels = DEFAULT_UNDERZOOM_LEVELS,
+  cacheSize = DEFAULT_CACHE_SIZE
+}) => {
+  const cache = new Map();
+
+  // Only tiles are kept: a miss is retried next time, since the tiles it
+  // would be built from may have been downloaded in the meantime.
+  const remember = (key, promise) => {
+    cache.set(key, promise);
+    if (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    const forget = () => {
+      if (cache.get(key) === promise) cache.delete(key);
+    };
+    promise.then((result) => {
+      if (!result) forget();
+    }, forget);
+    return promise;
+  };
+
+  const fromAncestor = async (tileset, { z, x, y, extension }) => {
+    const lowestZoom = Number.isFinite(tileset.minZoom) ? tileset.minZoom : 0;
+
+    for (let depth = 1; depth <= overzoomLevels && z - depth >= lowestZoom; depth += 1) {
+      const scale = 2 ** depth;
+      const parent = { z: z - depth, x: Math.floor(x / scale), y: Math.floor(y / scale) };
+      const tile = await tileset.getTile({ ...parent, extension });
+      if (!tile) {
+        continue;
+      }
+
+      const data = await readTileData(tile);
+      const { width } = await sharp(data).metadata();
+      const size = Math.floor(width / scale);
+      if (size < 1) {
+        return null;
+      }
+
+      const image = sharp(data)
+        .extract({
+          left: (x - parent.x * scale) * size,
+          top: (y - parent.y * scale) * size,
+          width: size,
+          height: size
+        })
+        .resize(TILE_SIZE, TILE_SIZE, { kernel: 'cubic' });
+
+      return {
+        data: await encodeTile(image, extension),
+        synthetic: `overzoom; source=${parent.z}/${parent.x}/${parent.y}`
+      };
+    }
+
+    return null;
+  };
+
+  // Raw RGBA pixels of a stored or stitched child, or null when the whole
+  // subtree is empty.
+  const childPixels = async (tileset, { z, x, y, extension }, levelsLeft) => {
+    const tile = await tileset.getTile({ z, x, y, extension });
+    if (tile) {
+      return sharp(await readTileData(tile))
+        .resize(TILE_SIZE, TILE_SIZE)
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+    }
+    return levelsLeft > 1 ? stitchChildren(tileset, { z, x, y, extension }, levelsLeft - 1) : null;
+  };
+
+  const stitchChildren = async (tileset, { z, x, y, extension }, levelsLeft) => {
+    if (Number.isFinite(tileset.maxZoom) && z + 1 > tileset.maxZoom) {
+      return null;
+    }
+
+    const quadrants = [
+      [0, 0],
+      [1, 0],
+      [0, 1],
+      [1, 1]
+    ];
+    const children = await Promise.all(
+      quadrants.map(([dx, dy]) =>
+        childPixels(tileset, { z: z + 1, x: x * 2 + dx, y: y * 2 + dy, extension }, levelsLeft)
+      )
+    );
+    if (children.every((pixels) => !pixels)) {
+      return null;
+    }
+
+    const raw = { width: TILE_SIZE, height: TILE_SIZE, channels: 4 };
+    const mosaic = await sharp({
+      create: {
+        width: TILE_SIZE * 2,
+        height: TILE_SIZE * 2,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      }
+    })
+      .composite(
+        children.flatMap((pixels, index) =>
+          pixels
+            ? [
+                {
+                  input: pixels,
+                  raw,
+                  left: quadrants[index][0] * TILE_SIZE,
+                  top: quadrants[index][1] * TILE_SIZE
+                }
+              ]
+            : []
+        )
+      )
+      .raw()
+      .toBuffer();
+
+    return sharp(mosaic, { raw: { ...raw, width: TILE_SIZE * 2, height: TILE_SIZE * 2 } })
+      .resize(TILE_SIZE, TILE_SIZE)
+      .raw()
+      .toBuffer();
+  };
+
+  const fromChildren = async (tileset, tile) => {
+    if (underzoomLevels < 1) {
+      return null;
+    }
+
+    const pixels = await stitchChildren(tileset, tile, underzoomLevels);
+    if (!pixels) {
+      return null;
+    }
+
+    const image = sharp(pixels, { raw: { width: TILE_SIZE, height: TILE_SIZE, channels: 4 } });
+    return {
+      data: await encodeTile(image, tile.extension),
+      synthetic: `underzoom; levels=${underzoomLevels}`
+    };
+  };
+
+  /**
+   * Resolve to `{ data, format, synthetic }` for a tile `tileset` does not
+   * store, or null when nothing nearby can stand in for it.
+   */
+  const synthesize = (tileset, { z, x, y, extension }) => {
+    const tile = { z: Number(z), x: Number(x), y: Number(y), extension };
+    const key = `${tileset.name}/${tile.z}/${tile.x}/${tile.y}.${extension}`;
+    if (cache.has(key)) {
+      const cached = cache.get(key);
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached;
+    }
+
+    const strategies = [];
+    if (modes.has('overzoom')) strategies.push(fromAncestor);
+    if (modes.has('underzoom')) {
+      const belowMinZoom = Number.isFinite(tileset.minZoom) && tile.z < tileset.minZoom;
+      strategies[belowMinZoom ? 'unshift' : 'push'](fromChildren);
+    }
+
+    const run = async () => {
+      for (const strategy of strategies) {
+        const result = await strategy(tileset, tile);
+        if (result) {
+          return { ...result, format: extension };
+        }
+      }
+      return null;
+    };
+
+    return remember(key, run());
+  };
+
+  return {
+    modes,
+    overzoomLevels,
+    underzoomLevels,
+    synthesize,
+    clear: () => cache.clear()
+  };
+};
+
+module.exports = { createTileSynthesizer, parseSynthesisModes };
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  createDirectorySource,
+  isNumericName,
+  listNumericDirectories
+} = require('./directory-source');
+const { createMbtilesSource } = require('./mbtiles-source');
+
+const DEFAULT_TILESET_NAME = 'default';
+const TILESET_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const isValidTilesetName = (name) =>
+  TILESET_NAME_PATTERN.test(name) && !isNumericName(name);
+
+const isMbtilesFile = (filePath) => filePath.toLowerCase().endsWith('.mbtiles');
+
+const mergeBounds = (sources) => {
+  return sources
+    .map((source) => source.bounds)
+    .filter(Boolean)
+    .reduce(
+      (acc, bounds) =>
+        acc
+          ? {
+              minLon: Math.min(acc.minLon, bounds.minLon),
+              minLat: Math.min(acc.minLat, bounds.minLat),
+              maxLon: Math.max(acc.maxLon, bounds.maxLon),
+              maxLat: Math.max(acc.maxLat, bounds.maxLat)
+            }
+          : bounds,
+      null
+    );
+};
+
+const pickZoom = (sources, key, reducer) => {
+  const values = sources.map((source) => source[key]).filter(Number.isFinite);
+  return values.length ? reducer(...values) : undefined;
+};
+
+/**
+ * Group one or more tile sources under a name. Sources are queried in order
+ * and the first one that has the tile wins.
+ */
+const createTileset = ({ name, sources, attribution }) => {
+  const primary = sources.find((source) => source.format) || sources[0];
+  const format = primary ? primary.format : undefined;
+  const bounds = mergeBounds(sources);
+  const minZoom = pickZoom(sources, 'minZoom', Math.min);
+  const maxZoom = pickZoom(sources, 'maxZoom', Math.max);
+  const resolvedAttribution =
+    sources.map((source) => source.attribution).find(Boolean) || attribution;
+
+  const getTile = async (tile) => {
+    for (const source of sources) {
+      const result = await source.getTile(tile);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  };
+
+  const toTileJSON = (baseUrl, tilePath = `/tiles/${name}`) => {
+    const document = {
+      tilejson: '3.0.0',
+      name,
+      scheme: 'xyz',
+      format,
+      attribution: resolvedAttribution,
+      tiles: [`${baseUrl}${tilePath}/{z}/{x}/{y}.${format || 'png'}`],
+      minzoom: Number.isFinite(minZoom) ? minZoom : 0,
+      maxzoom: Number.isFinite(maxZoom) ? maxZoom : 22
+    };
+
+    if (bounds) {
+      document.bounds = [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat];
+      document.center = [
+        (bounds.minLon + bounds.maxLon) / 2,
+        (bounds.minLat + bounds.maxLat) / 2,
+        document.minzoom
+      ];
+    }
+
+    return document;
+  };
+
+  return {
+    name,
+    sources,
+    format,
+    bounds,
+    minZoom,
+    maxZoom,
+    attribution: resolvedAttribution,
+    getTile,
+    toTileJSON,
+    describe: () => ({
+      name,
+      format,
+      bounds,
+      minZoom,
+      maxZoom,
+      attribution: resolvedAttribution,
+      sources: sources.map((source) => source.describe())
+    })
+  };
+};
+
+/**
+ * Parse `name=path` pairs, e.g. `satellite=D:\tiles\sat,terrain=./terrain.mbtiles`.
+ */
+const parseTilesetEntries = (value) => {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => {
+      const separator = entry.indexOf('=');
+      if (separator <= 0) {
+        console.warn(`[tileserver] Ignoring tileset entry '${entry}': expected name=path.`);
+        return [];
+      }
+
+      return [
+        {
+          name: entry.slice(0, separator).trim(),
+          path: path.resolve(entry.slice(separator + 1).trim())
+        }
+      ];
+    });
+};
+
+const openSource = (sourcePath, allowedExtensions) => {
+  if (isMbtilesFile(sourcePath)) {
+    const archive = createMbtilesSource(sourcePath);
+    if (!allowedExtensions.has(archive.format)) {
+      archive.close();
+      throw new Error(`unsupported tile format '${archive.format}'`);
+    }
+    return archive;
+  }
+
+  if (!fs.statSync(sourcePath).isDirectory()) {
+    throw new Error('not a directory or .mbtiles file');
+  }
+
+  return createDirectorySource(sourcePath);
+};
+
+/**
+ * Find every tileset the server should publish:
+ *
+ * - the tile root itself (plus any extra archives) as the `default` tileset,
+ *   which keeps the legacy `/tiles/{z}/{x}/{y}.{ext}` route working;
+ * - each non-numeric subfolder and each `*.mbtiles` file in the tile root;
+ * - explicit `name=path` entries.
+ */
+const loadTilesets = ({ root, archivePaths = [], entries = [], allowedExtensions, attribution }) => {
+  const tilesets = new Map();
+  const openedSources = new Map();
+
+  const getSource = (sourcePath) => {
+    if (!openedSources.has(sourcePath)) {
+      openedSources.set(sourcePath, openSource(sourcePath, allowedExtensions));
+    }
+    return openedSources.get(sourcePath);
+  };
+
+  const register = (name, sourcePaths) => {
+    if (!isValidTilesetName(name)) {
+      console.warn(
+        `[tileserver] Skipping tileset '${name}': names may only contain letters, digits, '-' and '_' and cannot be numeric.`
+      );
+      return;
+    }
+
+    if (tilesets.has(name)) {
+      console.warn(`[tileserver] Skipping duplicate tileset '${name}'.`);
+      return;
+    }
+
+    const sources = sourcePaths.flatMap((sourcePath) => {
+      try {
+        return [getSource(sourcePath)];
+      } catch (error) {
+        console.warn(`[tileserver] Skipping ${sourcePath} for tileset '${name}': ${error.message}`);
+        return [];
+      }
+    });
+
+    if (!sources.length) {
+      return;
+    }
+
+    tilesets.set(name, createTileset({ name, sources, attribution }));
+  };
+
+  const rootEntries = fs.readdirSync(root, { withFileTypes: true });
+  const rootArchives = rootEntries
+    .filter((entry) => entry.isFile() && isMbtilesFile(entry.name))
+    .map((entry) => path.join(root, entry.name));
+
+  const defaultSources = [root, ...archivePaths, ...rootArchives].filter(
+    (value, index, array) => array.indexOf(value) === index
+  );
+  register(DEFAULT_TILESET_NAME, defaultSources);
+
+  entries.forEach((entry) => register(entry.name, [entry.path]));
+
+  rootEntries
+    .filter((entry) => entry.isDirectory() && !isNumericName(entry.name))
+    .filter((entry) => listNumericDirectories(path.join(root, entry.name)).length > 0)
+    .forEach((entry) => register(entry.name, [path.join(root, entry.name)]));
+
+  rootArchives.forEach((archivePath) => {
+    register(path.basename(archivePath, path.extname(archivePath)), [archivePath]);
+  });
+
+  return tilesets;
+};
+
+module.exports = {
+  DEFAULT_TILESET_NAME,
+  createTileset,
+  isValidTilesetName,
+  loadTilesets,
+  parseTilesetEntries
+};
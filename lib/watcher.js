@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 500;
+
+// Downloads and pack imports write these next to tiles all the time; they
+// never change what the server publishes.
+const isIgnoredName = (name) => !name || name.startsWith('.') || name.endsWith('.part');
+
+/**
+ * Watch directories (not recursively) and call `onChange(reason)` once
+ * changes have settled for `debounceMs`. Each target is `{ dir, names }`;
+ * with `names`, only entries of that name count, which is how single files
+ * such as `.env` or an `.mbtiles` archive are watched through their folder
+ * (editors and downloads replace files rather than edit them in place).
+ *
+ * `watch(targets)` replaces the current set, so the caller can follow
+ * configuration changes.
+ */
+const createDirectoryWatcher = ({ onChange, debounceMs = DEFAULT_DEBOUNCE_MS }) => {
+  let watchers = [];
+  let timer = null;
+  const pending = new Set();
+
+  const schedule = (change) => {
+    pending.add(change);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changes = Array.from(pending);
+      pending.clear();
+      onChange(changes.join(', '));
+    }, debounceMs);
+  };
+
+  const close = () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+    watchers = [];
+  };
+
+  const watch = (targets) => {
+    close();
+
+    const byDir = new Map();
+    targets.forEach(({ dir, names }) => {
+      const resolved = path.resolve(dir);
+      const entry = byDir.get(resolved) || { all: false, names: new Set() };
+      if (names) names.forEach((name) => entry.names.add(name));
+      else entry.all = true;
+      byDir.set(resolved, entry);
+    });
+
+    byDir.forEach(({ all, names }, dir) => {
+      try {
+        const watcher = fs.watch(dir, { persistent: false }, (_event, filename) => {
+          const name = filename ? String(filename) : '';
+          if (names.has(name) || (all && !isIgnoredName(name))) {
+            schedule(path.join(dir, name));
+          }
+        });
+        watcher.on('error', (error) => {
+          console.warn(`[tileserver] Stopped watching ${dir}: ${error.message}`);
+        });
+        watchers.push(watcher);
+      } catch (error) {
+        console.warn(`[tileserver] Cannot watch ${dir}: ${error.message}`);
+      }
+    });
+  };
+
+  return { watch, close };
+};
+
+module.exports = { createDirectoryWatcher };
@@ -1,7 +1,38 @@
+// The embedded tile server loads .env itself so that it can reload it;
+// passing it the merged environment would pin every value.
+const shellEnv = { ...process.env };
 require('dotenv').config();
 
+const fs = require('fs');
 const path = require('path');
-const { app, BrowserWindow, Menu } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron');
+const { createRouteLibrary } = require('./lib/route-library');
+const { createBookmarkStore } = require('./lib/bookmark-store');
+const { createTileServerProcess, fetchJson } = require('./lib/tile-server-process');
+const { createDownloadManager } = require('./lib/download-manager');
+const { buildClientConfig, describeConfig, loadConfig } = require('./lib/config');
+const { DEEP_LINK_SCHEME, deepLinkToHash, findDeepLink, formatDeepLink } = require('./lib/deep-link');
+
+// Reported once the app is ready, since it needs a dialog.
+let config = null;
+let configError = null;
+try {
+  config = loadConfig();
+} catch (error) {
+  configError = error;
+}
+
+let tileServer = null;
+let downloads = null;
+
+// Links open in the running app rather than in a second copy of it.
+const isPrimaryInstance = app.requestSingleInstanceLock();
+if (!isPrimaryInstance) {
+  app.quit();
+}
+
+// A link that started the app, or arrived before its window opened.
+let pendingDeepLink = findDeepLink(process.argv);
 
 const createWindow = () => {
   const mainWindow = new BrowserWindow({
@@ -12,11 +43,189 @@ const createWindow = () => {
     }
   });
 
-  mainWindow.loadFile('index.html');
+  const hash = pendingDeepLink && deepLinkToHash(pendingDeepLink);
+  pendingDeepLink = null;
+  mainWindow.loadFile('index.html', hash ? { hash } : undefined);
+};
+
+/**
+ * Bring the app forward and show the view and route of an app link, if
+ * any. The renderer applies the link's hash as if it had been typed in.
+ */
+const openDeepLink = (url) => {
+  const [window] = BrowserWindow.getAllWindows();
+  if (!window) {
+    pendingDeepLink = url || pendingDeepLink;
+    return;
+  }
+
+  if (window.isMinimized()) window.restore();
+  window.focus();
+  const hash = url && deepLinkToHash(url);
+  if (hash) {
+    window.webContents.send('deep-link:open', hash);
+  }
+};
+
+app.on('second-instance', (_event, argv) => openDeepLink(findDeepLink(argv)));
+// macOS delivers links as events, also the one that launched the app.
+app.on('open-url', (event, url) => {
+  event.preventDefault();
+  openDeepLink(url);
+});
+
+const registerDeepLinks = () => {
+  // Unpackaged (`electron .`), the OS must be told which app to start.
+  if (process.defaultApp && process.argv.length >= 2) {
+    app.setAsDefaultProtocolClient(DEEP_LINK_SCHEME, process.execPath, [path.resolve(process.argv[1])]);
+  } else {
+    app.setAsDefaultProtocolClient(DEEP_LINK_SCHEME);
+  }
+  ipcMain.handle('deep-link:format', (_event, hash) => formatDeepLink(hash));
+};
+
+const broadcast = (channel, payload) => {
+  BrowserWindow.getAllWindows().forEach((window) => window.webContents.send(channel, payload));
+};
+
+// Whether the external server in TILE_SERVER_URL answers; `auto` only
+// starts the embedded server when it does not.
+const isExternalServerUp = async () => {
+  try {
+    const { origin } = new URL(config.values.TILE_SERVER_URL);
+    await fetchJson(`${origin}/health`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Start the tile server as a supervised child process when
+ * TILE_SERVER_EMBEDDED is `on`, or `auto` and no server is running yet.
+ */
+const startEmbeddedTileServer = async () => {
+  const mode = config.values.TILE_SERVER_EMBEDDED;
+  if (mode === 'off') return;
+  if (mode === 'auto' && (await isExternalServerUp())) {
+    console.log('[main] Using the tile server already running at TILE_SERVER_URL');
+    return;
+  }
+
+  tileServer = createTileServerProcess({
+    nodePath: config.values.TILE_SERVER_NODE,
+    // The server resolves the same config file and profile itself.
+    env: {
+      ...shellEnv,
+      ...(config.filePath ? { APP_CONFIG_FILE: config.filePath } : {}),
+      ...(config.profile ? { APP_PROFILE: config.profile } : {})
+    },
+    onStatus: (status) => broadcast('tile-server:status', status)
+  });
+  const url = await tileServer.start();
+  console.log(`[main] Started the embedded tile server at ${url}`);
+};
+
+const registerTileServerHandlers = () => {
+  // Read synchronously by the preload script, after the embedded server
+  // (if any) has its URL.
+  ipcMain.on('config:client', (event) => {
+    event.returnValue = buildClientConfig(config.values, {
+      embeddedUrl: tileServer ? tileServer.getStatus().url : null
+    });
+  });
+  ipcMain.handle('tile-server:status', () => (tileServer ? tileServer.getStatus() : null));
 };
 
-app.whenReady().then(() => {
+const registerDownloadHandlers = () => {
+  downloads = createDownloadManager({
+    settings: config.values,
+    onProgress: (progress) => broadcast('downloads:progress', progress)
+  });
+
+  ipcMain.handle('downloads:sources', () => downloads.listSources());
+  ipcMain.handle('downloads:estimate', (_event, request) => downloads.estimate(request));
+  ipcMain.handle('downloads:start', (_event, request) => downloads.start(request));
+  ipcMain.handle('downloads:pause', () => downloads.pause());
+  ipcMain.handle('downloads:resume', () => downloads.resume());
+  ipcMain.handle('downloads:cancel', () => downloads.cancel());
+  ipcMain.handle('downloads:status', () => downloads.status());
+};
+
+const registerRouteHandlers = () => {
+  const library = createRouteLibrary(path.join(app.getPath('userData'), 'routes'));
+
+  ipcMain.handle('routes:list', () => library.list());
+  ipcMain.handle('routes:load', (_event, id) => library.load(id));
+  ipcMain.handle('routes:save', (_event, route) => library.save(route));
+  ipcMain.handle('routes:delete', (_event, id) => library.remove(id));
+
+  ipcMain.handle('files:save', async (event, { defaultName, content, filters }) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      defaultPath: defaultName,
+      filters
+    });
+
+    if (canceled || !filePath) {
+      return { canceled: true };
+    }
+
+    await fs.promises.writeFile(filePath, content, 'utf8');
+    return { canceled: false, filePath };
+  });
+
+  ipcMain.handle('files:open', async (event, { filters, multiple = true } = {}) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+      properties: multiple ? ['openFile', 'multiSelections'] : ['openFile'],
+      filters
+    });
+
+    if (canceled) {
+      return [];
+    }
+
+    return Promise.all(
+      filePaths.map(async (filePath) => ({
+        name: path.basename(filePath),
+        content: await fs.promises.readFile(filePath, 'utf8')
+      }))
+    );
+  });
+};
+
+const registerBookmarkHandlers = () => {
+  const store = createBookmarkStore(path.join(app.getPath('userData'), 'bookmarks.json'));
+
+  ipcMain.handle('bookmarks:list', () => store.list());
+  ipcMain.handle('bookmarks:save', (_event, bookmark) => store.save(bookmark));
+  ipcMain.handle('bookmarks:delete', (_event, id) => store.remove(id));
+  ipcMain.handle('bookmarks:import', (_event, bookmarks) => store.importBookmarks(bookmarks));
+};
+
+app.whenReady().then(async () => {
+  if (!isPrimaryInstance) return;
+
+  if (configError) {
+    console.error(`[main] ${configError.message}`);
+    dialog.showErrorBox('Invalid configuration', configError.message);
+    app.exit(1);
+    return;
+  }
+
+  console.log(`[main] ${describeConfig(config)}`);
   Menu.setApplicationMenu(null);
+  registerRouteHandlers();
+  registerBookmarkHandlers();
+  registerTileServerHandlers();
+  registerDownloadHandlers();
+  registerDeepLinks();
+  try {
+    await startEmbeddedTileServer();
+  } catch (error) {
+    console.error('[main] Failed to start the embedded tile server:', error);
+  }
   createWindow();
 
   app.on('activate', () => {
@@ -26,9 +235,21 @@ app.whenReady().then(() => {
   });
 });
 
+// A running download is stopped so it can resume next time, then the
+// embedded tile server is shut down.
+let quitting = false;
+app.on('before-quit', (event) => {
+  if (quitting || (!tileServer && !downloads)) return;
+
+  event.preventDefault();
+  quitting = true;
+  Promise.resolve(downloads && downloads.shutdown())
+    .then(() => tileServer && tileServer.stop())
+    .finally(() => app.quit());
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
   }
 });
-
@@ -1,16 +1,45 @@
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Resolved by main.js from the shared config (lib/config.js), with the
+// tile URLs already pointing at the embedded tile server when it runs.
+const clientConfig = ipcRenderer.sendSync('config:client');
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  getTileServerConfig: () => ({
-    urlTemplate: process.env.TILE_SERVER_URL || 'http://localhost:8080/tiles/{z}/{x}/{y}.png',
-    attribution: process.env.TILE_SERVER_ATTRIBUTION || 'Local tile server',
-    minZoom: Number(process.env.TILE_SERVER_MIN_ZOOM || 0),
-    maxZoom: Number(process.env.TILE_SERVER_MAX_ZOOM || 19)
-  }),
-  getInitialView: () => ({
-    lat: Number(process.env.MAP_LAT || 37.7749),
-    lng: Number(process.env.MAP_LNG || -122.4194),
-    zoom: Number(process.env.MAP_ZOOM || 12)
-  })
+  getTileServerConfig: () => clientConfig.tileServer,
+  getInitialView: () => clientConfig.initialView,
+  listRoutes: () => ipcRenderer.invoke('routes:list'),
+  loadRoute: (id) => ipcRenderer.invoke('routes:load', id),
+  saveRoute: (route) => ipcRenderer.invoke('routes:save', route),
+  deleteRoute: (id) => ipcRenderer.invoke('routes:delete', id),
+  listBookmarks: () => ipcRenderer.invoke('bookmarks:list'),
+  saveBookmark: (bookmark) => ipcRenderer.invoke('bookmarks:save', bookmark),
+  deleteBookmark: (id) => ipcRenderer.invoke('bookmarks:delete', id),
+  importBookmarks: (bookmarks) => ipcRenderer.invoke('bookmarks:import', bookmarks),
+  saveFile: (options) => ipcRenderer.invoke('files:save', options),
+  openFiles: (options) => ipcRenderer.invoke('files:open', options),
+  getTileServerStatus: () => ipcRenderer.invoke('tile-server:status'),
+  onTileServerStatus: (callback) => {
+    const listener = (_event, status) => callback(status);
+    ipcRenderer.on('tile-server:status', listener);
+    return () => ipcRenderer.removeListener('tile-server:status', listener);
+  },
+  listDownloadSources: () => ipcRenderer.invoke('downloads:sources'),
+  estimateDownload: (request) => ipcRenderer.invoke('downloads:estimate', request),
+  startDownload: (request) => ipcRenderer.invoke('downloads:start', request),
+  pauseDownload: () => ipcRenderer.invoke('downloads:pause'),
+  resumeDownload: () => ipcRenderer.invoke('downloads:resume'),
+  cancelDownload: () => ipcRenderer.invoke('downloads:cancel'),
+  getDownloadStatus: () => ipcRenderer.invoke('downloads:status'),
+  onDownloadProgress: (callback) => {
+    const listener = (_event, progress) => callback(progress);
+    ipcRenderer.on('downloads:progress', listener);
+    return () => ipcRenderer.removeListener('downloads:progress', listener);
+  },
+  formatDeepLink: (hash) => ipcRenderer.invoke('deep-link:format', hash),
+  onDeepLink: (callback) => {
+    const listener = (_event, hash) => callback(hash);
+    ipcRenderer.on('deep-link:open', listener);
+    return () => ipcRenderer.removeListener('deep-link:open', listener);
+  }
 });
 
@@ -1,4 +1,6 @@
+// Missing and blank values are not zero.
 const toFiniteNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return undefined;
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : undefined;
 };
@@ -14,125 +16,168 @@ const safeGetContextBridgeConfig = (getter, fallback) => {
   return fallback;
 };
 
-const getRendererEnv = () => {
+const parseLayersParam = (value) => {
+  if (!value) return undefined;
+
   try {
-    if (typeof window !== 'undefined' && window.process && window.process.env) {
-      return window.process.env;
-    }
+    const layers = JSON.parse(value);
+    return Array.isArray(layers) ? layers : undefined;
   } catch (error) {
-    console.warn('[renderer] Unable to access process.env in renderer:', error);
+    console.warn('[renderer] Ignoring invalid layers query parameter:', error);
+    return undefined;
   }
-  return undefined;
 };
 
-const FALLBACK_TILE_SERVER = (() => {
-  const env = getRendererEnv();
-  const defaults = {
-    urlTemplate: 'http://127.0.0.1:8080/tiles/{z}/{x}/{y}.png',
-    attribution: 'Local tile server',
-    minZoom: 12,
-    maxZoom: 19
-  };
+/**
+ * The client config built by lib/config.js, which owns every default:
+ * from the preload script in the app, or as `window.appConfig` from the
+ * web server's /config.js.
+ */
+const readClientConfig = () => {
+  const tileServer = safeGetContextBridgeConfig('getTileServerConfig', null);
+  const initialView = safeGetContextBridgeConfig('getInitialView', null);
+  if (tileServer && initialView) {
+    return { tileServer, initialView };
+  }
 
-  if (!env) return defaults;
+  const { appConfig } = window;
+  if (appConfig && appConfig.tileServer && appConfig.initialView) {
+    return appConfig;
+  }
+  return null;
+};
 
-  const minZoom = toFiniteNumber(env.TILE_SERVER_MIN_ZOOM);
-  const maxZoom = toFiniteNumber(env.TILE_SERVER_MAX_ZOOM);
+/**
+ * Without a client config (index.html opened directly), the page URL has to
+ * name the tiles and the view: `?tiles=…&lat=…&lng=…&zoom=…`, optionally
+ * with `attr`, `minZoom`, `maxZoom`, `layers`, `search` and `key`.
+ */
+const readQueryConfig = () => {
+  const params = new URLSearchParams(window.location.search);
+  const urlTemplate = params.get('tiles');
+  const initialView = {
+    lat: toFiniteNumber(params.get('lat')),
+    lng: toFiniteNumber(params.get('lng')),
+    zoom: toFiniteNumber(params.get('zoom'))
+  };
+  if (!urlTemplate || Object.values(initialView).includes(undefined)) {
+    return null;
+  }
 
   return {
-    ...defaults,
-    urlTemplate: env.TILE_SERVER_URL?.trim() || defaults.urlTemplate,
-    attribution: env.TILE_SERVER_ATTRIBUTION || defaults.attribution,
-    minZoom: Number.isFinite(minZoom) ? minZoom : defaults.minZoom,
-    maxZoom: Number.isFinite(maxZoom) ? maxZoom : defaults.maxZoom
-  };
-})();
-
-const FALLBACK_INITIAL_VIEW = (() => {
-  const env = getRendererEnv();
-  const defaults = {
-    lat: 39.045375,
-    lng: 125.7680275,
-    zoom: 17
+    tileServer: {
+      urlTemplate,
+      attribution: params.get('attr') || undefined,
+      minZoom: toFiniteNumber(params.get('minZoom')),
+      maxZoom: toFiniteNumber(params.get('maxZoom')),
+      layers: parseLayersParam(params.get('layers')),
+      searchUrl: params.get('search') || undefined,
+      apiKey: params.get('key') || undefined
+    },
+    initialView
   };
+};
 
-  if (!env) return defaults;
+const resolveRuntimeConfig = () => readClientConfig() || readQueryConfig();
 
-  const lat = toFiniteNumber(env.MAP_LAT);
-  const lng = toFiniteNumber(env.MAP_LNG);
-  const zoom = toFiniteNumber(env.MAP_ZOOM);
+const LAYER_SELECTION_STORAGE_KEY = 'map.layerSelection';
 
-  return {
-    lat: Number.isFinite(lat) ? lat : defaults.lat,
-    lng: Number.isFinite(lng) ? lng : defaults.lng,
-    zoom: Number.isFinite(zoom) ? zoom : defaults.zoom
-  };
-})();
+// Hatched placeholder drawn where the server has no tile, so gaps stay
+// visible without hiding the rest of the map.
+const MISSING_TILE_URL = `data:image/svg+xml,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">' +
+    '<defs><pattern id="h" width="16" height="16" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">' +
+    '<rect width="16" height="16" fill="#f1f5f9"/><line x1="0" y1="0" x2="0" y2="16" stroke="#cbd5e1" stroke-width="6"/>' +
+    '</pattern></defs><rect width="256" height="256" fill="url(#h)"/></svg>'
+)}`;
 
-const DEFAULT_TILE_SERVER = (() => {
-  const fromPreload = safeGetContextBridgeConfig('getTileServerConfig', null);
-  if (fromPreload) {
-    return { ...FALLBACK_TILE_SERVER, ...fromPreload };
-  }
-  return FALLBACK_TILE_SERVER;
-})();
+/**
+ * Append the tile server API key to a URL template on the tile server's
+ * origin, so Leaflet's image requests carry it. Other hosts never see the
+ * key. Templates are edited as strings because `new URL` would escape their
+ * `{z}` placeholders.
+ */
+const withApiKey = (urlTemplate, tileServer) => {
+  if (!tileServer.apiKey) return urlTemplate;
 
-const DEFAULT_INITIAL_VIEW = (() => {
-  const fromPreload = safeGetContextBridgeConfig('getInitialView', null);
-  if (fromPreload) {
-    return { ...FALLBACK_INITIAL_VIEW, ...fromPreload };
+  try {
+    const base = window.location.href;
+    if (new URL(urlTemplate, base).origin !== new URL(tileServer.urlTemplate, base).origin) {
+      return urlTemplate;
+    }
+  } catch (error) {
+    return urlTemplate;
   }
-  return FALLBACK_INITIAL_VIEW;
-})();
 
-const extractBrowserConfig = () => {
-  if (window.appConfig && typeof window.appConfig === 'object') {
-    return {
-      tileServer: {
-        ...DEFAULT_TILE_SERVER,
-        ...(window.appConfig.tileServer || {})
-      },
-      initialView: {
-        ...DEFAULT_INITIAL_VIEW,
-        ...(window.appConfig.initialView || {})
-      }
-    };
-  }
+  const separator = urlTemplate.includes('?') ? '&' : '?';
+  return `${urlTemplate}${separator}key=${encodeURIComponent(tileServer.apiKey)}`;
+};
 
-  const params = new URLSearchParams(window.location.search);
+const clampOpacity = (value) => {
+  const opacity = toFiniteNumber(value);
+  return Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 1;
+};
 
-  const tileServer = {
-    ...DEFAULT_TILE_SERVER,
-    urlTemplate: params.get('tiles') || DEFAULT_TILE_SERVER.urlTemplate,
-    attribution: params.get('attr') || DEFAULT_TILE_SERVER.attribution,
-    minZoom: Number(params.get('minZoom')) || DEFAULT_TILE_SERVER.minZoom,
-    maxZoom: Number(params.get('maxZoom')) || DEFAULT_TILE_SERVER.maxZoom
-  };
+const normalizeLayerDefinition = (layer, index, tileServer) => {
+  const minZoom = toFiniteNumber(layer.minZoom);
+  const maxZoom = toFiniteNumber(layer.maxZoom);
+  const overlay = Boolean(layer.overlay);
 
-  const initialView = {
-    ...DEFAULT_INITIAL_VIEW,
-    lat: Number(params.get('lat')) || DEFAULT_INITIAL_VIEW.lat,
-    lng: Number(params.get('lng')) || DEFAULT_INITIAL_VIEW.lng,
-    zoom: Number(params.get('zoom')) || DEFAULT_INITIAL_VIEW.zoom
+  return {
+    id: String(layer.id || layer.name || `layer-${index + 1}`),
+    name: String(layer.name || layer.id || `Layer ${index + 1}`),
+    urlTemplate: layer.urlTemplate,
+    attribution: layer.attribution ?? tileServer.attribution,
+    minZoom: Number.isFinite(minZoom) ? minZoom : tileServer.minZoom,
+    maxZoom: Number.isFinite(maxZoom) ? maxZoom : tileServer.maxZoom,
+    opacity: clampOpacity(layer.opacity),
+    overlay,
+    visible: overlay ? layer.visible !== false : false
   };
-
-  return { tileServer, initialView };
 };
 
-const resolveRuntimeConfig = () => {
-  const preloadTileServer =
-    safeGetContextBridgeConfig('getTileServerConfig', null);
-  const preloadInitialView =
-    safeGetContextBridgeConfig('getInitialView', null);
+/**
+ * Turn `tileServer.layers` into base layers and overlays. Without any
+ * configured base layer, `tileServer.urlTemplate` becomes the only one so
+ * single-layer setups keep working.
+ */
+const resolveLayerDefinitions = (tileServer) => {
+  const configured = (Array.isArray(tileServer.layers) ? tileServer.layers : [])
+    .filter((layer) => layer && typeof layer.urlTemplate === 'string' && layer.urlTemplate.trim())
+    .map((layer, index) => normalizeLayerDefinition(layer, index, tileServer));
+
+  const baseLayers = configured.filter((layer) => !layer.overlay);
+  const overlays = configured.filter((layer) => layer.overlay);
+
+  if (!baseLayers.length) {
+    baseLayers.push(
+      normalizeLayerDefinition(
+        { id: 'default', name: 'Base map', urlTemplate: tileServer.urlTemplate },
+        0,
+        tileServer
+      )
+    );
+  }
 
-  if (preloadTileServer && preloadInitialView) {
-    return {
-      tileServer: { ...DEFAULT_TILE_SERVER, ...preloadTileServer },
-      initialView: { ...DEFAULT_INITIAL_VIEW, ...preloadInitialView }
-    };
+  return { baseLayers, overlays };
+};
+
+const loadLayerSelection = () => {
+  try {
+    const stored = window.localStorage.getItem(LAYER_SELECTION_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('[renderer] Unable to read saved layer selection:', error);
+    return null;
   }
+};
 
-  return extractBrowserConfig();
+const saveLayerSelection = (selection) => {
+  try {
+    window.localStorage.setItem(LAYER_SELECTION_STORAGE_KEY, JSON.stringify(selection));
+  } catch (error) {
+    console.warn('[renderer] Unable to save layer selection:', error);
+  }
 };
 
 const getEmptyState = () => document.getElementById('map-empty-state');
@@ -166,127 +211,331 @@ const bootstrapLeafletMap = () => {
     return;
   }
 
-  const { tileServer, initialView } = resolveRuntimeConfig();
+  const config = resolveRuntimeConfig();
+  if (!config) {
+    setEmptyState(
+      'No configuration',
+      'Start the map with <code>npm start</code> or <code>npm run web</code>, or add <code>?tiles=…&amp;lat=…&amp;lng=…&amp;zoom=…</code> to the URL.'
+    );
+    return;
+  }
+
+  const { tileServer, initialView } = config;
+  // A shared link's view, layers and route win over the configured ones.
+  const shared = parseMapHash(window.location.hash);
+  const startView = shared.view || initialView;
 
   const map = window.L.map(mapElement, {
     zoomControl: true,
     attributionControl: true,
     preferCanvas: true,
     wheelPxPerZoomLevel: 100
-  }).setView([initialView.lat, initialView.lng], initialView.zoom);
-
-  const tileLayer = window.L.tileLayer(tileServer.urlTemplate, {
-    minZoom: tileServer.minZoom,
-    maxZoom: tileServer.maxZoom,
-    attribution: tileServer.attribution,
-    tileSize: 256,
-    keepBuffer: 4,
-    updateInterval: 100
-  });
+  }).setView([startView.lat, startView.lng], startView.zoom);
+
+  const { baseLayers, overlays } = resolveLayerDefinitions(tileServer);
+
+  const createTileLayer = (definition, zIndex) => {
+    const layer = window.L.tileLayer(withApiKey(definition.urlTemplate, tileServer), {
+      // Unset zoom limits keep Leaflet's own.
+      ...(definition.minZoom !== undefined ? { minZoom: definition.minZoom } : {}),
+      ...(definition.maxZoom !== undefined ? { maxZoom: definition.maxZoom } : {}),
+      attribution: definition.attribution,
+      opacity: definition.opacity,
+      zIndex,
+      tileSize: 256,
+      keepBuffer: 4,
+      updateInterval: 100,
+      errorTileUrl: MISSING_TILE_URL
+    });
+
+    // Counts for the current view; reset whenever the layer starts loading
+    // a new set of tiles.
+    let loadedTiles = 0;
+    let failedTiles = 0;
+
+    layer.on('loading', () => {
+      loadedTiles = 0;
+      failedTiles = 0;
+    });
+
+    layer.on('tileload', (event) => {
+      if (event.tile.getAttribute('src') !== MISSING_TILE_URL) {
+        loadedTiles += 1;
+      }
+    });
+
+    layer.on('tileerror', (event) => {
+      const { coords } = event;
+      failedTiles += 1;
+      console.warn(
+        `[renderer] Tile missing (${definition.name}) z:${coords.z} x:${coords.x} y:${coords.y}`
+      );
+    });
+
+    layer.on('load', () => {
+      if (failedTiles > 0 && loadedTiles === 0) {
+        setEmptyState('Tile load error', 'We could not retrieve map tiles from the local server. Verify the tile server is running and accessible.');
+        return;
+      }
+      removeEmptyState();
+    });
 
-  tileLayer.on('tileerror', (event) => {
-    const { coords } = event;
-    console.error(`Tile failed to load z:${coords.z} x:${coords.x} y:${coords.y}`, event.error);
-    setEmptyState('Tile load error', 'We could not retrieve map tiles from the local server. Verify the tile server is running and accessible.');
-  });
+    return layer;
+  };
 
-  tileLayer.on('load', () => {
-    removeEmptyState();
+  const baseLayerEntries = baseLayers.map((definition) => ({
+    definition,
+    layer: createTileLayer(definition, 1)
+  }));
+  const overlayEntries = overlays.map((definition, index) => ({
+    definition,
+    layer: createTileLayer(definition, 10 + index)
+  }));
+
+  const selectionFromIds = (ids) => ({
+    base: ids.find((id) => baseLayerEntries.some((entry) => entry.definition.id === id)),
+    overlays: ids.filter((id) => overlayEntries.some((entry) => entry.definition.id === id))
   });
 
-  tileLayer.addTo(map);
+  const savedSelection = shared.layers ? selectionFromIds(shared.layers) : loadLayerSelection();
+  const activeBase =
+    baseLayerEntries.find((entry) => entry.definition.id === savedSelection?.base) ||
+    baseLayerEntries[0];
+  const activeOverlayIds = Array.isArray(savedSelection?.overlays)
+    ? new Set(savedSelection.overlays)
+    : new Set(overlays.filter((layer) => layer.visible).map((layer) => layer.id));
+
+  activeBase.layer.addTo(map);
+  overlayEntries
+    .filter((entry) => activeOverlayIds.has(entry.definition.id))
+    .forEach((entry) => entry.layer.addTo(map));
+
+  const getLayerSelection = () => {
+    const base = baseLayerEntries.find((entry) => map.hasLayer(entry.layer));
+    return {
+      base: base ? base.definition.id : undefined,
+      overlays: overlayEntries
+        .filter((entry) => map.hasLayer(entry.layer))
+        .map((entry) => entry.definition.id)
+    };
+  };
 
-  // Trajectory drawing state
-  const trajectoryPoints = [];
-  const markerLayer = window.L.layerGroup().addTo(map);
-  const trajectoryLine = window.L.polyline([], {
-    color: '#38bdf8',
-    weight: 4,
-    opacity: 0.85,
-    lineJoin: 'round'
-  }).addTo(map);
+  const persistLayerSelection = () => saveLayerSelection(getLayerSelection());
 
-  const trajectoryControl = window.L.control({ position: 'topright' });
-  let controlContainer = null;
+  if (baseLayerEntries.length + overlayEntries.length > 1) {
+    const toControlEntries = (entries) =>
+      Object.fromEntries(entries.map((entry) => [entry.definition.name, entry.layer]));
 
-  const formatDistance = (meters) => {
-    if (!Number.isFinite(meters) || meters <= 0) {
-      return '0 m';
-    }
+    window.L.control
+      .layers(toControlEntries(baseLayerEntries), toControlEntries(overlayEntries), {
+        position: 'topleft',
+        collapsed: true
+      })
+      .addTo(map);
 
-    if (meters >= 1000) {
-      const km = meters / 1000;
-      return `${km >= 10 ? km.toFixed(1) : km.toFixed(2)} km`;
-    }
+    map.on('baselayerchange overlayadd overlayremove', persistLayerSelection);
+  }
 
-    return `${meters >= 100 ? meters.toFixed(0) : meters.toFixed(1)} m`;
-  };
+  const coverageControl = createCoverageControl(map, {
+    getUrlTemplate: () => {
+      const base = baseLayerEntries.find((entry) => map.hasLayer(entry.layer)) || activeBase;
+      return base.definition.urlTemplate;
+    },
+    apiKey: tileServer.apiKey
+  });
+  coverageControl.control.addTo(map);
+  map.on('baselayerchange', coverageControl.refresh);
+
+  const healthUrl = resolveHealthUrl(tileServer.urlTemplate);
+  if (healthUrl) {
+    const embedded = Boolean(tileServer.embedded && window.electronAPI);
+    createServerStatusControl(map, {
+      healthUrl,
+      subscribe: embedded ? window.electronAPI.onTileServerStatus : undefined,
+      getStatus: embedded ? window.electronAPI.getTileServerStatus : undefined,
+      onRecover: () => {
+        [...baseLayerEntries, ...overlayEntries]
+          .filter((entry) => map.hasLayer(entry.layer))
+          .forEach((entry) => entry.layer.redraw());
+      }
+    }).control.addTo(map);
+  }
 
-  const updateControl = () => {
-    if (!controlContainer) return;
+  if (hasDownloadManager()) {
+    createDownloadControl(map, {
+      onComplete: () => {
+        [...baseLayerEntries, ...overlayEntries]
+          .filter((entry) => map.hasLayer(entry.layer))
+          .forEach((entry) => entry.layer.redraw());
+        coverageControl.refresh();
+      }
+    }).control.addTo(map);
+  }
 
-    const totalDistance = trajectoryPoints.reduce((sum, point, index) => {
-      if (index === 0) return sum;
-      return sum + trajectoryPoints[index - 1].distanceTo(point);
-    }, 0);
+  const searchUrl = resolveSearchUrl(tileServer);
+  if (searchUrl) {
+    createSearchControl(map, { searchUrl, apiKey: tileServer.apiKey }).control.addTo(map);
+  }
 
-    controlContainer.innerHTML = `
-      <strong>Trajectory</strong>
-      <div class="distance">${formatDistance(totalDistance)}</div>
-      <div>${trajectoryPoints.length} point${trajectoryPoints.length === 1 ? '' : 's'}</div>
-      <small>Right-click on the map to add a waypoint.</small>
-      <button type="button" data-clear-trajectory>Clear</button>
-    `;
+  loadCoordinateFormat();
+  let trajectoryControl = null;
+  let mapHash = null;
+
+  const routes = createRouteCollection(map, {
+    onRoutesChange: () => {
+      trajectoryControl?.refresh();
+      mapHash?.update();
+    },
+    onPointsChange: (route) => {
+      trajectoryControl?.updatePoints(route);
+      mapHash?.update();
+    }
+  });
+
+  const routePanel = createRoutePanel({
+    getRoutes: (scope) =>
+      (scope === 'all' ? routes.list() : [routes.getActive()]).map((route) => ({
+        id: route.id,
+        name: route.name,
+        kind: route.kind,
+        points: route.layer.getPoints()
+      })),
+    loadRoutes: (imported) => {
+      const loaded = routes.importRoutes(imported);
+      const points = imported.flatMap((route) => route.points);
+      if (points.length > 0) {
+        map.fitBounds(window.L.latLngBounds(points), { padding: [40, 40], maxZoom: 17 });
+      }
+      removeEmptyState();
+      return loaded;
+    }
+  });
 
-    const button = controlContainer.querySelector('[data-clear-trajectory]');
-    if (button) {
-      button.disabled = trajectoryPoints.length === 0;
-      button.style.opacity = trajectoryPoints.length === 0 ? '0.7' : '1';
-      button.addEventListener('click', clearTrajectory, { once: true });
+  routes.addRoute({ name: 'Trajectory' });
+
+  trajectoryControl = createTrajectoryControl({ collection: routes, routePanel });
+  trajectoryControl.control.addTo(map);
+
+  // Links opened again, or the hash written back for our own route, must not
+  // pile up copies: a route already on the map is kept, and later links
+  // replace the points of the route the last one imported.
+  let sharedRouteId = null;
+  const sameRoute = (route, other) =>
+    route.kind === other.kind && encodePolyline(route.points) === encodePolyline(other.layer.getPoints());
+
+  const showSharedRoute = (route, fit) => {
+    const active = routes.getActive();
+    const previous = routes.getRoute(sharedRouteId);
+    if (!sameRoute(route, active)) {
+      if (previous && previous.kind === route.kind) {
+        previous.layer.setPoints(route.points);
+        if (!previous.layer.isVisible()) routes.setVisible(previous.id, true);
+        routes.setActive(previous.id);
+      } else {
+        const [imported] = routes.importRoutes([{ name: 'Shared route', kind: route.kind, points: route.points }]);
+        sharedRouteId = imported.id;
+      }
+    }
+    if (fit) {
+      map.fitBounds(window.L.latLngBounds(route.points), { padding: [40, 40], maxZoom: 17 });
     }
+    removeEmptyState();
   };
 
-  const clearTrajectory = () => {
-    trajectoryPoints.length = 0;
-    trajectoryLine.setLatLngs([]);
-    markerLayer.clearLayers();
-    updateControl();
+  const showLayerSelection = ({ base, overlays }) => {
+    const baseEntry = baseLayerEntries.find((entry) => entry.definition.id === base);
+    if (baseEntry && !map.hasLayer(baseEntry.layer)) {
+      baseLayerEntries.forEach((entry) => entry.layer.remove());
+      baseEntry.layer.addTo(map);
+    }
+    overlayEntries.forEach((entry) => {
+      if (overlays.includes(entry.definition.id)) entry.layer.addTo(map);
+      else entry.layer.remove();
+    });
+    persistLayerSelection();
+    coverageControl.refresh();
   };
 
-  trajectoryControl.onAdd = () => {
-    controlContainer = window.L.DomUtil.create('div', 'trajectory-control');
-    window.L.DomEvent.disableClickPropagation(controlContainer);
-    updateControl();
-    return controlContainer;
-  };
+  if (shared.route) {
+    showSharedRoute(shared.route, !shared.view);
+  }
+
+  mapHash = createMapHashSync(map, {
+    getLayers: () => {
+      if (baseLayerEntries.length + overlayEntries.length < 2) return null;
+      const { base, overlays } = getLayerSelection();
+      return [base, ...overlays].filter(Boolean);
+    },
+    getRoute: () => {
+      const route = routes.getActive();
+      return { kind: route.kind, points: route.layer.getPoints() };
+    },
+    onChange: (state) => {
+      if (state.layers) showLayerSelection(selectionFromIds(state.layers));
+      if (state.route) showSharedRoute(state.route, !state.view);
+      if (state.view) map.setView([state.view.lat, state.view.lng], state.view.zoom);
+    }
+  });
+  map.on('baselayerchange overlayadd overlayremove', mapHash.update);
+  mapHash.update();
+
+  const deepLinks = Boolean(window.electronAPI && window.electronAPI.onDeepLink);
+  if (deepLinks) {
+    // Links opened while the app runs arrive here; the hash listener
+    // above applies them.
+    window.electronAPI.onDeepLink((hash) => {
+      window.location.hash = hash;
+    });
+  }
+
+  createShareControl({
+    getLink: () => {
+      const hash = mapHash.getHash();
+      return deepLinks
+        ? window.electronAPI.formatDeepLink(hash)
+        : `${window.location.href.split('#')[0]}#${hash}`;
+    }
+  }).control.addTo(map);
+
+  createBookmarksControl(map, {
+    getTilesets: () =>
+      baseLayerEntries.map((entry) => ({ id: entry.definition.id, name: entry.definition.name })),
+    getTileset: () => getLayerSelection().base,
+    showTileset: (id) => {
+      showLayerSelection({ base: id, overlays: getLayerSelection().overlays });
+      mapHash.update();
+    }
+  }).control.addTo(map);
 
-  trajectoryControl.addTo(map);
+  createCoordinateControl(map, {
+    onFormatChange: () => {
+      routes.list().forEach((route) => route.layer.refreshLabels());
+      trajectoryControl.refresh();
+    }
+  }).control.addTo(map);
 
   mapElement.addEventListener('contextmenu', (event) => {
     event.preventDefault();
   });
 
   map.on('contextmenu', (event) => {
-    const latLng = window.L.latLng(event.latlng.lat, event.latlng.lng);
-
-    trajectoryPoints.push(latLng);
-    trajectoryLine.addLatLng(latLng);
-
-    window.L.circleMarker(latLng, {
-      radius: 6,
-      color: '#0ea5e9',
-      fillColor: '#0ea5e9',
-      fillOpacity: 0.9,
-      weight: 2
-    })
-      .bindTooltip(
-        `#${trajectoryPoints.length}<br>${latLng.lat.toFixed(5)}, ${latLng.lng.toFixed(5)}`,
-        { permanent: false }
-      )
-      .addTo(markerLayer);
-
+    routes.addPointToActive(event.latlng);
     removeEmptyState();
-    updateControl();
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    if (event.target instanceof HTMLElement && event.target.closest('input, textarea, select')) return;
+
+    const key = event.key.toLowerCase();
+    const { layer } = routes.getActive();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      layer.undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      layer.redo();
+    }
   });
 };
 
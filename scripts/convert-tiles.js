@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/**
+ * Convert and recompress a `{z}/{x}/{y}.{ext}` tile tree into a new root.
+ *
+ * Examples:
+ *   node scripts/convert-tiles.js --input ./tiles --output ./tiles-webp --format webp --quality 75
+ *   node scripts/convert-tiles.js --input ./tiles/satellite --output ./tiles/satellite-jpg --format jpg --drop-blank
+ *   node scripts/convert-tiles.js --output ./tiles-small --quality 80 --drop-blank=uniform --dedupe --dry-run
+ *
+ * --format is png, jpg, webp or keep (the default, recompressing each tile in
+ * its own format). --quality applies to JPEG and WebP (default 85) and, for
+ * PNG, switches to a quantized palette when below 100; --lossless selects
+ * lossless WebP. JPEG output flattens transparency onto --background.
+ * A recompressed tile that would come out larger than the original, or a
+ * JPEG kept as JPEG without --quality, is copied unchanged.
+ *
+ * --drop-blank leaves out fully transparent tiles; --drop-blank=uniform also
+ * drops tiles of a single flat colour. Identical source tiles are encoded
+ * once; with --dedupe their copies become hard links to the first one.
+ *
+ * The input is never modified. A per-zoom table of tiles, dropped tiles and
+ * bytes before/after is printed at the end (--report also writes it as
+ * JSON). Point TILE_SERVER_ROOT at the output and set the tile URL extension
+ * to the new format to serve it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { collectDirectoryTiles } = require('../lib/tile-pack');
+const { TILE_FORMATS, encodeTile, isBlankTile, normalizeTileFormat } = require('../lib/tile-image');
+
+require('dotenv').config();
+
+const DEFAULT_CONCURRENCY = 2;
+const PROGRESS_INTERVAL_MS = 1000;
+const METADATA_FILE = 'tileset.json';
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const result = {};
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+
+    const [key, ...value] = arg.slice(2).split('=');
+    if (value.length) {
+      result[key] = value.join('=');
+      continue;
+    }
+
+    const next = args[i + 1];
+    if (!next || next.startsWith('--')) {
+      result[key] = true;
+      continue;
+    }
+
+    result[key] = next;
+    i += 1;
+  }
+
+  return result;
+};
+
+const args = parseArgs();
+
+const parseZooms = (value) => {
+  if (!value || value === true) {
+    return undefined;
+  }
+
+  const text = String(value).trim();
+  const range = /^(\d+)-(\d+)$/.exec(text);
+  if (range) {
+    const [start, end] = [Number(range[1]), Number(range[2])];
+    return Array.from({ length: Math.max(end - start + 1, 0) }, (_, index) => start + index);
+  }
+  return text
+    .split(',')
+    .map((part) => parseInt(part.trim(), 10))
+    .filter(Number.isFinite);
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 100 || unit === 0 ? value.toFixed(0) : value.toFixed(1)} ${units[unit]}`;
+};
+
+const formatSaved = (before, after) =>
+  before > 0 ? `${(((before - after) / before) * 100).toFixed(1)}%` : '--';
+
+const resolveOptions = () => {
+  const input = path.resolve(
+    args.input || process.env.TILE_SERVER_ROOT || path.join(__dirname, '..', 'tiles')
+  );
+  if (!args.output || args.output === true) {
+    throw new Error('Provide --output <dir> for the converted tiles.');
+  }
+  const output = path.resolve(args.output);
+  if (output === input) {
+    throw new Error('--output must differ from --input; the input is never modified.');
+  }
+
+  const format = args.format && args.format !== true ? normalizeTileFormat(args.format) : 'keep';
+  if (format !== 'keep' && !TILE_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${[...TILE_FORMATS, 'keep'].join(', ')}.`);
+  }
+
+  let quality;
+  if (args.quality !== undefined) {
+    quality = Number(args.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new Error('--quality must be an integer from 1 to 100.');
+    }
+  }
+
+  const dropBlank = args['drop-blank'];
+  if (dropBlank !== undefined && dropBlank !== true && dropBlank !== 'uniform') {
+    throw new Error("--drop-blank takes no value, or 'uniform' to also drop flat-colour tiles.");
+  }
+
+  return {
+    input,
+    output,
+    format,
+    quality,
+    lossless: args.lossless === true || args.lossless === 'true',
+    background: args.background && args.background !== true ? args.background : '#ffffff',
+    dropBlank: dropBlank === undefined ? null : { uniform: dropBlank === 'uniform' },
+    dedupe: args.dedupe === true || args.dedupe === 'true',
+    dryRun: args['dry-run'] === true || args['dry-run'] === 'true',
+    zooms: parseZooms(args.zoom),
+    concurrency: Math.max(1, Math.floor(Number(args.concurrency) || DEFAULT_CONCURRENCY)),
+    reportPath: args.report && args.report !== true ? path.resolve(args.report) : undefined
+  };
+};
+
+const writeFileAtomic = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const partialPath = `${filePath}.part`;
+  await fs.promises.writeFile(partialPath, data);
+  await fs.promises.rename(partialPath, filePath);
+};
+
+const linkOrCopy = async (fromPath, toPath) => {
+  await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+  await fs.promises.rm(toPath, { force: true });
+  try {
+    await fs.promises.link(fromPath, toPath);
+  } catch (error) {
+    await fs.promises.copyFile(fromPath, toPath);
+  }
+};
+
+/**
+ * Encode one distinct source image, or return null when it is blank and
+ * blank tiles are dropped.
+ */
+const convertImage = async (data, sourceFormat, options) => {
+  if (options.dropBlank && (await isBlankTile(data, options.dropBlank))) {
+    return null;
+  }
+
+  const format = options.format === 'keep' ? sourceFormat : options.format;
+  const sameFormat = format === sourceFormat;
+  if (sameFormat && format === 'jpg' && options.quality === undefined) {
+    return { data, format };
+  }
+
+  const encoded = await encodeTile(sharp(data), format, options);
+  return { data: sameFormat && encoded.length >= data.length ? data : encoded, format };
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = resolveOptions();
+  } catch (error) {
+    console.error(`[convert-tiles] ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`[convert-tiles] ${options.dryRun ? 'Planning' : 'Starting'} conversion with:`);
+  console.log(`  input:       ${options.input}`);
+  console.log(`  output:      ${options.output}`);
+  console.log(`  format:      ${options.format}${options.quality ? ` (quality ${options.quality})` : ''}${options.lossless ? ' (lossless)' : ''}`);
+  console.log(`  zoom levels: ${options.zooms ? options.zooms.join(', ') : 'all'}`);
+  console.log(`  drop blank:  ${options.dropBlank ? (options.dropBlank.uniform ? 'transparent and flat colour' : 'transparent') : 'no'}`);
+  console.log(`  dedupe:      ${options.dedupe ? 'hard links' : 'no'}`);
+
+  const tiles = await collectDirectoryTiles(options.input, { zooms: options.zooms });
+  if (!tiles.length) {
+    console.error(`[convert-tiles] No tiles found in ${options.input}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const zoomStats = new Map();
+  const statsFor = (zoom) => {
+    if (!zoomStats.has(zoom)) {
+      zoomStats.set(zoom, { zoom, tiles: 0, bytesBefore: 0, bytesAfter: 0, written: 0, blank: 0, duplicates: 0, failed: 0 });
+    }
+    return zoomStats.get(zoom);
+  };
+
+  // One conversion per distinct source image; later copies reuse the result
+  // (and, with --dedupe, the first output file).
+  const distinct = new Map();
+  let processed = 0;
+  let lastPrintedAt = 0;
+
+  const convertTile = async (tile) => {
+    const stats = statsFor(tile.z);
+    const data = await fs.promises.readFile(tile.filePath);
+    stats.tiles += 1;
+    stats.bytesBefore += data.length;
+
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const seen = distinct.get(hash);
+    if (!seen) {
+      const result = convertImage(data, tile.extension === 'jpeg' ? 'jpg' : tile.extension, options).then(
+        async (converted) => {
+          if (!converted) return null;
+          const outputPath = path.join(options.output, String(tile.z), String(tile.x), `${tile.y}.${converted.format}`);
+          if (!options.dryRun) {
+            await writeFileAtomic(outputPath, converted.data);
+          }
+          return { outputPath, size: converted.data.length, format: converted.format };
+        }
+      );
+      distinct.set(hash, result);
+      const converted = await result;
+      if (!converted) {
+        stats.blank += 1;
+        return;
+      }
+      stats.written += 1;
+      stats.bytesAfter += converted.size;
+      return;
+    }
+
+    const converted = await seen;
+    if (!converted) {
+      stats.blank += 1;
+      return;
+    }
+
+    stats.written += 1;
+    stats.duplicates += 1;
+    const outputPath = path.join(options.output, String(tile.z), String(tile.x), `${tile.y}.${converted.format}`);
+    if (options.dedupe) {
+      if (!options.dryRun) await linkOrCopy(converted.outputPath, outputPath);
+    } else {
+      stats.bytesAfter += converted.size;
+      if (!options.dryRun) {
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.promises.copyFile(converted.outputPath, outputPath);
+      }
+    }
+  };
+
+  const queue = tiles[Symbol.iterator]();
+  const worker = async () => {
+    for (let next = queue.next(); !next.done; next = queue.next()) {
+      const tile = next.value;
+      try {
+        await convertTile(tile);
+      } catch (error) {
+        statsFor(tile.z).failed += 1;
+        console.warn(`[convert-tiles] Failed ${tile.z}/${tile.x}/${tile.y}.${tile.extension}: ${error.message}`);
+      }
+
+      processed += 1;
+      if (Date.now() - lastPrintedAt >= PROGRESS_INTERVAL_MS || processed === tiles.length) {
+        lastPrintedAt = Date.now();
+        console.log(`[convert-tiles] ${processed}/${tiles.length} tiles`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: options.concurrency }, worker));
+
+  const metadataPath = path.join(options.input, METADATA_FILE);
+  if (!options.dryRun && options.format !== 'keep' && fs.existsSync(metadataPath)) {
+    try {
+      const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+      await writeFileAtomic(
+        path.join(options.output, METADATA_FILE),
+        `${JSON.stringify({ ...metadata, format: options.format }, null, 2)}\n`
+      );
+    } catch (error) {
+      console.warn(`[convert-tiles] Could not carry over ${metadataPath}: ${error.message}`);
+    }
+  } else if (!options.dryRun && fs.existsSync(metadataPath)) {
+    await fs.promises.copyFile(metadataPath, path.join(options.output, METADATA_FILE));
+  }
+
+  const rows = Array.from(zoomStats.values()).sort((a, b) => a.zoom - b.zoom);
+  const total = rows.reduce(
+    (sum, row) => {
+      Object.keys(sum).forEach((key) => {
+        if (key !== 'zoom') sum[key] += row[key];
+      });
+      return sum;
+    },
+    { zoom: 'total', tiles: 0, bytesBefore: 0, bytesAfter: 0, written: 0, blank: 0, duplicates: 0, failed: 0 }
+  );
+
+  console.log(`[convert-tiles] ${options.dryRun ? 'Dry run (nothing written)' : 'Done'}:`);
+  console.log('   zoom      tiles    blank    dupes       before        after    saved');
+  [...rows, total].forEach((row) => {
+    console.log(
+      `  ${String(row.zoom).padStart(5)}  ${String(row.tiles).padStart(9)}  ${String(row.blank).padStart(7)}  ${String(
+        row.duplicates
+      ).padStart(7)}  ${formatBytes(row.bytesBefore).padStart(11)}  ${formatBytes(row.bytesAfter).padStart(11)}  ${formatSaved(
+        row.bytesBefore,
+        row.bytesAfter
+      ).padStart(7)}`
+    );
+  });
+  if (options.dedupe) {
+    console.log('  (deduplicated tiles are hard links and count as 0 bytes)');
+  }
+
+  if (options.reportPath) {
+    await writeFileAtomic(
+      options.reportPath,
+      `${JSON.stringify({ ...options, zooms: rows, total }, null, 2)}\n`
+    );
+    console.log(`[convert-tiles] Report written to ${options.reportPath}`);
+  }
+
+  if (total.failed > 0) {
+    console.log(`[convert-tiles] ${total.failed} tiles could not be converted.`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('[convert-tiles] Unexpected error:', error);
+  process.exitCode = 1;
+});
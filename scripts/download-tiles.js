@@ -4,25 +4,72 @@
  *
  * Examples:
  *   node scripts/download-tiles.js --lat 37.7749 --lon -122.4194 --radius 5000 --zoom 12 --zoom 13
+ *   node scripts/download-tiles.js --bbox -122.52,37.70,-122.35,37.83 --zoom 12-16
+ *   node scripts/download-tiles.js --geojson district.geojson --zoom 14-18 --dry-run
+ *   node scripts/download-tiles.js --geojson route.geojson --buffer 300 --zoom 15-18
+ *   node scripts/download-tiles.js --tiles missing.txt
  *
- * Environment variable fallbacks (see .env.example):
+ * The area is a circle (--lat/--lon/--radius), a --bbox, or a GeoJSON file of
+ * polygons, or of lines/points widened by --buffer meters. Only tiles that
+ * intersect the shape are fetched; --dry-run prints per-zoom tile counts and
+ * estimated sizes without touching the network.
+ *
+ * --tiles reads an explicit list instead, such as the tile server's
+ * missing-tile report (`z/x/y` lines, or its JSON form). Its zoom levels are
+ * used unless --zoom narrows them.
+ *
+ * Downloads run through a bounded worker pool, retry with exponential backoff
+ * (honouring HTTP 429 / Retry-After), skip tiles that already exist on disk and
+ * record progress in a job manifest so an interrupted run resumes where it
+ * stopped. Pass --force to re-download existing tiles.
+ *
+ * Settings not given as arguments come from the shared config
+ * (lib/config.js: the environment, .env and config.yaml; pick a profile with
+ * --profile), see .env.example:
  *   DOWNLOAD_LAT, DOWNLOAD_LON, DOWNLOAD_RADIUS_METERS,
  *   DOWNLOAD_ZOOM_LEVELS, DOWNLOAD_SOURCE_URL_TEMPLATE,
- *   DOWNLOAD_OUTPUT_DIR, DOWNLOAD_TILE_EXT, DOWNLOAD_SUBDOMAINS
+ *   DOWNLOAD_OUTPUT_DIR, DOWNLOAD_TILE_EXT, DOWNLOAD_SUBDOMAINS,
+ *   DOWNLOAD_CONCURRENCY, DOWNLOAD_RETRIES, DOWNLOAD_DELAY_MS,
+ *   DOWNLOAD_MANIFEST, DOWNLOAD_BBOX, DOWNLOAD_GEOJSON,
+ *   DOWNLOAD_BUFFER_METERS, DOWNLOAD_TILE_SIZE_KB, DOWNLOAD_TILES
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { setTimeout: delay } = require('timers/promises');
+const {
+  createAreaFromGeoJSON,
+  createBboxArea,
+  createCircleArea
+} = require('../lib/download-areas');
+const {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DELAY_MS,
+  DEFAULT_EXT,
+  DEFAULT_RETRIES,
+  DEFAULT_SOURCE,
+  computeCovers,
+  createDownloadJob,
+  estimateTileSizeKb,
+  parseZooms
+} = require('../lib/tile-download');
+const { parseTileReport } = require('../lib/coverage');
+const { describeConfig, loadConfig } = require('../lib/config');
 
 require('dotenv').config();
 
-const EARTH_RADIUS_METERS = 6_371_008.8;
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`[download-tiles] ${error.message}`);
+  process.exit(1);
+}
+
 const DEFAULT_RADIUS_METERS = 5_000;
 const DEFAULT_ZOOMS = [12];
 const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'tiles');
-const DEFAULT_SOURCE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
-const DEFAULT_EXT = 'png';
+const PROGRESS_INTERVAL_MS = 1000;
 
 const parseArgs = () => {
   const args = process.argv.slice(2);
@@ -62,8 +109,8 @@ const getArg = (name, envName) => {
     return args[name];
   }
 
-  if (envName && process.env[envName] !== undefined) {
-    return process.env[envName];
+  if (envName && config.values[envName] !== undefined) {
+    return config.values[envName];
   }
 
   return undefined;
@@ -74,119 +121,142 @@ const parseNumber = (value, fallback) => {
   return Number.isFinite(number) ? number : fallback;
 };
 
-const parseZooms = (value) => {
-  if (!value || value.length === 0) {
-    return DEFAULT_ZOOMS;
-  }
-
-  if (Array.isArray(value)) {
-    return value
-      .flatMap(parseZooms)
-      .filter((zoom, index, arr) => arr.indexOf(zoom) === index)
-      .sort((a, b) => a - b);
+const formatDuration = (ms) => {
+  if (!Number.isFinite(ms) || ms < 0) {
+    return '--';
   }
 
-  const stringValue = String(value).trim();
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
 
-  if (stringValue.includes('-')) {
-    const [start, end] = stringValue.split('-').map((part) => parseInt(part, 10));
-    if (Number.isFinite(start) && Number.isFinite(end) && start <= end) {
-      const range = [];
-      for (let z = start; z <= end; z += 1) {
-        range.push(z);
-      }
-      return range;
-    }
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
   }
-
-  return stringValue
-    .split(',')
-    .map((part) => parseInt(part.trim(), 10))
-    .filter(Number.isFinite);
+  if (minutes > 0) {
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  }
+  return `${seconds}s`;
 };
 
-const clampLat = (lat) => {
-  return Math.max(Math.min(lat, 85.05112878), -85.05112878);
-};
+const createProgressReporter = () => {
+  const interactive = Boolean(process.stdout.isTTY);
+  let lastPrintedAt = 0;
 
-const latLonToTile = (lat, lon, zoom) => {
-  const latRad = (clampLat(lat) * Math.PI) / 180;
-  const n = 2 ** zoom;
-  const x = Math.floor(((lon + 180) / 360) * n);
-  const y = Math.floor(
-    (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
-  );
+  const render = (progress) => {
+    const percent = progress.total > 0 ? ((progress.done / progress.total) * 100).toFixed(1) : '100.0';
 
-  const maxIndex = n - 1;
+    return (
+      `[download-tiles] z${progress.zoom} ${progress.done}/${progress.total} (${percent}%) ` +
+      `${progress.rate.toFixed(1)} tiles/s, ETA ${formatDuration(progress.etaMs)} ` +
+      `- downloaded ${progress.downloaded}, skipped ${progress.skipped}, failed ${progress.failed}`
+    );
+  };
 
   return {
-    x: Math.min(Math.max(x, 0), maxIndex),
-    y: Math.min(Math.max(y, 0), maxIndex)
+    update: (progress, force = false) => {
+      const now = Date.now();
+      const interval = interactive ? PROGRESS_INTERVAL_MS : PROGRESS_INTERVAL_MS * 10;
+      if (!force && now - lastPrintedAt < interval) {
+        return;
+      }
+      lastPrintedAt = now;
+
+      if (interactive) {
+        process.stdout.write(`\r${render(progress)}\x1b[K`);
+      } else {
+        console.log(render(progress));
+      }
+    },
+    finish: () => {
+      if (interactive) {
+        process.stdout.write('\n');
+      }
+    }
   };
 };
 
-const computeBoundingBox = (lat, lon, radiusMeters) => {
-  const angularRadius = radiusMeters / EARTH_RADIUS_METERS;
-  const latDelta = (angularRadius * 180) / Math.PI;
-  const lonDelta =
-    (angularRadius * 180) / (Math.PI * Math.max(Math.cos((lat * Math.PI) / 180), 1e-6));
+const parseBbox = (value) => {
+  const parts = String(value)
+    .split(',')
+    .map((part) => Number(part.trim()));
 
-  return {
-    minLat: lat - latDelta,
-    maxLat: lat + latDelta,
-    minLon: lon - lonDelta,
-    maxLon: lon + lonDelta
-  };
-};
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new Error('--bbox expects minLon,minLat,maxLon,maxLat.');
+  }
 
-const ensureDirectory = async (dirPath) => {
-  await fs.promises.mkdir(dirPath, { recursive: true });
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLon >= maxLon || minLat >= maxLat) {
+    throw new Error('--bbox minimum values must be smaller than the maximum values.');
+  }
+
+  return { minLon, minLat, maxLon, maxLat };
 };
 
-const downloadTile = async ({ url, outputPath }) => {
-  try {
-    const response = await fetch(url);
+/**
+ * Resolve the download area from --tiles, --geojson, --bbox or
+ * --lat/--lon/--radius, in that order of precedence. `signature` identifies
+ * the area in the job manifest. A tile list yields `tilesByZoom` instead of
+ * an `area`.
+ */
+const resolveArea = async () => {
+  const tilesPath = getArg('tiles', 'DOWNLOAD_TILES');
+  if (tilesPath) {
+    const resolvedPath = path.resolve(tilesPath);
+    const raw = await fs.promises.readFile(resolvedPath, 'utf8');
+    const tilesByZoom = new Map();
+    parseTileReport(raw).forEach(([z, x, y]) => {
+      if (!tilesByZoom.has(z)) {
+        tilesByZoom.set(z, []);
+      }
+      tilesByZoom.get(z).push([x, y]);
+    });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    if (!tilesByZoom.size) {
+      throw new Error(`${resolvedPath} does not list any tiles.`);
     }
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
+    return {
+      tilesByZoom,
+      description: `tile list ${resolvedPath}`,
+      signature: { tiles: crypto.createHash('sha1').update(raw).digest('hex') }
+    };
+  }
 
-    await ensureDirectory(path.dirname(outputPath));
-    await fs.promises.writeFile(outputPath, buffer);
+  const geojsonPath = getArg('geojson', 'DOWNLOAD_GEOJSON');
+  if (geojsonPath) {
+    const resolvedPath = path.resolve(geojsonPath);
+    const raw = await fs.promises.readFile(resolvedPath, 'utf8');
+    const bufferMeters = parseNumber(getArg('buffer', 'DOWNLOAD_BUFFER_METERS'), undefined);
 
-    return { success: true };
-  } catch (error) {
     return {
-      success: false,
-      error: error.message || String(error)
+      area: createAreaFromGeoJSON(JSON.parse(raw), { bufferMeters }),
+      description: `GeoJSON ${resolvedPath}${bufferMeters ? ` (buffer ${bufferMeters}m)` : ''}`,
+      signature: {
+        geojson: crypto.createHash('sha1').update(raw).digest('hex'),
+        bufferMeters
+      }
     };
   }
-};
-
-const renderUrl = (template, { z, x, y, s, ext }) => {
-  return template
-    .replaceAll('{z}', String(z))
-    .replaceAll('{x}', String(x))
-    .replaceAll('{y}', String(y))
-    .replaceAll('{s}', s ?? '')
-    .replaceAll('{ext}', ext);
-};
 
-const unique = (value, index, array) => array.indexOf(value) === index;
+  const bboxArg = getArg('bbox', 'DOWNLOAD_BBOX');
+  if (bboxArg) {
+    const bbox = parseBbox(bboxArg);
+    return {
+      area: createBboxArea(bbox),
+      description: `bbox ${bbox.minLon},${bbox.minLat},${bbox.maxLon},${bbox.maxLat}`,
+      signature: { bbox }
+    };
+  }
 
-const main = async () => {
   const lat = parseNumber(getArg('lat', 'DOWNLOAD_LAT'), undefined);
   const lon = parseNumber(getArg('lon', 'DOWNLOAD_LON'), undefined);
 
   if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    console.error(
-      'Provide center coordinates via --lat and --lon (or DOWNLOAD_LAT / DOWNLOAD_LON).'
+    throw new Error(
+      'Provide an area via --geojson, --bbox, or --lat and --lon (or DOWNLOAD_LAT / DOWNLOAD_LON).'
     );
-    process.exitCode = 1;
-    return;
   }
 
   const radiusMeters = parseNumber(
@@ -194,8 +264,65 @@ const main = async () => {
     DEFAULT_RADIUS_METERS
   );
 
-  const zoomArg = args.zoom ?? process.env.DOWNLOAD_ZOOM_LEVELS;
-  const zoomLevels = parseZooms(zoomArg);
+  return {
+    area: createCircleArea({ lat, lon, radiusMeters }),
+    description: `circle lat=${lat}, lon=${lon}, radius ${radiusMeters}m`,
+    signature: { lat, lon, radiusMeters }
+  };
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 100 || unit === 0 ? value.toFixed(0) : value.toFixed(1)} ${units[unit]}`;
+};
+
+const printDryRun = (covers, tileSizeKb) => {
+  console.log('[download-tiles] Dry run (no tiles downloaded):');
+  console.log('  zoom        tiles     est. size');
+
+  let totalTiles = 0;
+  covers.forEach((cover) => {
+    totalTiles += cover.total;
+    console.log(
+      `  ${String(cover.zoom).padStart(4)}  ${String(cover.total).padStart(11)}  ${formatBytes(
+        cover.total * tileSizeKb * 1024
+      ).padStart(12)}`
+    );
+  });
+
+  console.log(
+    `  total ${String(totalTiles).padStart(11)}  ${formatBytes(totalTiles * tileSizeKb * 1024).padStart(12)}`
+  );
+  console.log(`  (size assumes ~${tileSizeKb} KB per tile; adjust with --tile-size-kb)`);
+};
+
+const unique = (value, index, array) => array.indexOf(value) === index;
+
+const main = async () => {
+  let resolvedArea;
+  try {
+    resolvedArea = await resolveArea();
+  } catch (error) {
+    console.error(`[download-tiles] ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const zoomArg = args.zoom ?? config.values.DOWNLOAD_ZOOM_LEVELS;
+  const { tilesByZoom } = resolvedArea;
+  const zoomLevels = tilesByZoom
+    ? Array.from(tilesByZoom.keys())
+        .filter((zoom) => !zoomArg || parseZooms(zoomArg).includes(zoom))
+        .sort((a, b) => a - b)
+    : zoomArg
+      ? parseZooms(zoomArg)
+      : DEFAULT_ZOOMS;
 
   if (!zoomLevels.length) {
     console.error('No zoom levels provided. Use --zoom 10 --zoom 11 or --zoom 10-12.');
@@ -215,11 +342,15 @@ const main = async () => {
     .filter(Boolean)
     .filter(unique);
 
-  const bbox = computeBoundingBox(lat, lon, radiusMeters);
+  const dryRun = args['dry-run'] === true || args['dry-run'] === 'true';
+  const tileSizeKb = parseNumber(
+    getArg('tile-size-kb', 'DOWNLOAD_TILE_SIZE_KB'),
+    estimateTileSizeKb(tileExt)
+  );
 
-  console.log('[download-tiles] Starting download with:');
-  console.log(`  center:        lat=${lat}, lon=${lon}`);
-  console.log(`  radius:        ${radiusMeters}m`);
+  console.log(`[download-tiles] ${describeConfig(config)}`);
+  console.log(`[download-tiles] ${dryRun ? 'Planning' : 'Starting'} download with:`);
+  console.log(`  area:          ${resolvedArea.description}`);
   console.log(`  zoom levels:   ${zoomLevels.join(', ')}`);
   console.log(`  source:        ${sourceTemplate}`);
   console.log(`  output dir:    ${outputDir}`);
@@ -228,47 +359,92 @@ const main = async () => {
     console.log(`  subdomains:     ${subdomains.join(', ')}`);
   }
 
-  let successCount = 0;
-  let failureCount = 0;
-
-  for (const zoom of zoomLevels) {
-    const southWest = latLonToTile(bbox.minLat, bbox.minLon, zoom);
-    const northEast = latLonToTile(bbox.maxLat, bbox.maxLon, zoom);
-
-    const minX = Math.min(southWest.x, northEast.x);
-    const maxX = Math.max(southWest.x, northEast.x);
-    const minY = Math.min(southWest.y, northEast.y);
-    const maxY = Math.max(southWest.y, northEast.y);
-
-    const tileTotal = (maxX - minX + 1) * (maxY - minY + 1);
-    console.log(`[download-tiles] Zoom ${zoom}: downloading ${tileTotal} tiles`);
-
-    for (let x = minX; x <= maxX; x += 1) {
-      for (let y = minY; y <= maxY; y += 1) {
-        const subdomain =
-          subdomains.length > 0 ? subdomains[(x + y) % subdomains.length] : undefined;
-        const url = renderUrl(sourceTemplate, { z: zoom, x, y, s: subdomain, ext: tileExt });
-        const outputPath = path.join(outputDir, String(zoom), String(x), `${y}.${tileExt}`);
-
-        const result = await downloadTile({ url, outputPath });
-        if (result.success) {
-          successCount += 1;
-        } else {
-          failureCount += 1;
-          console.warn(`[download-tiles] Failed ${zoom}/${x}/${y}: ${result.error}`);
-          await delay(100);
-        }
-
-        await delay(25);
-      }
+  if (dryRun) {
+    printDryRun(computeCovers({ ...resolvedArea, zoomLevels }), tileSizeKb);
+    return;
+  }
+
+  const concurrency = Math.max(
+    1,
+    Math.floor(parseNumber(getArg('concurrency', 'DOWNLOAD_CONCURRENCY'), DEFAULT_CONCURRENCY))
+  );
+  const retries = Math.max(
+    0,
+    Math.floor(parseNumber(getArg('retries', 'DOWNLOAD_RETRIES'), DEFAULT_RETRIES))
+  );
+  const delayMs = Math.max(0, parseNumber(getArg('delay', 'DOWNLOAD_DELAY_MS'), DEFAULT_DELAY_MS));
+  const force = args.force === true || args.force === 'true';
+  const progress = createProgressReporter();
+
+  const job = createDownloadJob({
+    area: resolvedArea.area,
+    tilesByZoom,
+    signature: resolvedArea.signature,
+    zoomLevels,
+    sourceTemplate,
+    outputDir,
+    tileExt,
+    subdomains,
+    concurrency,
+    retries,
+    delayMs,
+    force,
+    manifestPath: getArg('manifest', 'DOWNLOAD_MANIFEST'),
+    onProgress: (current) => progress.update(current),
+    onTileError: (tile, message) => {
+      progress.finish();
+      console.warn(`[download-tiles] Failed ${tile.z}/${tile.x}/${tile.y}: ${message}`);
     }
+  });
+
+  console.log(`  concurrency:   ${concurrency}`);
+  console.log(`  retries:       ${retries}`);
+  console.log(`  manifest:      ${job.manifestPath}`);
+
+  const { resumed, alreadyDone, retryCount } = await job.load();
+  if (resumed) {
+    console.log(
+      `[download-tiles] Resuming job ${job.jobId}: ${alreadyDone}/${job.total} tiles done, ${retryCount} to retry.`
+    );
+  }
+
+  job.covers.forEach((cover) => {
+    console.log(`[download-tiles] Zoom ${cover.zoom}: ${cover.total} tiles`);
+  });
+
+  let stopping = false;
+  const onSignal = () => {
+    if (stopping) {
+      process.exit(130);
+    }
+    stopping = true;
+    progress.finish();
+    console.log('[download-tiles] Stopping after in-flight tiles finish (press Ctrl+C again to force).');
+    job.stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const result = await job.run();
+
+  process.off('SIGINT', onSignal);
+  process.off('SIGTERM', onSignal);
+  progress.update(result, true);
+  progress.finish();
+
+  if (result.state === 'interrupted') {
+    console.log(`[download-tiles] Interrupted. Progress saved to ${job.manifestPath}; run the same command to resume.`);
+    process.exitCode = 130;
+    return;
   }
 
   console.log('[download-tiles] Completed.');
-  console.log(`  success: ${successCount}`);
-  console.log(`  failed:  ${failureCount}`);
+  console.log(`  downloaded: ${result.downloaded}`);
+  console.log(`  skipped:    ${result.skipped}`);
+  console.log(`  failed:     ${result.failed}`);
 
-  if (failureCount > 0) {
+  if (result.failed > 0) {
+    console.log('[download-tiles] Run the same command again to retry failed tiles.');
     process.exitCode = 1;
   }
 };
@@ -277,4 +453,3 @@ main().catch((error) => {
   console.error('[download-tiles] Unexpected error:', error);
   process.exitCode = 1;
 });
-
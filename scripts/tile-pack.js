@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * Bundle map regions into a single archive, check archives and merge them
+ * into a tile root, for moving tiles between machines without a network.
+ *
+ * Examples:
+ *   node scripts/tile-pack.js build --output downtown.tar --bbox -122.52,37.70,-122.35,37.83 --zoom 12-17
+ *   node scripts/tile-pack.js build --output sat.tar --tileset satellite --geojson district.geojson
+ *   node scripts/tile-pack.js info downtown.tar
+ *   node scripts/tile-pack.js verify downtown.tar
+ *   node scripts/tile-pack.js import downtown.tar --on-conflict skip --conflicts conflicts.txt
+ *   node scripts/tile-pack.js list
+ *
+ * A pack is a plain tar file: `manifest.json` (name, bounds, zooms, tile
+ * count, attribution, source), `checksums.sha256` (readable by
+ * `sha256sum -c`) and the tiles under `tiles/{z}/{x}/{y}.{ext}`.
+ *
+ * `build` reads tiles from TILE_SERVER_ROOT (or --root), or one named tileset
+ * inside it with --tileset. The region is a --bbox, a --geojson file (with an
+ * optional --buffer) or --lat/--lon/--radius; without one the whole tileset
+ * is packed. --zoom limits the zoom levels.
+ *
+ * `import` verifies every tile before writing it. Tiles that already exist
+ * with the same content are skipped; differing ones are conflicts, kept by
+ * default or replaced with --on-conflict overwrite. --conflicts writes them
+ * as a `z/x/y` list. Imports are recorded under `<root>/.packs/` and served
+ * by the tile server at `/packs`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  createAreaFromGeoJSON,
+  createBboxArea,
+  createCircleArea
+} = require('../lib/download-areas');
+const { createDirectorySource } = require('../lib/directory-source');
+const { formatTileReport } = require('../lib/coverage');
+const {
+  CONFLICT_POLICIES,
+  buildPack,
+  collectDirectoryTiles,
+  importPack,
+  listInstalledPacks,
+  readPackManifest,
+  verifyPack
+} = require('../lib/tile-pack');
+const { DEFAULT_TILESET_NAME, isValidTilesetName } = require('../lib/tilesets');
+
+require('dotenv').config();
+
+const PROGRESS_INTERVAL_MS = 1000;
+const MAX_LISTED_PROBLEMS = 20;
+
+const parseArgs = () => {
+  const [command, ...rest] = process.argv.slice(2);
+  const result = { command, positional: [] };
+
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      result.positional.push(arg);
+      continue;
+    }
+
+    const [key, ...value] = arg.slice(2).split('=');
+    if (value.length) {
+      result[key] = value.join('=');
+      continue;
+    }
+
+    const next = rest[i + 1];
+    if (!next || next.startsWith('--')) {
+      result[key] = true;
+      continue;
+    }
+
+    result[key] = next;
+    i += 1;
+  }
+
+  return result;
+};
+
+const args = parseArgs();
+
+const resolveRoot = () =>
+  path.resolve(args.root || process.env.TILE_SERVER_ROOT || path.join(__dirname, '..', 'tiles'));
+
+const resolveTilesetDir = (root) => {
+  const tileset = args.tileset;
+  if (!tileset || tileset === true || tileset === DEFAULT_TILESET_NAME) {
+    return { tileset: undefined, dir: root };
+  }
+  if (!isValidTilesetName(tileset)) {
+    throw new Error(`'${tileset}' is not a valid tileset name (letters, digits, '-' and '_').`);
+  }
+  return { tileset, dir: path.join(root, tileset) };
+};
+
+const parseZooms = (value) => {
+  if (!value || value === true) {
+    return undefined;
+  }
+
+  const text = String(value).trim();
+  const range = /^(\d+)-(\d+)$/.exec(text);
+  if (range) {
+    const [start, end] = [Number(range[1]), Number(range[2])];
+    return Array.from({ length: Math.max(end - start + 1, 0) }, (_, index) => start + index);
+  }
+  return text
+    .split(',')
+    .map((part) => parseInt(part.trim(), 10))
+    .filter(Number.isFinite);
+};
+
+const parseBbox = (value) => {
+  const parts = String(value)
+    .split(',')
+    .map((part) => Number(part.trim()));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new Error('--bbox expects minLon,minLat,maxLon,maxLat.');
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  return { minLon, minLat, maxLon, maxLat };
+};
+
+/**
+ * The region to pack, or `{ area: undefined }` for the whole tileset.
+ */
+const resolveArea = async () => {
+  if (args.geojson) {
+    const raw = await fs.promises.readFile(path.resolve(args.geojson), 'utf8');
+    const bufferMeters = Number(args.buffer) || undefined;
+    return {
+      area: createAreaFromGeoJSON(JSON.parse(raw), { bufferMeters }),
+      description: `GeoJSON ${path.resolve(args.geojson)}`
+    };
+  }
+
+  if (args.bbox) {
+    const bbox = parseBbox(args.bbox);
+    return { area: createBboxArea(bbox), description: `bbox ${args.bbox}` };
+  }
+
+  if (args.lat !== undefined || args.lon !== undefined) {
+    const lat = Number(args.lat);
+    const lon = Number(args.lon);
+    const radiusMeters = Number(args.radius) || 5000;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      throw new Error('--lat and --lon must both be numbers.');
+    }
+    return {
+      area: createCircleArea({ lat, lon, radiusMeters }),
+      description: `circle lat=${lat}, lon=${lon}, radius ${radiusMeters}m`
+    };
+  }
+
+  return { area: undefined, description: 'whole tileset' };
+};
+
+const createProgress = (label) => {
+  let lastPrintedAt = 0;
+  return (done, total) => {
+    const now = Date.now();
+    if (done !== total && now - lastPrintedAt < PROGRESS_INTERVAL_MS) return;
+    lastPrintedAt = now;
+    const line = `[tile-pack] ${label} ${done}/${total || '?'}`;
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r${line}\x1b[K${done === total ? '\n' : ''}`);
+    } else {
+      console.log(line);
+    }
+  };
+};
+
+const countProblems = (problems) =>
+  `${problems.length} problem${problems.length === 1 ? '' : 's'}`;
+
+const printProblems = (problems) => {
+  problems.slice(0, MAX_LISTED_PROBLEMS).forEach((problem) => console.log(`  - ${problem}`));
+  if (problems.length > MAX_LISTED_PROBLEMS) {
+    console.log(`  … and ${problems.length - MAX_LISTED_PROBLEMS} more`);
+  }
+};
+
+const requirePackPath = () => {
+  const packPath = args.positional[0];
+  if (!packPath) {
+    throw new Error(`Usage: tile-pack ${args.command} <pack.tar>`);
+  }
+  return path.resolve(packPath);
+};
+
+const build = async () => {
+  if (!args.output || args.output === true) {
+    throw new Error('build needs --output <pack.tar>.');
+  }
+
+  const root = resolveRoot();
+  const { tileset, dir } = resolveTilesetDir(root);
+  const zooms = parseZooms(args.zoom);
+  const { area, description } = await resolveArea();
+  const outputPath = path.resolve(args.output);
+  const name = args.name && args.name !== true ? args.name : path.basename(outputPath, path.extname(outputPath));
+  const attribution =
+    (args.attribution !== true && args.attribution) ||
+    createDirectorySource(dir).attribution ||
+    process.env.TILE_SERVER_ATTRIBUTION;
+
+  console.log('[tile-pack] Building pack with:');
+  console.log(`  source:      ${dir}`);
+  console.log(`  region:      ${description}`);
+  console.log(`  zoom levels: ${zooms ? zooms.join(', ') : 'all'}`);
+  console.log(`  output:      ${outputPath}`);
+
+  const tiles = await collectDirectoryTiles(dir, { zooms, area });
+  if (!tiles.length) {
+    throw new Error('No tiles match the selection; nothing to pack.');
+  }
+
+  const hashProgress = createProgress('Hashing');
+  const writeProgress = createProgress('Writing');
+  const manifest = await buildPack({
+    tiles,
+    outputPath,
+    name,
+    attribution,
+    source: { root: dir, tileset: tileset || DEFAULT_TILESET_NAME, region: description },
+    onProgress: (stage, done, total) => (stage === 'hash' ? hashProgress : writeProgress)(done, total)
+  });
+
+  console.log(`[tile-pack] Wrote ${manifest.tileCount} tiles (${manifest.bytes} bytes) to ${outputPath}`);
+  manifest.zooms.forEach((zoom) => console.log(`  z${zoom.zoom}: ${zoom.tiles} tiles`));
+};
+
+const info = async () => {
+  console.log(JSON.stringify(await readPackManifest(requirePackPath()), null, 2));
+};
+
+const verify = async () => {
+  const packPath = requirePackPath();
+  const { manifest, tileCount, problems } = await verifyPack(packPath, {
+    onProgress: createProgress('Verifying')
+  });
+
+  if (problems.length) {
+    console.log(`[tile-pack] ${packPath} FAILED verification (${countProblems(problems)}):`);
+    printProblems(problems);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`[tile-pack] ${packPath} OK: '${manifest.name}', ${tileCount} tiles verified.`);
+};
+
+const runImport = async () => {
+  const packPath = requirePackPath();
+  const root = resolveRoot();
+  const { tileset, dir } = resolveTilesetDir(root);
+  const onConflict = args['on-conflict'] && args['on-conflict'] !== true ? args['on-conflict'] : 'skip';
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`--on-conflict must be ${CONFLICT_POLICIES.join(' or ')}.`);
+  }
+  const dryRun = args['dry-run'] === true || args['dry-run'] === 'true';
+
+  console.log(`[tile-pack] ${dryRun ? 'Checking' : 'Importing'} ${packPath} into ${dir} (conflicts: ${onConflict})`);
+
+  const result = await importPack(packPath, {
+    targetDir: dir,
+    installRoot: root,
+    tileset: tileset || DEFAULT_TILESET_NAME,
+    onConflict,
+    dryRun,
+    onProgress: createProgress(dryRun ? 'Checking' : 'Importing')
+  });
+
+  console.log(`[tile-pack] ${dryRun ? 'Dry run for' : 'Imported'} '${result.manifest.name}':`);
+  console.log(`  new tiles:   ${result.written}`);
+  console.log(`  identical:   ${result.identical}`);
+  console.log(`  conflicts:   ${result.conflicts.length}${onConflict === 'overwrite' ? ' (overwritten)' : ' (kept existing)'}`);
+
+  if (result.conflicts.length) {
+    result.conflicts
+      .slice(0, MAX_LISTED_PROBLEMS)
+      .forEach(({ z, x, y, extension }) => console.log(`  - ${z}/${x}/${y}.${extension} differs`));
+    if (args.conflicts && args.conflicts !== true) {
+      const reportPath = path.resolve(args.conflicts);
+      await fs.promises.writeFile(
+        reportPath,
+        formatTileReport(
+          result.conflicts.map(({ z, x, y }) => [z, x, y]),
+          [`Conflicting tiles from pack '${result.manifest.name}'`, `target ${dir}`]
+        )
+      );
+      console.log(`[tile-pack] Conflict list written to ${reportPath}`);
+    }
+  }
+
+  if (result.problems.length) {
+    console.log(`[tile-pack] ${countProblems(result.problems)}; affected tiles were not imported:`);
+    printProblems(result.problems);
+    process.exitCode = 1;
+  }
+};
+
+const list = async () => {
+  const packs = await listInstalledPacks(resolveRoot());
+  if (!packs.length) {
+    console.log('[tile-pack] No packs installed.');
+    return;
+  }
+  packs.forEach((pack) => {
+    console.log(
+      `${pack.name}  tileset=${pack.tileset}  tiles=${pack.tileCount}  zooms=${pack.zooms
+        .map((zoom) => zoom.zoom)
+        .join(',')}  installed ${pack.installedAt}`
+    );
+  });
+};
+
+const COMMANDS = { build, info, verify, import: runImport, list };
+
+const main = async () => {
+  const command = COMMANDS[args.command];
+  if (!command) {
+    console.error('Usage: tile-pack <build|info|verify|import|list> [options] (see scripts/tile-pack.js)');
+    process.exitCode = 1;
+    return;
+  }
+
+  await command();
+};
+
+main().catch((error) => {
+  console.error(`[tile-pack] ${error.message}`);
+  process.exitCode = 1;
+});
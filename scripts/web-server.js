@@ -4,38 +4,39 @@ require('dotenv').config();
 const fs = require('fs/promises');
 const path = require('path');
 const express = require('express');
+const { buildClientConfig, describeConfig, loadConfig } = require('../lib/config');
 
 const ROOT_DIR = path.resolve(__dirname, '..');
 const INDEX_PATH = path.join(ROOT_DIR, 'index.html');
 
-const numberOr = (value, fallback) => {
-  const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : fallback;
-};
-
-const buildClientConfig = () => {
-  const minZoom = numberOr(process.env.TILE_SERVER_MIN_ZOOM, undefined);
-  const maxZoom = numberOr(process.env.TILE_SERVER_MAX_ZOOM, undefined);
-
-  return {
-    tileServer: {
-      urlTemplate:
-        process.env.TILE_SERVER_URL ||
-        'http://127.0.0.1:8080/tiles/{z}/{x}/{y}.png',
-      attribution: process.env.TILE_SERVER_ATTRIBUTION || 'Local tile server',
-      minZoom: Number.isFinite(minZoom) ? minZoom : 0,
-      maxZoom: Number.isFinite(maxZoom) ? maxZoom : 19
-    },
-    initialView: {
-      lat: numberOr(process.env.MAP_LAT, 37.7749),
-      lng: numberOr(process.env.MAP_LNG, -122.4194),
-      zoom: numberOr(process.env.MAP_ZOOM, 12)
-    }
-  };
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`[web] ${error.message}`);
+  process.exit(1);
+}
+
+const CLIENT_CONFIG = buildClientConfig(config.values);
+const CONFIG_PAYLOAD = `window.appConfig = ${JSON.stringify(CLIENT_CONFIG)};`;
+
+// What the page loads. Everything else in the repo (config files, .env,
+// tiles, the server code) stays private.
+const STATIC_MOUNTS = [
+  ['/ui', path.join(ROOT_DIR, 'ui')],
+  ['/node_modules/leaflet/dist', path.join(ROOT_DIR, 'node_modules', 'leaflet', 'dist')]
+];
+const STATIC_FILES = ['renderer.js'];
+
+// The client config as logged, without the API key.
+const describeClientConfig = () => {
+  const { tileServer } = CLIENT_CONFIG;
+  return JSON.stringify({
+    ...CLIENT_CONFIG,
+    tileServer: { ...tileServer, apiKey: tileServer.apiKey ? '[redacted]' : tileServer.apiKey }
+  });
 };
 
-const CONFIG_PAYLOAD = `window.appConfig = ${JSON.stringify(buildClientConfig())};`;
-
 const injectConfigScript = (html) => {
   if (html.includes('/config.js')) {
     return html;
@@ -49,8 +50,8 @@ const injectConfigScript = (html) => {
 
 const createServer = async () => {
   const app = express();
-  const host = process.env.WEB_HOST || '0.0.0.0';
-  const port = numberOr(process.env.WEB_PORT, 3000);
+  const host = config.values.WEB_HOST;
+  const port = config.values.WEB_PORT;
 
   let cachedIndexHtml;
   const getIndexHtml = async () => {
@@ -74,7 +75,10 @@ const createServer = async () => {
     }
   });
 
-  app.use(express.static(ROOT_DIR));
+  STATIC_FILES.forEach((file) => {
+    app.get(`/${file}`, (_req, res) => res.sendFile(path.join(ROOT_DIR, file)));
+  });
+  STATIC_MOUNTS.forEach(([mountPath, dir]) => app.use(mountPath, express.static(dir)));
 
   app.use((error, _req, res, _next) => {
     console.error('[web] Unexpected error:', error);
@@ -82,9 +86,10 @@ const createServer = async () => {
   });
 
   app.listen(port, host, () => {
-    console.log(`[web] Serving ${ROOT_DIR}`);
+    console.log(`[web] ${describeConfig(config)}`);
+    console.log(`[web] Serving the web client from ${ROOT_DIR}`);
     console.log(`[web] Listening on http://${host}:${port}`);
-    console.log('[web] Client config:', CONFIG_PAYLOAD);
+    console.log(`[web] Client config: ${describeClientConfig()}`);
   });
 };
 
@@ -0,0 +1,21 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { redactUrl } = require('../lib/access-log');
+
+test('redactUrl redacts every key parameter', () => {
+  assert.equal(
+    redactUrl('/tiles/1/0/0?key=a&x=1&key=b'),
+    '/tiles/1/0/0?key=[redacted]&x=1&key=[redacted]'
+  );
+});
+
+test('redactUrl catches encoded, upper-case and bracketed names', () => {
+  assert.equal(redactUrl('/search?%6Bey=a&q=key%3Dx'), '/search?%6Bey=[redacted]&q=key%3Dx');
+  assert.equal(redactUrl('/search?KEY=a'), '/search?KEY=[redacted]');
+  assert.equal(redactUrl('/search?key[]=a&key%5B0%5D=b'), '/search?key[]=[redacted]&key%5B0%5D=[redacted]');
+});
+
+test('redactUrl leaves other URLs alone', () => {
+  assert.equal(redactUrl('/tiles/1/0/0'), '/tiles/1/0/0');
+  assert.equal(redactUrl('/search?monkey=1&keys=2&%ZZ=3'), '/search?monkey=1&keys=2&%ZZ=3');
+});
@@ -0,0 +1,106 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { loadConfig } = require('../lib/config');
+
+const CONFIG_YAML = `profile: office
+settings:
+  MAP_ZOOM: 12
+  TILE_SERVER_PORT: 9000
+profiles:
+  office:
+    MAP_ZOOM: 14
+  field:
+    MAP_ZOOM: 15
+    TILE_SERVER_EMBEDDED: on
+`;
+
+// A working directory holding `config.yaml` with `content`.
+const withConfigFile = (content) => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  fs.writeFileSync(path.join(cwd, 'config.yaml'), content);
+  test.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  return cwd;
+};
+
+test('defaults apply without a config file', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  test.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  const config = loadConfig({ env: {}, argv: [], cwd });
+
+  assert.equal(config.filePath, null);
+  assert.equal(config.values.MAP_ZOOM, 12);
+  assert.equal(config.values.TILE_SERVER_EMPTY_TILES, '404');
+  assert.equal(config.values.TILE_SERVER_ROOT, undefined);
+  assert.equal(config.sources.MAP_ZOOM, 'default');
+});
+
+test('the environment wins over the profile, which wins over settings', () => {
+  const cwd = withConfigFile(CONFIG_YAML);
+
+  const fromFile = loadConfig({ env: {}, argv: [], cwd });
+  assert.equal(fromFile.profile, 'office');
+  assert.deepEqual(fromFile.profiles, ['office', 'field']);
+  assert.equal(fromFile.values.MAP_ZOOM, 14);
+  assert.equal(fromFile.sources.MAP_ZOOM, 'profile');
+  assert.equal(fromFile.values.TILE_SERVER_PORT, 9000);
+  assert.equal(fromFile.sources.TILE_SERVER_PORT, 'file');
+
+  const fromEnv = loadConfig({ env: { MAP_ZOOM: '9', TILE_SERVER_PORT: '' }, argv: [], cwd });
+  assert.equal(fromEnv.values.MAP_ZOOM, 9);
+  assert.equal(fromEnv.sources.MAP_ZOOM, 'env');
+  assert.equal(fromEnv.values.TILE_SERVER_PORT, 9000, 'empty values count as unset');
+});
+
+test('--profile wins over APP_PROFILE, which wins over the file', () => {
+  const cwd = withConfigFile(CONFIG_YAML);
+
+  const fromEnv = loadConfig({ env: { APP_PROFILE: 'field' }, argv: [], cwd });
+  assert.equal(fromEnv.profile, 'field');
+  assert.equal(fromEnv.values.MAP_ZOOM, 15);
+  assert.equal(fromEnv.values.TILE_SERVER_EMBEDDED, 'on');
+
+  const argv = ['node', 'app', '--profile=office'];
+  const fromArgv = loadConfig({ env: { APP_PROFILE: 'field' }, argv, cwd });
+  assert.equal(fromArgv.profile, 'office');
+  assert.equal(fromArgv.values.TILE_SERVER_EMBEDDED, 'off');
+});
+
+test('an unknown profile is refused with the available ones', () => {
+  const cwd = withConfigFile(CONFIG_YAML);
+  assert.throws(
+    () => loadConfig({ env: {}, argv: ['node', 'app', '--profile', 'home'], cwd }),
+    /Unknown config profile 'home' in config\.yaml; choose one of office, field\./
+  );
+});
+
+test('every invalid setting is reported at once', () => {
+  const cwd = withConfigFile(`settings:
+  MAP_ZOOM: 40
+  TILE_SERVER_WATCH: maybe
+  MAP_ZOM: 3
+`);
+
+  assert.throws(
+    () => loadConfig({ env: { TILE_SERVER_PORT: 'eighty' }, argv: [], cwd }),
+    (error) => {
+      assert.deepEqual(error.errors.map((entry) => entry.key).sort(), [
+        'MAP_ZOM',
+        'MAP_ZOOM',
+        'TILE_SERVER_PORT',
+        'TILE_SERVER_WATCH'
+      ]);
+      assert.match(error.message, /MAP_ZOOM in config\.yaml must be a number/);
+      assert.match(error.message, /TILE_SERVER_PORT in the environment must be a whole number/);
+      assert.match(error.message, /MAP_ZOM in config\.yaml is not a known setting/);
+      return true;
+    }
+  );
+});
+
+test('unknown sections of the config file are refused', () => {
+  const cwd = withConfigFile('setting:\n  MAP_ZOOM: 3\n');
+  assert.throws(() => loadConfig({ env: {}, argv: [], cwd }), /unknown section setting/);
+});
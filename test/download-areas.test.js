@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  createBboxArea,
+  createCircleArea,
+  createCorridorArea,
+  computeTileCover
+} = require('../lib/download-areas');
+const { latToTileY, lonToTileX, tileBounds } = require('../lib/tile-math');
+
+const EARTH_RADIUS_METERS = 6_371_008.8;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const haversine = ([lon1, lat1], [lon2, lat2]) => {
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// A point of the tile's edge or interior, so its distance is never below the true one.
+const distanceToTile = ([lon, lat], rect) =>
+  haversine([lon, lat], [
+    Math.min(Math.max(lon, rect.minLon), rect.maxLon),
+    Math.min(Math.max(lat, rect.minLat), rect.maxLat)
+  ]);
+
+const coverTiles = (cover) =>
+  new Set(
+    cover.runs.flatMap(({ x, yStart, yEnd }) =>
+      Array.from({ length: yEnd - yStart + 1 }, (_, index) => `${x}/${yStart + index}`)
+    )
+  );
+
+// Every tile at `zoom` around `points` whose distance to one of them is
+// within `radiusMeters`, checked one tile at a time.
+const bruteForceTiles = (points, radiusMeters, zoom) => {
+  const latPad = radiusMeters / 111_000 + 0.01;
+  const lonPad = latPad / Math.cos(toRadians(Math.max(...points.map(([, lat]) => Math.abs(lat))) + latPad));
+  const lons = points.map(([lon]) => lon);
+  const lats = points.map(([, lat]) => lat);
+  const tiles = [];
+  for (let x = lonToTileX(Math.min(...lons) - lonPad, zoom); x <= lonToTileX(Math.max(...lons) + lonPad, zoom); x += 1) {
+    for (let y = latToTileY(Math.max(...lats) + latPad, zoom); y <= latToTileY(Math.min(...lats) - latPad, zoom); y += 1) {
+      const rect = tileBounds({ z: zoom, x, y });
+      if (points.some((point) => distanceToTile(point, rect) <= radiusMeters)) {
+        tiles.push(`${x}/${y}`);
+      }
+    }
+  }
+  return tiles;
+};
+
+const assertCovers = (cover, expected) => {
+  const tiles = coverTiles(cover);
+  const missing = expected.filter((tile) => !tiles.has(tile));
+  assert.deepEqual(missing, [], `cover is missing ${missing.length} of ${expected.length} tiles`);
+};
+
+test('circle cover includes every tile the circle touches', () => {
+  const circles = [
+    { lat: 51.5, lon: 0.01298, radiusMeters: 1000 },
+    { lat: 0.001, lon: -0.002, radiusMeters: 2500 },
+    { lat: -33.87, lon: 151.21, radiusMeters: 5000 },
+    { lat: 69.65, lon: 18.96, radiusMeters: 3000 }
+  ];
+
+  circles.forEach((circle) => {
+    [12, 14, 16].forEach((zoom) => {
+      const cover = computeTileCover(createCircleArea(circle), zoom);
+      assertCovers(cover, bruteForceTiles([[circle.lon, circle.lat]], circle.radiusMeters, zoom));
+    });
+  });
+});
+
+test('circle cover leaves out tiles well beyond the radius', () => {
+  const circle = { lat: 51.5, lon: 0.01298, radiusMeters: 1000 };
+  const zoom = 16;
+  const cover = computeTileCover(createCircleArea(circle), zoom);
+  const nearby = new Set(bruteForceTiles([[circle.lon, circle.lat]], circle.radiusMeters * 1.5, zoom));
+  coverTiles(cover).forEach((tile) => assert.ok(nearby.has(tile), `unexpected tile ${tile}`));
+});
+
+test('corridor cover includes every tile along the line', () => {
+  // Sample the line densely; tiles near a sample are within reach of the line.
+  const line = [[-0.15, 51.48], [-0.05, 51.52], [0.02, 51.5]];
+  const bufferMeters = 400;
+  const samples = line.slice(1).flatMap(([lon, lat], index) => {
+    const [startLon, startLat] = line[index];
+    return Array.from({ length: 200 }, (_, step) => [
+      startLon + ((lon - startLon) * step) / 200,
+      startLat + ((lat - startLat) * step) / 200
+    ]);
+  });
+  const zoom = 15;
+  const cover = computeTileCover(createCorridorArea(line, bufferMeters), zoom);
+  assertCovers(cover, bruteForceTiles(samples, bufferMeters, zoom));
+});
+
+test('cover gives up once it exceeds maxTiles', () => {
+  const area = createBboxArea({ minLon: 0, minLat: 0, maxLon: 1, maxLat: 1 });
+  const { total } = computeTileCover(area, 12);
+  assert.equal(computeTileCover(area, 12, { maxTiles: total }).total, total);
+  assert.equal(computeTileCover(area, 12, { maxTiles: total - 1 }), null);
+
+  const world = createBboxArea({ minLon: -180, minLat: -85, maxLon: 180, maxLat: 85 });
+  assert.equal(computeTileCover(world, 22, { maxTiles: 1_000_000 }), null);
+});
@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const test = require('node:test');
+const { formatTileReport, parseTileReport } = require('../lib/coverage');
+const { createMetrics } = require('../lib/metrics');
+
+// Run one request through the middleware with what the route left in `res.locals`.
+const serve = (metrics, { status = 200, bytes = 0, locals = {} } = {}) => {
+  const req = { baseUrl: '', route: { path: '/tiles/:z/:x/:y' } };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: status,
+    locals,
+    getHeader: (name) => (name === 'Content-Length' ? String(bytes) : undefined)
+  });
+  metrics.middleware(req, res, () => {});
+  res.emit('finish');
+};
+
+test('metrics count tile requests and missing tiles', () => {
+  const metrics = createMetrics();
+  serve(metrics, { bytes: 100, locals: { tileset: 'osm', tile: { z: 3, x: 1, y: 2 } } });
+  serve(metrics, { status: 404, locals: { tileset: 'osm', tile: { z: 4, x: 5, y: 6 }, tileMissing: true } });
+  serve(metrics, { status: 404, locals: { tileset: 'osm', tile: { z: 4, x: 5, y: 6 }, tileMissing: true } });
+
+  const totals = metrics.totals();
+  assert.equal(totals.requests, 3);
+  assert.equal(totals.tileRequests, 3);
+  assert.equal(totals.missingTiles, 2);
+  assert.equal(totals.bytes, 100);
+  assert.deepEqual(metrics.topMissing(), [{ tileset: 'osm', z: 4, x: 5, y: 6, requests: 2 }]);
+  assert.match(metrics.render(), /tileserver_tile_missing_total\{tileset="osm",zoom="4"\} 2/);
+});
+
+test('metrics ignore tiles off the grid', () => {
+  const metrics = createMetrics();
+  const offGrid = { z: 5, x: 999, y: 999 };
+  serve(metrics, { status: 404, locals: { tileset: 'osm', tile: offGrid, tileMissing: true } });
+  serve(metrics, { status: 404, locals: { tileset: 'osm', tile: { z: 99, x: 0, y: 0 }, tileMissing: true } });
+
+  assert.equal(metrics.totals().requests, 2);
+  assert.equal(metrics.totals().tileRequests, 0);
+  assert.deepEqual(metrics.topMissing(), []);
+  assert.doesNotMatch(metrics.render(), /zoom="99"/);
+});
+
+test('the missing-tile list reads back as a tile report', () => {
+  const metrics = createMetrics();
+  serve(metrics, { status: 404, locals: { tileset: 'osm', tile: { z: 2, x: 3, y: 1 }, tileMissing: true } });
+  serve(metrics, { status: 404, locals: { tileset: 'osm', tile: { z: 6, x: 9, y: 40 }, tileMissing: true } });
+
+  const tiles = metrics.topMissing({ tileset: 'osm', limit: Infinity }).map(({ z, x, y }) => [z, x, y]);
+  assert.deepEqual(parseTileReport(formatTileReport(tiles, ['Missing'])), tiles);
+});
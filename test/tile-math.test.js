@@ -0,0 +1,34 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { MAX_TILE_ZOOM, isValidTile } = require('../lib/tile-math');
+const { parseTileReport } = require('../lib/coverage');
+
+test('isValidTile accepts tiles inside the zoom level grid', () => {
+  assert.ok(isValidTile({ z: 0, x: 0, y: 0 }));
+  assert.ok(isValidTile({ z: 5, x: 31, y: 31 }));
+  assert.ok(isValidTile({ z: MAX_TILE_ZOOM, x: 2 ** MAX_TILE_ZOOM - 1, y: 0 }));
+});
+
+test('isValidTile rejects tiles off the grid', () => {
+  [
+    { z: 5, x: 32, y: 0 },
+    { z: 5, x: 0, y: 999 },
+    { z: -1, x: 0, y: 0 },
+    { z: MAX_TILE_ZOOM + 1, x: 0, y: 0 },
+    { z: 3, x: -1, y: 0 },
+    { z: 3, x: 1.5, y: 0 },
+    { z: 3, x: NaN, y: 0 },
+    { z: 3, x: 0 }
+  ].forEach((tile) => assert.equal(isValidTile(tile), false, JSON.stringify(tile)));
+});
+
+test('parseTileReport reads text and JSON reports', () => {
+  const text = '# Missing tiles\n3/1/2\n\n4/15/0\n';
+  assert.deepEqual(parseTileReport(text), [[3, 1, 2], [4, 15, 0]]);
+  assert.deepEqual(parseTileReport('{"tiles":[[3,1,2],{"z":4,"x":15,"y":0}]}'), [[3, 1, 2], [4, 15, 0]]);
+});
+
+test('parseTileReport rejects out-of-range entries', () => {
+  assert.throws(() => parseTileReport('3/1/2\n5/999/999\n'), /Invalid tile entry #2/);
+  assert.throws(() => parseTileReport('3/1\n'), /Invalid tile entry #1/);
+});
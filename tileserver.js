@@ -1,38 +1,301 @@
-require('dotenv').config();
+const { createEnvFileLoader } = require('./lib/env-file');
+
+const envFile = createEnvFileLoader();
+envFile.load();
 
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
+const {
+  DEFAULT_TILESET_NAME,
+  loadTilesets,
+  parseTilesetEntries
+} = require('./lib/tilesets');
+const { DEFAULT_SEARCH_LIMIT, loadGazetteer } = require('./lib/gazetteer');
+const { createCoverageIndex, formatTileReport } = require('./lib/coverage');
+const { createTileSynthesizer, parseSynthesisModes } = require('./lib/tile-synthesis');
+const { listInstalledPacks } = require('./lib/tile-pack');
+const { createEmptyTile } = require('./lib/tile-image');
+const { isValidTile } = require('./lib/tile-math');
+const {
+  cacheControlFor,
+  computeEtag,
+  createFileEtagCache,
+  negotiateTileExtensions,
+  parseCacheMaxAge,
+  parseEmptyTileMode
+} = require('./lib/tile-http');
+const {
+  createAdminMiddleware,
+  createAuthMiddleware,
+  createCorsMiddleware,
+  createRateLimiter,
+  parseApiKeys,
+  parseCorsOrigins
+} = require('./lib/access-control');
+const { createAccessLog } = require('./lib/access-log');
+const { createMetrics } = require('./lib/metrics');
+const { createDirectoryWatcher } = require('./lib/watcher');
+const { CONFIG_FILE_NAMES, describeConfig, loadConfig } = require('./lib/config');
 
-const resolveNumber = (value, fallback) => {
-  const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : fallback;
-};
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`[tileserver] ${error.message}`);
+  process.exit(1);
+}
 
-const PORT = resolveNumber(process.env.TILE_SERVER_PORT, 8080);
-const HOST = process.env.TILE_SERVER_HOST || '0.0.0.0';
-const TILE_ROOT = path.resolve(
-  process.env.TILE_SERVER_ROOT || path.join(__dirname, 'tiles')
-);
+const PORT = config.values.TILE_SERVER_PORT;
+const HOST = config.values.TILE_SERVER_HOST;
+// Read once at start-up; a reload reports when one of these changed.
+const RESTART_SETTINGS = [
+  'TILE_SERVER_PORT',
+  'TILE_SERVER_HOST',
+  'TILE_SERVER_ACCESS_LOG',
+  'TILE_SERVER_WATCH'
+];
+const startupSettings = Object.fromEntries(RESTART_SETTINGS.map((key) => [key, config.values[key]]));
+const WATCH_ENABLED = config.values.TILE_SERVER_WATCH;
 
-const ALLOWED_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'webp']);
+const DEFAULT_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+// Synthetic and empty tiles are replaced once the real tile is downloaded,
+// so they are never cached for longer than this.
+const PLACEHOLDER_TILE_MAX_AGE = 300;
+// Supervisors and load balancers probe this without a key.
+const PUBLIC_PATHS = ['/health'];
+const isAdminPath = (path) => path === '/admin' || path.startsWith('/admin/');
+// Requests that started before a reload keep using the tilesets they began
+// with; archives are closed once those requests have had time to finish.
+const RETIRE_DELAY_MS = 30 * 1000;
 
 const app = express();
 
-const ensureTileRoot = () => {
-  if (!fs.existsSync(TILE_ROOT)) {
-    fs.mkdirSync(TILE_ROOT, { recursive: true });
+const ensureTileRoot = (tileRoot) => {
+  if (!fs.existsSync(tileRoot)) {
+    fs.mkdirSync(tileRoot, { recursive: true });
     console.warn(
-      `[tileserver] Created missing tile directory at ${TILE_ROOT}. Place your tiles here.`
+      `[tileserver] Created missing tile directory at ${tileRoot}. Place your tiles here.`
     );
   }
 };
 
-ensureTileRoot();
+const resolvePathList = (value) => {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => path.resolve(entry));
+};
+
+const parseExtensions = (value) => {
+  const extensions = String(value || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+  return new Set(extensions.length ? extensions : DEFAULT_EXTENSIONS);
+};
+
+/**
+ * The search index for `paths`. While a changed set of files is indexed,
+ * the previous index keeps answering.
+ */
+const createGazetteerState = (paths, previous) => {
+  const gazetteer = {
+    paths,
+    status: paths.length ? 'loading' : 'disabled',
+    index: null,
+    sources: []
+  };
+  if (!paths.length) {
+    return gazetteer;
+  }
+
+  if (previous && previous.index) {
+    Object.assign(gazetteer, { status: 'ready', index: previous.index, sources: previous.sources });
+  }
+
+  loadGazetteer(paths)
+    .then(({ index, sources }) => {
+      Object.assign(gazetteer, { status: 'ready', index, sources });
+      console.log(`[tileserver] Search index ready with ${index.size} places`);
+    })
+    .catch((error) => {
+      if (!gazetteer.index) gazetteer.status = 'error';
+      console.error('[tileserver] Failed to build search index:', error);
+    });
+  return gazetteer;
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+/**
+ * Everything the server derives from its settings (the resolved config
+ * values) and tile roots: the tilesets and the caches built on them, the
+ * tile policies and the access middleware. Built at start-up and again on
+ * every reload; unchanged rate limits and search files carry over from
+ * `previous`.
+ */
+const createRuntime = (settings, previous) => {
+  const tileRoot = path.resolve(settings.TILE_SERVER_ROOT || path.join(__dirname, 'tiles'));
+  ensureTileRoot(tileRoot);
+
+  const allowedExtensions = parseExtensions(settings.TILE_SERVER_EXTENSIONS);
+  const tilesets = loadTilesets({
+    root: tileRoot,
+    archivePaths: resolvePathList(settings.TILE_SERVER_MBTILES),
+    entries: parseTilesetEntries(settings.TILE_SERVER_TILESETS),
+    allowedExtensions,
+    attribution: settings.TILE_SERVER_ATTRIBUTION
+  });
+
+  const synthesisModes = parseSynthesisModes(settings.TILE_SERVER_SYNTHESIZE);
+  const synthesizer = synthesisModes.size
+    ? createTileSynthesizer({
+        modes: synthesisModes,
+        overzoomLevels: settings.TILE_SERVER_OVERZOOM_LEVELS,
+        underzoomLevels: settings.TILE_SERVER_UNDERZOOM_LEVELS
+      })
+    : null;
+
+  const apiKeys = parseApiKeys(settings.TILE_SERVER_API_KEYS);
+  const corsOrigins = parseCorsOrigins(settings.TILE_SERVER_CORS_ORIGINS);
+  const rateLimit = settings.TILE_SERVER_RATE_LIMIT;
+  const previousLimiter = previous && previous.rateLimiter;
+  const rateLimiter =
+    rateLimit > 0
+      ? previousLimiter && previousLimiter.limit === rateLimit
+        ? previousLimiter
+        : createRateLimiter({ limit: rateLimit })
+      : null;
+
+  const gazetteerPaths = resolvePathList(settings.TILE_SERVER_GAZETTEER);
+  const gazetteer =
+    previous && sameList(previous.gazetteer.paths, gazetteerPaths)
+      ? previous.gazetteer
+      : createGazetteerState(gazetteerPaths, previous && previous.gazetteer);
+
+  const coverageIndexes = new Map();
+
+  return {
+    tileRoot,
+    allowedExtensions,
+    tilesets,
+    synthesizer,
+    // Tiles are revalidated with their ETag once max-age runs out, so a tile
+    // replaced on disk reaches clients without renaming anything.
+    resolveCacheMaxAge: parseCacheMaxAge(settings.TILE_SERVER_CACHE_MAX_AGE),
+    emptyTileMode: parseEmptyTileMode(settings.TILE_SERVER_EMPTY_TILES),
+    apiKeys,
+    corsOrigins,
+    rateLimit,
+    rateLimiter,
+    gazetteer,
+    cors: createCorsMiddleware(corsOrigins),
+    authenticate: createAuthMiddleware(apiKeys, { publicPaths: PUBLIC_PATHS }),
+    // Tile keys do not open the admin routes; they have their own guard.
+    authorizeAdmin: createAdminMiddleware(settings.TILE_SERVER_ADMIN_KEY),
+    getCoverageIndex: (tileset) => {
+      if (!coverageIndexes.has(tileset.name)) {
+        coverageIndexes.set(tileset.name, createCoverageIndex(tileset));
+      }
+      return coverageIndexes.get(tileset.name);
+    }
+  };
+};
+
+let runtime = createRuntime(config.values, null);
+
+const reloadStatus = {
+  reloads: 0,
+  lastReloadAt: null,
+  lastReason: null,
+  lastError: null,
+  changes: null,
+  restartRequired: [],
+  watching: WATCH_ENABLED
+};
+
+const fileEtags = createFileEtagCache();
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const parseBboxParam = (value) => {
+  if (!value) return undefined;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  return minLon <= maxLon && minLat <= maxLat ? { minLon, minLat, maxLon, maxLat } : null;
+};
+
+/**
+ * `12`, `12-14` or `12,14,16`; null when anything is not a zoom level.
+ */
+const parseZoomParam = (value) => {
+  const text = String(value || '').trim();
+  const range = /^(\d+)-(\d+)$/.exec(text);
+  if (range) {
+    const [start, end] = [Number(range[1]), Number(range[2])];
+    if (start > end) return null;
+    return Array.from({ length: end - start + 1 }, (_, index) => start + index);
+  }
+  const zooms = text.split(',').map((part) => part.trim());
+  return zooms.every((zoom) => /^\d+$/.test(zoom)) ? zooms.map(Number) : null;
+};
+
+const MAX_COVERAGE_ZOOM = 24;
+
+const isTruthyParam = (value) => value === '1' || value === 'true';
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+};
 
 app.disable('x-powered-by');
 
+const accessLog = createAccessLog({ target: config.values.TILE_SERVER_ACCESS_LOG });
+const metrics = createMetrics();
+
+app.use(accessLog.middleware);
+app.use(metrics.middleware);
+// Pin the runtime for the whole request, so a reload never swaps tilesets
+// or settings under a request that is already running.
+app.use((_req, res, next) => {
+  res.locals.runtime = runtime;
+  next();
+});
+app.use((req, res, next) => res.locals.runtime.cors(req, res, next));
+app.use((req, res, next) => {
+  const { rateLimiter } = res.locals.runtime;
+  return rateLimiter ? rateLimiter.middleware(req, res, next) : next();
+});
+app.use((req, res, next) => {
+  const { authenticate, authorizeAdmin } = res.locals.runtime;
+  return isAdminPath(req.path) ? authorizeAdmin(req, res, next) : authenticate(req, res, next);
+});
+
 app.get('/', (_req, res) => {
+  const { tileRoot, tilesets } = res.locals.runtime;
+  const tilesetItems = Array.from(tilesets.values())
+    .map(
+      (tileset) =>
+        `<li><code>${tileset.name}</code> (${tileset.format || 'empty'}) – <a href="/tilesets/${tileset.name}.json">TileJSON</a></li>`
+    )
+    .join('');
+
   res.type('html').send(`<html>
       <head>
         <title>Local Tile Server</title>
@@ -44,72 +307,664 @@ app.get('/', (_req, res) => {
       </head>
       <body>
         <h1>Local Tile Server</h1>
-        <p>This server returns tiles from <code>${TILE_ROOT}</code>.</p>
+        <p>This server returns tiles from <code>${tileRoot}</code>.</p>
         <ul>
           <li>Health check: <code>/health</code></li>
-          <li>Tile endpoint: <code>/tiles/{z}/{x}/{y}.png</code></li>
+          <li>Tileset index: <code>/tilesets</code></li>
+          <li>Tile endpoint: <code>/tiles/{tileset}/{z}/{x}/{y}</code> (format from the Accept header) or <code>/tiles/{tileset}/{z}/{x}/{y}.png</code></li>
+          <li>Default tileset: <code>/tiles/{z}/{x}/{y}</code></li>
+          <li>Place search: <code>/search?q=harbor&amp;bbox=minLon,minLat,maxLon,maxLat</code></li>
+          <li>Coverage summary: <code>/tilesets/{tileset}/coverage</code></li>
+          <li>Coverage window: <code>/tilesets/{tileset}/coverage/{z}?bbox=minLon,minLat,maxLon,maxLat</code></li>
+          <li>Missing-tile report: <code>/tilesets/{tileset}/missing?bbox=…&amp;zoom=12-14</code></li>
+          <li>Installed tile packs: <code>/packs</code></li>
+          <li>Request counts: <code>/stats</code></li>
+          <li>Prometheus metrics: <code>/metrics</code></li>
+          <li>Admin dashboard: <a href="/admin">/admin</a></li>
+          <li>Reload status: <code>/admin/reload</code> (POST to reload tilesets and settings)</li>
         </ul>
+        <h2>Tilesets</h2>
+        <ul>${tilesetItems}</ul>
       </body>
     </html>`);
 });
 
 app.get('/health', (_req, res) => {
+  const {
+    tileRoot,
+    allowedExtensions,
+    tilesets,
+    resolveCacheMaxAge,
+    emptyTileMode,
+    apiKeys,
+    corsOrigins,
+    rateLimit,
+    synthesizer,
+    gazetteer
+  } = res.locals.runtime;
+
   res.json({
     status: 'ok',
-    tileRoot: TILE_ROOT,
-    allowedExtensions: Array.from(ALLOWED_EXTENSIONS)
+    tileRoot,
+    allowedExtensions: Array.from(allowedExtensions),
+    tilesets: Array.from(tilesets.keys()),
+    cacheMaxAge: {
+      default: resolveCacheMaxAge.defaultMaxAge,
+      ...resolveCacheMaxAge.overrides
+    },
+    emptyTiles: emptyTileMode,
+    access: {
+      apiKeys: apiKeys.size > 0,
+      corsOrigins: corsOrigins === '*' ? '*' : Array.from(corsOrigins),
+      rateLimit: rateLimit || null
+    },
+    synthesis: synthesizer
+      ? {
+          modes: Array.from(synthesizer.modes),
+          overzoomLevels: synthesizer.overzoomLevels,
+          underzoomLevels: synthesizer.underzoomLevels
+        }
+      : null,
+    search: {
+      status: gazetteer.status,
+      places: gazetteer.index ? gazetteer.index.size : 0
+    },
+    reload: {
+      reloads: reloadStatus.reloads,
+      lastReloadAt: reloadStatus.lastReloadAt,
+      restartRequired: reloadStatus.restartRequired
+    }
   });
 });
 
+app.get('/stats', (_req, res) => {
+  const { rateLimiter } = res.locals.runtime;
+  res.json({
+    ...accessLog.stats(),
+    rateLimitedClients: rateLimiter ? rateLimiter.clients() : 0
+  });
+});
+
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+/**
+ * Disk usage per tileset and the tiles clients ask for but the server
+ * lacks, i.e. what to download next. Usage is cached with the coverage
+ * index; `?refresh=1` rescans.
+ */
+app.get('/admin', async (req, res, next) => {
+  const { tilesets, getCoverageIndex } = res.locals.runtime;
+  let usages;
+  try {
+    const refresh = isTruthyParam(req.query.refresh);
+    usages = await Promise.all(
+      Array.from(tilesets.values(), (tileset) => getCoverageIndex(tileset).usage({ refresh }))
+    );
+  } catch (error) {
+    return next(error);
+  }
+
+  const totals = metrics.totals();
+  const missing = metrics.topMissing({ limit: 50 });
+
+  const tilesetRows = usages
+    .map((usage) => {
+      const tileset = tilesets.get(usage.tileset);
+      const zooms = usage.zooms
+        .map((entry) => `z${entry.zoom}: ${entry.tiles} (${formatBytes(entry.bytes)})`)
+        .join(', ');
+      return `<tr><td><code>${usage.tileset}</code></td><td>${tileset.format || 'empty'}</td><td>${formatBytes(
+        usage.bytes
+      )}</td><td>${usage.tiles}</td><td class="zooms">${zooms || '–'}</td><td><a href="/admin/missing.txt?tileset=${
+        usage.tileset
+      }">missing list</a></td></tr>`;
+    })
+    .join('');
+
+  const missingRows = missing.length
+    ? missing
+        .map(
+          (entry) =>
+            `<tr><td><code>${entry.tileset}</code></td><td>${entry.z}/${entry.x}/${entry.y}</td><td>${entry.requests}</td></tr>`
+        )
+        .join('')
+    : '<tr><td colspan="3">No missing tiles requested yet.</td></tr>';
+
+  res.type('html').send(`<html>
+      <head>
+        <title>Tile Server Admin</title>
+        <style>
+          body { font-family: system-ui, sans-serif; padding: 2rem; line-height: 1.6; }
+          code { background: #f1f5f9; padding: 0.1rem 0.4rem; border-radius: 0.3rem; }
+          h1 { margin-top: 0; }
+          table { border-collapse: collapse; margin-bottom: 2rem; }
+          th, td { border-bottom: 1px solid #e2e8f0; padding: 0.3rem 0.8rem; text-align: left; vertical-align: top; }
+          td.zooms { font-size: 0.85rem; color: #475569; max-width: 40rem; }
+        </style>
+      </head>
+      <body>
+        <h1>Tile Server Admin</h1>
+        <p>
+          Up ${formatDuration(totals.uptimeSeconds)} · ${totals.requests} requests ·
+          ${totals.tileRequests} tile requests · ${totals.missingTiles} for missing tiles
+          (${(totals.missingRatio * 100).toFixed(1)}%) · ${formatBytes(totals.bytes)} of tiles sent ·
+          <a href="/metrics">metrics</a>
+        </p>
+        <h2>Tilesets</h2>
+        <table>
+          <tr><th>Name</th><th>Format</th><th>On disk</th><th>Tiles</th><th>Tiles per zoom</th><th></th></tr>
+          ${tilesetRows}
+        </table>
+        <p><a href="/admin?refresh=1">Rescan disk usage</a></p>
+        <h2>Most requested missing tiles</h2>
+        <table>
+          <tr><th>Tileset</th><th>Tile</th><th>Requests</th></tr>
+          ${missingRows}
+        </table>
+      </body>
+    </html>`);
+});
+
+/**
+ * The requested missing tiles of one tileset as a `z/x/y` list, most
+ * requested first, ready for `download-tiles.js --tiles`.
+ */
+app.get('/admin/missing.txt', (req, res) => {
+  const tileset = res.locals.runtime.tilesets.get(req.query.tileset || DEFAULT_TILESET_NAME);
+  if (!tileset) {
+    return res.status(404).json({ error: 'Tileset not found.' });
+  }
+
+  const missing = metrics.topMissing({ tileset: tileset.name, limit: Infinity });
+  res.type('text/plain').send(
+    formatTileReport(
+      missing.map(({ z, x, y }) => [z, x, y]),
+      [`Most requested missing tiles for tileset '${tileset.name}'`, `${missing.length} tiles`]
+    )
+  );
+});
+
+app.get('/search', (req, res) => {
+  const { gazetteer } = res.locals.runtime;
+  if (gazetteer.status === 'disabled') {
+    return res.status(404).json({ error: 'Search is not configured. Set TILE_SERVER_GAZETTEER.' });
+  }
+  if (gazetteer.status !== 'ready') {
+    return res.status(503).json({ error: `Search index is ${gazetteer.status}.` });
+  }
+
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: "Query parameter 'q' is required." });
+  }
+
+  const bbox = parseBboxParam(req.query.bbox);
+  if (bbox === null) {
+    return res.status(400).json({ error: "'bbox' must be minLon,minLat,maxLon,maxLat." });
+  }
+
+  const limit = Number.parseInt(req.query.limit, 10);
+  res.json({
+    query,
+    results: gazetteer.index.search(query, {
+      limit: Number.isFinite(limit) ? limit : DEFAULT_SEARCH_LIMIT,
+      bbox
+    })
+  });
+});
+
+app.get('/tilesets', (req, res) => {
+  const baseUrl = getBaseUrl(req);
+  res.json({
+    tilesets: Array.from(res.locals.runtime.tilesets.values()).map((tileset) => ({
+      ...tileset.describe(),
+      tilejson: `${baseUrl}/tilesets/${tileset.name}.json`
+    }))
+  });
+});
+
+app.get('/tilesets/:name.json', (req, res) => {
+  const tileset = res.locals.runtime.tilesets.get(req.params.name);
+  if (!tileset) {
+    return res.status(404).json({ error: 'Tileset not found.' });
+  }
+
+  res.json(tileset.toTileJSON(getBaseUrl(req)));
+});
+
+app.get('/packs', async (_req, res, next) => {
+  try {
+    const packs = await listInstalledPacks(res.locals.runtime.tileRoot);
+    res.json({
+      packs: packs.map((pack) => ({
+        name: pack.name,
+        tileset: pack.tileset,
+        installedAt: pack.installedAt,
+        createdAt: pack.createdAt,
+        attribution: pack.attribution,
+        bounds: pack.bounds,
+        zooms: pack.zooms,
+        tileCount: pack.tileCount,
+        bytes: pack.bytes,
+        import: pack.import
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resolve the tileset and bbox shared by the coverage routes, answering the
+ * request with an error and returning null when either is unusable. The
+ * bbox defaults to the tileset bounds.
+ */
+const resolveCoverageRequest = (req, res) => {
+  const tileset = res.locals.runtime.tilesets.get(req.params.name);
+  if (!tileset) {
+    res.status(404).json({ error: 'Tileset not found.' });
+    return null;
+  }
+
+  const bbox = parseBboxParam(req.query.bbox);
+  if (bbox === null) {
+    res.status(400).json({ error: "'bbox' must be minLon,minLat,maxLon,maxLat." });
+    return null;
+  }
+
+  const bounds = bbox || tileset.bounds;
+  if (!bounds) {
+    res.status(400).json({ error: "Tileset has no bounds; pass 'bbox'." });
+    return null;
+  }
+
+  return { tileset, bounds, refresh: isTruthyParam(req.query.refresh) };
+};
+
+const sendCoverageError = (error, res, next) => {
+  if (error.status === 400) {
+    return res.status(400).json({ error: error.message });
+  }
+  return next(error);
+};
+
+app.get('/tilesets/:name/coverage', async (req, res, next) => {
+  const { tilesets, getCoverageIndex } = res.locals.runtime;
+  const tileset = tilesets.get(req.params.name);
+  if (!tileset) {
+    return res.status(404).json({ error: 'Tileset not found.' });
+  }
+
+  try {
+    res.json(await getCoverageIndex(tileset).summary({ refresh: isTruthyParam(req.query.refresh) }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/tilesets/:name/coverage/:z', async (req, res, next) => {
+  const { z } = req.params;
+  if (!/^\d+$/.test(z) || Number(z) > MAX_COVERAGE_ZOOM) {
+    return res.status(400).json({ error: `Zoom must be an integer from 0 to ${MAX_COVERAGE_ZOOM}.` });
+  }
+
+  const request = resolveCoverageRequest(req, res);
+  if (!request) return undefined;
+
+  try {
+    const { tileset, bounds, refresh } = request;
+    const result = await res.locals.runtime.getCoverageIndex(tileset).query(Number(z), bounds, { refresh });
+    res.json({ tileset: tileset.name, ...result });
+  } catch (error) {
+    sendCoverageError(error, res, next);
+  }
+});
+
+/**
+ * Tiles inside the bbox that the tileset lacks, as `z/x/y` lines (or JSON
+ * with `format=json`). The text form is what `download-tiles.js --tiles`
+ * reads.
+ */
+app.get('/tilesets/:name/missing', async (req, res, next) => {
+  const zooms = parseZoomParam(req.query.zoom);
+  if (!zooms || zooms.some((zoom) => zoom > MAX_COVERAGE_ZOOM)) {
+    return res.status(400).json({ error: "'zoom' must be a level, a range like 12-14 or a list." });
+  }
+
+  const request = resolveCoverageRequest(req, res);
+  if (!request) return undefined;
+
+  const { tileset, bounds, refresh } = request;
+  let report;
+  try {
+    report = await res.locals.runtime.getCoverageIndex(tileset).missingTiles(zooms, bounds, { refresh });
+  } catch (error) {
+    return sendCoverageError(error, res, next);
+  }
+
+  const bbox = [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat];
+  if (req.query.format === 'json') {
+    return res.json({ tileset: tileset.name, bbox, zooms, checked: report.checked, tiles: report.tiles });
+  }
+
+  res.type('text/plain').send(
+    formatTileReport(report.tiles, [
+      `Missing tiles for tileset '${tileset.name}'`,
+      `bbox ${bbox.join(',')}`,
+      `zoom ${zooms.join(',')}`,
+      `${report.tiles.length} of ${report.checked} tiles missing`
+    ])
+  );
+});
+
 const isValidCoordinate = (value) => /^\d+$/.test(value);
 
-app.get('/tiles/:z/:x/:y.:ext', (req, res, next) => {
+const isWithinZoomRange = ({ minZoom, maxZoom }, z) =>
+  !(Number.isFinite(minZoom) && z < minZoom) && !(Number.isFinite(maxZoom) && z > maxZoom);
+
+/**
+ * Answer for a tile that is neither stored nor synthesized, according to
+ * TILE_SERVER_EMPTY_TILES.
+ */
+const sendEmptyTile = async (tileset, extension, req, res) => {
+  const { emptyTileMode, resolveCacheMaxAge } = res.locals.runtime;
+  if (emptyTileMode === '404') {
+    return res.status(404).json({ error: 'Tile not found.' });
+  }
+
+  res.set(
+    'Cache-Control',
+    cacheControlFor(Math.min(PLACEHOLDER_TILE_MAX_AGE, resolveCacheMaxAge(tileset.name)))
+  );
+  if (emptyTileMode === '204') {
+    return res.status(204).end();
+  }
+
+  const { data, format } = await createEmptyTile(extension);
+  res.set({ ETag: computeEtag(data), 'X-Tile-Empty': '1' });
+  res.type(format);
+  return req.fresh ? res.status(304).end() : res.send(data);
+};
+
+/**
+ * Serve a stored or synthesized tile. With an extension in the URL only that
+ * format is looked up; without one the formats the Accept header allows are
+ * tried in order of preference. Responses carry a strong ETag, so clients
+ * revalidate with If-None-Match and get 304 while the tile is unchanged.
+ */
+const serveTile = async (tileset, req, res, next) => {
   const { z, x, y, ext } = req.params;
+  const { allowedExtensions, synthesizer, resolveCacheMaxAge } = res.locals.runtime;
 
   if (!isValidCoordinate(z) || !isValidCoordinate(x) || !isValidCoordinate(y)) {
     return res.status(400).json({ error: 'Coordinates must be non-negative integers.' });
   }
+  const coordinates = { z: Number(z), x: Number(x), y: Number(y) };
+  if (!isValidTile(coordinates)) {
+    return res.status(400).json({ error: 'Tile coordinates are out of range.' });
+  }
 
-  const extension = ext.toLowerCase();
-  if (!ALLOWED_EXTENSIONS.has(extension)) {
-    return res.status(415).json({
-      error: `Unsupported tile extension '${extension}'. Allowed: ${Array.from(
-        ALLOWED_EXTENSIONS
-      ).join(', ')}.`
-    });
+  let extensions;
+  if (ext === undefined) {
+    res.vary('Accept');
+    extensions = negotiateTileExtensions(req.get('Accept'), allowedExtensions);
+    if (!extensions.length) {
+      return res.status(406).json({
+        error: `No acceptable tile format. Available: ${Array.from(allowedExtensions).join(', ')}.`
+      });
+    }
+  } else {
+    const extension = ext.toLowerCase();
+    if (!allowedExtensions.has(extension)) {
+      return res.status(415).json({
+        error: `Unsupported tile extension '${extension}'. Allowed: ${Array.from(
+          allowedExtensions
+        ).join(', ')}.`
+      });
+    }
+    extensions = [extension];
   }
 
-  const tilePath = path.join(TILE_ROOT, z, x, `${y}.${extension}`);
-  const normalizedTilePath = path.normalize(tilePath);
-  if (!normalizedTilePath.startsWith(TILE_ROOT)) {
-    return res.status(403).json({ error: 'Tile path escapes root directory.' });
+  if (!tileset) {
+    return res.status(404).json({ error: 'Tileset not found.' });
   }
+  res.locals.tileset = tileset.name;
+  res.locals.tile = coordinates;
 
-  fs.access(normalizedTilePath, fs.constants.R_OK, (error) => {
-    if (error) {
-      if (error.code === 'ENOENT') {
-        return res.status(404).json({ error: 'Tile not found.' });
+  let tile = null;
+  let extension = extensions[0];
+  let body;
+  try {
+    for (const candidate of extensions) {
+      tile = await tileset.getTile({ z, x, y, extension: candidate });
+      if (tile) {
+        extension = candidate;
+        break;
       }
+    }
 
-      return next(error);
+    // Only tiles the tileset could hold are reported as missing, so the
+    // missing-tiles list stays a valid download list.
+    res.locals.tileMissing = !tile && isWithinZoomRange(tileset, coordinates.z);
+    if (!tile && synthesizer) {
+      extension = extensions.includes(tileset.format) ? tileset.format : extensions[0];
+      tile = await synthesizer.synthesize(tileset, { z, x, y, extension });
     }
 
-    res.sendFile(normalizedTilePath, {
-      headers: {
-        'Cache-Control': 'public, max-age=86400, immutable'
+    if (!tile) {
+      return await sendEmptyTile(tileset, extension, req, res);
+    }
+
+    body = tile.filePath
+      ? await fileEtags(tile.filePath)
+      : { etag: computeEtag(tile.data), data: tile.data };
+  } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ error: error.message });
+    }
+    return next(error);
+  }
+
+  const maxAge = resolveCacheMaxAge(tileset.name);
+  res.set({
+    ETag: body.etag,
+    'Cache-Control': cacheControlFor(
+      tile.synthetic ? Math.min(PLACEHOLDER_TILE_MAX_AGE, maxAge) : maxAge
+    )
+  });
+  if (body.lastModified) {
+    res.set('Last-Modified', body.lastModified.toUTCString());
+  }
+  if (tile.synthetic) {
+    res.set('X-Tile-Synthetic', tile.synthetic);
+  }
+  res.type(tile.format || extension);
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  try {
+    return res.send(body.data || (await fs.promises.readFile(tile.filePath)));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+app.get('/tiles/:z/:x/:y{.:ext}', (req, res, next) =>
+  serveTile(res.locals.runtime.tilesets.get(DEFAULT_TILESET_NAME), req, res, next)
+);
+
+app.get('/tiles/:tileset/:z/:x/:y{.:ext}', (req, res, next) =>
+  serveTile(res.locals.runtime.tilesets.get(req.params.tileset), req, res, next)
+);
+
+const describeTilesets = (tilesets) =>
+  new Map(Array.from(tilesets.values(), (tileset) => [tileset.name, JSON.stringify(tileset.describe())]));
+
+/**
+ * Close the archives of a replaced runtime once in-flight requests are done
+ * with them. Archives are reopened by every reload, so none are shared.
+ */
+const retireRuntime = (retired, current) => {
+  const timer = setTimeout(() => {
+    const sources = new Set(
+      Array.from(retired.tilesets.values()).flatMap((tileset) => tileset.sources)
+    );
+    sources.forEach((source) => {
+      if (source.close) source.close();
+    });
+  }, RETIRE_DELAY_MS);
+  timer.unref();
+
+  if (retired.rateLimiter && retired.rateLimiter !== current.rateLimiter) {
+    retired.rateLimiter.close();
+  }
+  // The new runtime has its own synthesizer; drop tiles built from the old tilesets.
+  if (retired.synthesizer) {
+    retired.synthesizer.clear();
+  }
+};
+
+const watcher = WATCH_ENABLED ? createDirectoryWatcher({ onChange: (reason) => reload(reason) }) : null;
+
+// The tile roots (new zoom folders, tileset folders and archives, metadata
+// files), each configured archive, the .env file and the config file (or
+// where one would be picked up).
+const watchRuntime = (current) => {
+  if (!watcher) return;
+
+  const targets = [
+    { dir: current.tileRoot },
+    { dir: path.dirname(envFile.filePath), names: [path.basename(envFile.filePath)] },
+    config.filePath
+      ? { dir: path.dirname(config.filePath), names: [path.basename(config.filePath)] }
+      : { dir: process.cwd(), names: CONFIG_FILE_NAMES }
+  ];
+  current.tilesets.forEach((tileset) => {
+    tileset.sources.forEach((source) => {
+      if (source.type === 'directory') {
+        targets.push({ dir: source.root });
+      } else if (source.filePath) {
+        targets.push({ dir: path.dirname(source.filePath), names: [path.basename(source.filePath)] });
       }
     });
   });
+  watcher.watch(targets);
+};
+
+/**
+ * Re-read `.env`, the config file and the tile roots and swap in a new
+ * runtime. Requests already running finish with the old one. If the new
+ * configuration is invalid or cannot be loaded the old one stays active
+ * and the error is reported.
+ */
+const reload = (reason) => {
+  envFile.load();
+  const previous = runtime;
+  let nextConfig;
+  let current;
+  try {
+    nextConfig = loadConfig();
+    current = createRuntime(nextConfig.values, previous);
+  } catch (error) {
+    console.error(
+      `[tileserver] Reload after ${reason} failed; keeping the previous configuration:`,
+      // Validation errors already name every bad setting.
+      error.errors ? error.message : error
+    );
+    Object.assign(reloadStatus, { lastReason: reason, lastError: error.message });
+    return reloadStatus;
+  }
+
+  const before = describeTilesets(previous.tilesets);
+  const after = describeTilesets(current.tilesets);
+  const changes = {
+    settings: Object.keys(nextConfig.values).filter(
+      (key) => JSON.stringify(nextConfig.values[key]) !== JSON.stringify(config.values[key])
+    ),
+    added: Array.from(after.keys()).filter((name) => !before.has(name)),
+    removed: Array.from(before.keys()).filter((name) => !after.has(name)),
+    updated: Array.from(after.keys()).filter((name) => before.has(name) && before.get(name) !== after.get(name))
+  };
+
+  config = nextConfig;
+  runtime = current;
+  retireRuntime(previous, current);
+  watchRuntime(current);
+
+  Object.assign(reloadStatus, {
+    reloads: reloadStatus.reloads + 1,
+    lastReloadAt: new Date().toISOString(),
+    lastReason: reason,
+    lastError: null,
+    changes,
+    restartRequired: RESTART_SETTINGS.filter((key) => config.values[key] !== startupSettings[key])
+  });
+
+  const summary = [
+    changes.added.length && `added ${changes.added.join(', ')}`,
+    changes.removed.length && `removed ${changes.removed.join(', ')}`,
+    changes.updated.length && `updated ${changes.updated.join(', ')}`,
+    changes.settings.length && `settings ${changes.settings.join(', ')}`
+  ].filter(Boolean);
+  console.log(`[tileserver] Reloaded (${reason})${summary.length ? `: ${summary.join('; ')}` : ''}`);
+  if (reloadStatus.restartRequired.length) {
+    console.warn(
+      `[tileserver] ${reloadStatus.restartRequired.join(', ')} changed; restart the server to apply.`
+    );
+  }
+  return reloadStatus;
+};
+
+app.get('/admin/reload', (_req, res) => {
+  res.json(reloadStatus);
+});
+
+app.post('/admin/reload', (_req, res) => {
+  res.json(reload('reload request'));
 });
 
+process.on('SIGHUP', () => reload('SIGHUP'));
+
 app.use((err, _req, res, _next) => {
   console.error('[tileserver] Unexpected error:', err);
   res.status(500).json({ error: 'Internal server error.' });
 });
 
 app.listen(PORT, HOST, () => {
-  console.log(`[tileserver] Serving tiles from ${TILE_ROOT}`);
+  console.log(`[tileserver] ${describeConfig(config)}`);
+  const { tileRoot, tilesets, synthesizer, emptyTileMode, apiKeys, rateLimiter, rateLimit } = runtime;
+  console.log(`[tileserver] Serving tiles from ${tileRoot}`);
+  tilesets.forEach((tileset) => {
+    console.log(
+      `[tileserver] Tileset '${tileset.name}' (${tileset.format || 'empty'}) at /tiles/${tileset.name}/{z}/{x}/{y}`
+    );
+  });
+  if (synthesizer) {
+    console.log(
+      `[tileserver] Synthesizing missing tiles (${Array.from(synthesizer.modes).join(', ')})`
+    );
+  }
+  if (emptyTileMode !== '404') {
+    console.log(`[tileserver] Answering empty tiles with ${emptyTileMode}`);
+  }
+  if (apiKeys.size) {
+    console.log(`[tileserver] Requiring an API key (${apiKeys.size} configured)`);
+  } else if (!['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+    console.warn(
+      `[tileserver] No TILE_SERVER_API_KEYS set while listening on ${HOST}; anyone who can reach this port can download every tile.`
+    );
+  }
+  if (rateLimiter) {
+    console.log(`[tileserver] Limiting each client to ${rateLimit} requests per minute`);
+  }
+  if (watcher) {
+    watchRuntime(runtime);
+    console.log('[tileserver] Watching tile roots, .env and the config file for changes');
+  }
   console.log(`[tileserver] Listening on http://${HOST}:${PORT}`);
-  console.log('[tileserver] Example URL: /tiles/0/0/0.png');
+  console.log('[tileserver] Example URL: /tiles/0/0/0');
 });
-
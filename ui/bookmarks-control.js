@@ -0,0 +1,297 @@
+const BOOKMARKS_STORAGE_KEY = 'map.bookmarks';
+// Alt+1 … Alt+9 jump to the first nine bookmarks.
+const BOOKMARK_SHORTCUTS = 9;
+
+const hasBookmarkStore = () =>
+  Boolean(window.electronAPI && typeof window.electronAPI.listBookmarks === 'function');
+
+/**
+ * The bookmarks in an exported file: `{ "bookmarks": [...] }` or a bare
+ * list. Throws when the file holds no valid bookmarks list.
+ */
+const parseBookmarkFile = (name, content) => {
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON.`);
+  }
+
+  const entries = Array.isArray(document) ? document : document?.bookmarks;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${name} does not contain a bookmarks list.`);
+  }
+  return entries.map(normalizeBookmark);
+};
+
+/**
+ * Bookmarks in localStorage for web mode, with the same promise-based
+ * calls as the app's store.
+ */
+const createLocalBookmarkStore = () => {
+  const read = () => {
+    try {
+      return readBookmarks(JSON.parse(window.localStorage.getItem(BOOKMARKS_STORAGE_KEY) || '[]'));
+    } catch (error) {
+      console.warn('[renderer] Unable to read bookmarks:', error);
+      return [];
+    }
+  };
+
+  const update = (change) => {
+    const bookmarks = read();
+    const result = change(bookmarks);
+    window.localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(bookmarks));
+    return result;
+  };
+
+  return { list: async () => read(), ...createBookmarkActions(update) };
+};
+
+const createAppBookmarkStore = () => ({
+  list: () => window.electronAPI.listBookmarks(),
+  save: (bookmark) => window.electronAPI.saveBookmark(bookmark),
+  remove: (id) => window.electronAPI.deleteBookmark(id),
+  importBookmarks: (bookmarks) => window.electronAPI.importBookmarks(bookmarks)
+});
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && Boolean(target.closest('input, textarea, select'));
+
+/**
+ * Top-left panel of named views. Each bookmark keeps the map center and
+ * zoom, optional notes and optionally a base layer (tileset) to switch to.
+ * They are stored in the app's user-data folder, or in localStorage in the
+ * browser, and can be exported to and imported from JSON.
+ *
+ * - `getTilesets()` lists the base layers as `{ id, name }`.
+ * - `getTileset()` is the id of the base layer on the map.
+ * - `showTileset(id)` switches the base layer.
+ *
+ * Shortcuts: Ctrl/Cmd+B saves the current view (focusing the name field),
+ * Alt+1 … Alt+9 go to the first nine bookmarks, Escape closes the panel.
+ */
+const createBookmarksControl = (map, { getTilesets, getTileset, showTileset }) => {
+  const control = window.L.control({ position: 'topleft' });
+  const store = hasBookmarkStore() ? createAppBookmarkStore() : createLocalBookmarkStore();
+  let bookmarks = [];
+  let elements = null;
+
+  const setStatus = (message, isError = false) => {
+    elements.status.textContent = message || '';
+    elements.status.classList.toggle('error', Boolean(isError));
+  };
+
+  const run = (task) => async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error('[renderer] Bookmark action failed:', error);
+      setStatus(ipcErrorMessage(error), true);
+    }
+  };
+
+  const tilesetName = (id) => getTilesets().find((tileset) => tileset.id === id)?.name;
+
+  const goTo = (bookmark) => {
+    map.setView([bookmark.lat, bookmark.lng], bookmark.zoom);
+    if (bookmark.tileset && tilesetName(bookmark.tileset)) {
+      showTileset(bookmark.tileset);
+    }
+  };
+
+  const renderList = () => {
+    const { list } = elements;
+    list.innerHTML = '';
+
+    if (!bookmarks.length) {
+      const empty = window.L.DomUtil.create('li', 'bookmark-list-empty', list);
+      empty.textContent = 'No bookmarks yet.';
+      return;
+    }
+
+    bookmarks.forEach((bookmark, index) => {
+      const item = window.L.DomUtil.create('li', '', list);
+      const label = window.L.DomUtil.create('button', 'bookmark-name', item);
+      label.type = 'button';
+      label.textContent = bookmark.name;
+      const shortcut = index < BOOKMARK_SHORTCUTS ? ` · Alt+${index + 1}` : '';
+      const layer = bookmark.tileset ? tilesetName(bookmark.tileset) || bookmark.tileset : null;
+      label.title = [
+        `z${bookmark.zoom} · ${formatLatLng(bookmark)}${shortcut}`,
+        layer ? `Layer: ${layer}` : '',
+        bookmark.notes
+      ]
+        .filter(Boolean)
+        .join('\n');
+      label.addEventListener('click', () => goTo(bookmark));
+
+      const remove = window.L.DomUtil.create('button', 'bookmark-delete', item);
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = `Delete ${bookmark.name}`;
+      remove.addEventListener('click', run(async () => {
+        await store.remove(bookmark.id);
+        setStatus(`Deleted ${bookmark.name}.`);
+        await refresh();
+      }));
+
+      if (bookmark.notes) {
+        const notes = window.L.DomUtil.create('small', 'bookmark-notes', item);
+        notes.textContent = bookmark.notes;
+      }
+    });
+  };
+
+  const refresh = async () => {
+    bookmarks = await store.list();
+    renderList();
+  };
+
+  const saveView = async () => {
+    const { name, notes, tileset } = elements;
+    const center = map.getCenter();
+    const saved = await store.save({
+      name: name.value.trim() || formatLatLng(center),
+      lat: center.lat,
+      lng: center.lng,
+      zoom: map.getZoom(),
+      notes: notes.value.trim(),
+      tileset: tileset.hidden ? null : (tileset.value === 'current' ? getTileset() : tileset.value) || null
+    });
+    name.value = '';
+    notes.value = '';
+    setStatus(`Saved ${saved.name}.`);
+    await refresh();
+  };
+
+  const exportBookmarks = async () => {
+    if (!bookmarks.length) {
+      setStatus('Nothing to export yet.', true);
+      return;
+    }
+
+    const saved = await saveTextFile({
+      fileName: 'bookmarks.json',
+      content: JSON.stringify({ bookmarks }, null, 2),
+      mimeType: 'application/json',
+      filters: [{ name: 'Bookmarks', extensions: ['json'] }]
+    });
+    if (saved) {
+      setStatus(`Exported ${bookmarks.length} bookmark${bookmarks.length === 1 ? '' : 's'}.`);
+    }
+  };
+
+  const importBookmarks = async () => {
+    const files = await openTextFiles({
+      accept: '.json,application/json',
+      filters: [{ name: 'Bookmarks', extensions: ['json'] }]
+    });
+    if (!files.length) return;
+
+    const imported = files.flatMap((file) => parseBookmarkFile(file.name, file.content));
+    await store.importBookmarks(imported);
+    setStatus(`Imported ${imported.length} bookmark${imported.length === 1 ? '' : 's'}.`);
+    await refresh();
+  };
+
+  const renderTilesets = () => {
+    const { tileset } = elements;
+    const tilesets = getTilesets();
+    tileset.innerHTML = '';
+    [
+      { id: 'current', name: 'Current layer' },
+      { id: '', name: 'Any layer' },
+      ...tilesets
+    ].forEach((entry) => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.name;
+      tileset.appendChild(option);
+    });
+    tileset.hidden = tilesets.length < 2;
+  };
+
+  const focusName = () => {
+    elements.container.open = true;
+    elements.name.focus();
+  };
+
+  const onKeyDown = (event) => {
+    const { container } = elements;
+    if (event.key === 'Escape' && container.open && container.contains(event.target)) {
+      container.open = false;
+      event.target.blur();
+      return;
+    }
+    if (isTypingTarget(event.target)) return;
+
+    if ((event.ctrlKey || event.metaKey) && !event.shiftKey && event.key.toLowerCase() === 'b') {
+      event.preventDefault();
+      focusName();
+      return;
+    }
+
+    // `code`, because Alt+digit types other characters on some layouts.
+    const digit = /^Digit([1-9])$/.exec(event.code);
+    if (digit && event.altKey && !event.ctrlKey && !event.metaKey) {
+      const bookmark = bookmarks[Number(digit[1]) - 1];
+      if (bookmark) {
+        event.preventDefault();
+        goTo(bookmark);
+      }
+    }
+  };
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('details', 'bookmarks-control');
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    const summary = window.L.DomUtil.create('summary', '', container);
+    summary.textContent = 'Bookmarks';
+    summary.title = 'Saved views (Ctrl+B to bookmark this view)';
+
+    const form = window.L.DomUtil.create('form', 'bookmark-form', container);
+    const name = window.L.DomUtil.create('input', '', form);
+    name.type = 'text';
+    name.placeholder = 'Name';
+    name.setAttribute('aria-label', 'Bookmark name');
+    const notes = window.L.DomUtil.create('textarea', '', form);
+    notes.rows = 2;
+    notes.placeholder = 'Notes (optional)';
+    notes.setAttribute('aria-label', 'Bookmark notes');
+    const tileset = window.L.DomUtil.create('select', '', form);
+    tileset.setAttribute('aria-label', 'Layer to show');
+    const save = window.L.DomUtil.create('button', '', form);
+    save.type = 'submit';
+    save.textContent = 'Save view';
+
+    const list = window.L.DomUtil.create('ul', 'bookmark-list', container);
+
+    const fileRow = window.L.DomUtil.create('div', 'bookmark-row', container);
+    createButton(fileRow, 'Export', run(exportBookmarks));
+    createButton(fileRow, 'Import…', run(importBookmarks));
+
+    const status = window.L.DomUtil.create('small', 'bookmark-status', container);
+
+    elements = { container, name, notes, tileset, list, status };
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      run(saveView)();
+    });
+    container.addEventListener('toggle', () => {
+      if (container.open) renderTilesets();
+    });
+
+    renderTilesets();
+    run(refresh)();
+    document.addEventListener('keydown', onKeyDown);
+    return container;
+  };
+
+  control.onRemove = () => {
+    document.removeEventListener('keydown', onKeyDown);
+  };
+
+  return { control };
+};
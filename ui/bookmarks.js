@@ -0,0 +1,104 @@
+/**
+ * Bookmark validation and list changes, shared by the renderer (a classic
+ * script, for the localStorage store) and the main process (required by
+ * lib/bookmark-store.js), so both stores accept exactly the same data.
+ */
+const BOOKMARK_MAX_ZOOM = 30;
+
+const createBookmarkId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * A checked copy of a bookmark, `{ id, name, lat, lng, zoom, notes,
+ * tileset, createdAt }`. Entries without an id (new or imported ones) get
+ * one; anything else malformed throws.
+ */
+const normalizeBookmark = (entry) => {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Bookmarks must be objects.');
+  }
+
+  const name = String(entry.name ?? '').trim();
+  if (!name) {
+    throw new Error('Bookmarks need a name.');
+  }
+
+  const { lat, lng, zoom } = entry;
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lng) || Math.abs(lng) > 180) {
+    throw new Error(`Bookmark '${name}' has an invalid position.`);
+  }
+  if (!Number.isFinite(zoom) || zoom < 0 || zoom > BOOKMARK_MAX_ZOOM) {
+    throw new Error(`Bookmark '${name}' has an invalid zoom.`);
+  }
+
+  return {
+    id: /^[\w-]{1,64}$/.test(String(entry.id ?? '')) ? entry.id : createBookmarkId(),
+    name,
+    lat,
+    lng,
+    zoom,
+    notes: entry.notes ? String(entry.notes) : '',
+    tileset: entry.tileset ? String(entry.tileset) : null,
+    createdAt: Number.isNaN(Date.parse(entry.createdAt)) ? new Date().toISOString() : entry.createdAt
+  };
+};
+
+/**
+ * The valid bookmarks in a stored list; `onSkip(error)` hears about the rest.
+ */
+const readBookmarks = (entries, onSkip = () => {}) =>
+  (Array.isArray(entries) ? entries : []).flatMap((entry) => {
+    try {
+      return [normalizeBookmark(entry)];
+    } catch (error) {
+      onSkip(error);
+      return [];
+    }
+  });
+
+/**
+ * `save`, `remove` and `importBookmarks` for a store whose
+ * `update(change)` runs `change(bookmarks)` on the stored list, writes the
+ * list back and returns (a promise of) the result. Bookmarks keep the order
+ * they were added in; saving or importing one with a stored id replaces it.
+ */
+const createBookmarkActions = (update) => {
+  const upsert = (bookmarks, bookmark) => {
+    const index = bookmarks.findIndex((entry) => entry.id === bookmark.id);
+    if (index === -1) {
+      bookmarks.push(bookmark);
+    } else {
+      bookmarks[index] = bookmark;
+    }
+  };
+
+  return {
+    save: async (entry) => {
+      const bookmark = normalizeBookmark(entry);
+      return update((bookmarks) => {
+        upsert(bookmarks, bookmark);
+        return bookmark;
+      });
+    },
+    remove: async (id) =>
+      update((bookmarks) => {
+        const index = bookmarks.findIndex((entry) => entry.id === id);
+        if (index !== -1) bookmarks.splice(index, 1);
+      }),
+    // Nothing is written if any entry is invalid.
+    importBookmarks: async (entries) => {
+      if (!Array.isArray(entries)) {
+        throw new Error('Bookmarks must be imported as a list.');
+      }
+      const imported = entries.map(normalizeBookmark);
+      return update((bookmarks) => {
+        imported.forEach((bookmark) => upsert(bookmarks, bookmark));
+        return bookmarks;
+      });
+    }
+  };
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { BOOKMARK_MAX_ZOOM, createBookmarkActions, normalizeBookmark, readBookmarks };
+}
@@ -0,0 +1,103 @@
+const GOTO_MIN_ZOOM = 15;
+
+/**
+ * Bottom-left panel with the live cursor position, the coordinate format
+ * picker and a go-to box. `onFormatChange(format)` runs after the user picks
+ * a new format so other views can redraw their coordinates.
+ */
+const createCoordinateControl = (map, { onFormatChange = () => {} } = {}) => {
+  const control = window.L.control({ position: 'bottomleft' });
+  let gotoMarker = null;
+
+  const showLocation = (latLng) => {
+    const zoom = Math.min(Math.max(map.getZoom(), GOTO_MIN_ZOOM), map.getMaxZoom());
+    map.setView(latLng, zoom);
+
+    if (!gotoMarker) {
+      gotoMarker = window.L.circleMarker(latLng, {
+        radius: 8,
+        color: '#f8fafc',
+        weight: 2,
+        fillColor: '#f97316',
+        fillOpacity: 0.9
+      }).addTo(map);
+    }
+
+    gotoMarker
+      .setLatLng(latLng)
+      .bindPopup(formatLatLng(latLng), { closeButton: false })
+      .openPopup();
+  };
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('div', 'coordinate-control');
+
+    const readoutRow = window.L.DomUtil.create('div', 'coordinate-readout-row', container);
+    const readout = window.L.DomUtil.create('span', 'coordinate-readout', readoutRow);
+    readout.textContent = formatLatLng(map.getCenter());
+
+    const formatSelect = window.L.DomUtil.create('select', '', readoutRow);
+    formatSelect.title = 'Coordinate format';
+    Object.entries(COORDINATE_FORMATS).forEach(([value, format]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = format.label;
+      formatSelect.appendChild(option);
+    });
+    formatSelect.value = getCoordinateFormat();
+
+    const form = window.L.DomUtil.create('form', 'coordinate-goto', container);
+    const input = window.L.DomUtil.create('input', '', form);
+    input.type = 'text';
+    input.placeholder = 'Go to: 39.0195, 125.7538 · DMS · UTM · MGRS';
+    input.spellcheck = false;
+    const submit = window.L.DomUtil.create('button', '', form);
+    submit.type = 'submit';
+    submit.textContent = 'Go';
+
+    const status = window.L.DomUtil.create('small', 'coordinate-status', container);
+
+    let lastCursor = null;
+    const showCursor = (latLng) => {
+      lastCursor = latLng;
+      readout.textContent = formatLatLng(latLng);
+    };
+
+    map.on('mousemove', (event) => showCursor(event.latlng));
+    map.on('mouseout', () => {
+      lastCursor = null;
+      readout.textContent = formatLatLng(map.getCenter());
+    });
+
+    formatSelect.addEventListener('change', () => {
+      setCoordinateFormat(formatSelect.value);
+      readout.textContent = formatLatLng(lastCursor || map.getCenter());
+      if (gotoMarker) {
+        gotoMarker.setPopupContent(formatLatLng(gotoMarker.getLatLng()));
+      }
+      onFormatChange(formatSelect.value);
+    });
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      try {
+        const latLng = parseCoordinate(input.value);
+        showLocation(latLng);
+        status.textContent = '';
+        status.classList.remove('error');
+      } catch (error) {
+        status.textContent = error.message;
+        status.classList.add('error');
+      }
+    });
+
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    return container;
+  };
+
+  return {
+    control,
+    showLocation
+  };
+};
@@ -0,0 +1,349 @@
+/**
+ * Offline coordinate formatting and parsing: decimal degrees, degrees/
+ * minutes/seconds, UTM and MGRS (WGS84). UTM and MGRS cover 80°S to 84°N;
+ * the polar UPS grids are not supported.
+ */
+const COORDINATE_FORMATS = {
+  dd: { label: 'Decimal degrees' },
+  dms: { label: 'Deg/min/sec' },
+  utm: { label: 'UTM' },
+  mgrs: { label: 'MGRS' }
+};
+const DEFAULT_COORDINATE_FORMAT = 'dd';
+const COORDINATE_FORMAT_STORAGE_KEY = 'map.coordinateFormat';
+
+const UTM_SCALE_FACTOR = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+const UTM_MIN_LAT = -80;
+const UTM_MAX_LAT = 84;
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+const UTM_E2 = WGS84.f * (2 - WGS84.f);
+const UTM_EP2 = UTM_E2 / (1 - UTM_E2);
+
+let coordinateFormat = DEFAULT_COORDINATE_FORMAT;
+
+const loadCoordinateFormat = () => {
+  try {
+    const stored = window.localStorage.getItem(COORDINATE_FORMAT_STORAGE_KEY);
+    coordinateFormat = COORDINATE_FORMATS[stored] ? stored : DEFAULT_COORDINATE_FORMAT;
+  } catch (error) {
+    console.warn('[renderer] Unable to read coordinate format:', error);
+  }
+  return coordinateFormat;
+};
+
+const getCoordinateFormat = () => coordinateFormat;
+
+const setCoordinateFormat = (format) => {
+  if (!COORDINATE_FORMATS[format]) return;
+  coordinateFormat = format;
+  try {
+    window.localStorage.setItem(COORDINATE_FORMAT_STORAGE_KEY, format);
+  } catch (error) {
+    console.warn('[renderer] Unable to save coordinate format:', error);
+  }
+};
+
+const utmZoneFor = (lat, lng) => {
+  const normalizedLng = ((((lng + 180) % 360) + 360) % 360) - 180;
+  let zone = Math.floor((normalizedLng + 180) / 6) + 1;
+  if (zone > 60) zone = 60;
+
+  // Norway and Svalbard exceptions.
+  if (lat >= 56 && lat < 64 && normalizedLng >= 3 && normalizedLng < 12) zone = 32;
+  if (lat >= 72 && lat <= 84) {
+    if (normalizedLng >= 0 && normalizedLng < 9) zone = 31;
+    else if (normalizedLng >= 9 && normalizedLng < 21) zone = 33;
+    else if (normalizedLng >= 21 && normalizedLng < 33) zone = 35;
+    else if (normalizedLng >= 33 && normalizedLng < 42) zone = 37;
+  }
+
+  return { zone, lng: normalizedLng };
+};
+
+const utmBandFor = (lat) => UTM_BANDS[Math.min(Math.floor((lat + 80) / 8), UTM_BANDS.length - 1)];
+
+const centralMeridian = (zone) => (zone - 1) * 6 - 180 + 3;
+
+const meridianArc = (phi) => {
+  const e2 = UTM_E2;
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  return (
+    WGS84.a *
+    ((1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256) * phi -
+      ((3 * e2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024) * Math.sin(2 * phi) +
+      ((15 * e4) / 256 + (45 * e6) / 1024) * Math.sin(4 * phi) -
+      ((35 * e6) / 3072) * Math.sin(6 * phi))
+  );
+};
+
+/**
+ * `{ zone, band, easting, northing }` for a WGS84 position, or null outside
+ * the UTM latitude range. `zone` may be forced to project into a
+ * neighbouring zone.
+ */
+const latLngToUtm = (lat, lng, forcedZone) => {
+  if (!(lat >= UTM_MIN_LAT && lat <= UTM_MAX_LAT)) return null;
+
+  const resolved = utmZoneFor(lat, lng);
+  const zone = forcedZone || resolved.zone;
+  const phi = toRadians(lat);
+  let deltaLng = resolved.lng - centralMeridian(zone);
+  if (deltaLng > 180) deltaLng -= 360;
+  if (deltaLng < -180) deltaLng += 360;
+
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const N = WGS84.a / Math.sqrt(1 - UTM_E2 * sinPhi * sinPhi);
+  const T = Math.tan(phi) ** 2;
+  const C = UTM_EP2 * cosPhi * cosPhi;
+  const A = cosPhi * toRadians(deltaLng);
+
+  const easting =
+    UTM_SCALE_FACTOR *
+      N *
+      (A + ((1 - T + C) * A ** 3) / 6 + ((5 - 18 * T + T * T + 72 * C - 58 * UTM_EP2) * A ** 5) / 120) +
+    UTM_FALSE_EASTING;
+
+  let northing =
+    UTM_SCALE_FACTOR *
+    (meridianArc(phi) +
+      N *
+        Math.tan(phi) *
+        ((A * A) / 2 +
+          ((5 - T + 9 * C + 4 * C * C) * A ** 4) / 24 +
+          ((61 - 58 * T + T * T + 600 * C - 330 * UTM_EP2) * A ** 6) / 720));
+  if (lat < 0) northing += UTM_FALSE_NORTHING_SOUTH;
+
+  return { zone, band: utmBandFor(lat), easting, northing };
+};
+
+const utmToLatLng = ({ zone, northern, easting, northing }) => {
+  const e2 = UTM_E2;
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const M = (northern ? northing : northing - UTM_FALSE_NORTHING_SOUTH) / UTM_SCALE_FACTOR;
+  const mu = M / (WGS84.a * (1 - e2 / 4 - (3 * e2 * e2) / 64 - (5 * e2 ** 3) / 256));
+
+  const phi1 =
+    mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const N1 = WGS84.a / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+  const T1 = Math.tan(phi1) ** 2;
+  const C1 = UTM_EP2 * cosPhi1 * cosPhi1;
+  const R1 = (WGS84.a * (1 - e2)) / (1 - e2 * sinPhi1 * sinPhi1) ** 1.5;
+  const D = (easting - UTM_FALSE_EASTING) / (N1 * UTM_SCALE_FACTOR);
+
+  const phi =
+    phi1 -
+    ((N1 * Math.tan(phi1)) / R1) *
+      ((D * D) / 2 -
+        ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * UTM_EP2) * D ** 4) / 24 +
+        ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * UTM_EP2 - 3 * C1 * C1) * D ** 6) / 720);
+  const lambda =
+    (D -
+      ((1 + 2 * T1 + C1) * D ** 3) / 6 +
+      ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * UTM_EP2 + 24 * T1 * T1) * D ** 5) / 120) /
+    cosPhi1;
+
+  return { lat: toDegrees(phi), lng: centralMeridian(zone) + toDegrees(lambda) };
+};
+
+const mgrsColumnLetters = (zone) => MGRS_COLUMN_SETS[(zone - 1) % 3];
+const mgrsRowOffset = (zone) => (zone % 2 === 0 ? 5 : 0);
+
+const latLngToMgrs = (lat, lng) => {
+  const utm = latLngToUtm(lat, lng);
+  if (!utm) return null;
+
+  const column = mgrsColumnLetters(utm.zone)[Math.floor(utm.easting / 100000) - 1];
+  const row =
+    MGRS_ROW_LETTERS[(Math.floor(utm.northing / 100000) + mgrsRowOffset(utm.zone)) % MGRS_ROW_LETTERS.length];
+  const pad = (value) => String(Math.floor(value % 100000)).padStart(5, '0');
+
+  return `${utm.zone}${utm.band}${column}${row} ${pad(utm.easting)} ${pad(utm.northing)}`;
+};
+
+const formatDms = (value, positive, negative) => {
+  const totalSeconds = Math.round(Math.abs(value) * 36000) / 10;
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+  const seconds = totalSeconds - degrees * 3600 - minutes * 60;
+  return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(1).padStart(4, '0')}″${
+    value < 0 ? negative : positive
+  }`;
+};
+
+/**
+ * Format `{ lat, lng }` in one of the COORDINATE_FORMATS, defaulting to the
+ * user's current choice. Positions outside the UTM range fall back to
+ * decimal degrees.
+ */
+const formatLatLng = (latLng, format = coordinateFormat) => {
+  const { lat, lng } = latLng;
+
+  if (format === 'dms') {
+    return `${formatDms(lat, 'N', 'S')} ${formatDms(lng, 'E', 'W')}`;
+  }
+
+  if (format === 'utm') {
+    const utm = latLngToUtm(lat, lng);
+    if (utm) {
+      return `${utm.zone}${utm.band} ${Math.floor(utm.easting)}E ${Math.floor(utm.northing)}N`;
+    }
+  }
+
+  if (format === 'mgrs') {
+    const mgrs = latLngToMgrs(lat, lng);
+    if (mgrs) return mgrs;
+  }
+
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+};
+
+const isValidLatLng = ({ lat, lng }) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const parseUtm = (text) => {
+  const match = text.match(
+    /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:M?E)?[\s,]+(\d+(?:\.\d+)?)\s*(?:M?N)?$/
+  );
+  if (!match) return null;
+
+  const zone = Number(match[1]);
+  if (zone < 1 || zone > 60) return null;
+
+  return utmToLatLng({
+    zone,
+    northern: match[2] >= 'N',
+    easting: Number(match[3]),
+    northing: Number(match[4])
+  });
+};
+
+const parseMgrs = (text) => {
+  const match = text.replace(/\s+/g, '').match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/);
+  if (!match || match[5].length % 2 !== 0 || match[5].length > 10) return null;
+
+  const zone = Number(match[1]);
+  const band = match[2];
+  const columnIndex = mgrsColumnLetters(zone).indexOf(match[3]);
+  const rowIndex = MGRS_ROW_LETTERS.indexOf(match[4]);
+  if (zone < 1 || zone > 60 || columnIndex === -1 || rowIndex === -1) return null;
+
+  const digits = match[5];
+  const precision = digits.length / 2;
+  const scale = 10 ** (5 - precision);
+  const easting = (columnIndex + 1) * 100000 + (precision ? Number(digits.slice(0, precision)) * scale : 0);
+  let northing =
+    ((rowIndex - mgrsRowOffset(zone) + MGRS_ROW_LETTERS.length) % MGRS_ROW_LETTERS.length) * 100000 +
+    (precision ? Number(digits.slice(precision)) * scale : 0);
+
+  // The row letters repeat every 2,000 km; pick the cycle that falls inside
+  // the latitude band.
+  const bandSouth = UTM_MIN_LAT + UTM_BANDS.indexOf(band) * 8;
+  const northern = band >= 'N';
+  const bandMinNorthing = latLngToUtm(bandSouth, centralMeridian(zone), zone).northing;
+  while (northing < bandMinNorthing - 500000) {
+    northing += 2000000;
+  }
+
+  return utmToLatLng({ zone, northern, easting, northing });
+};
+
+/**
+ * Degrees, optionally followed by minutes and seconds, e.g. `39.5`,
+ * `39 30`, `39°30′15.2″` or `-39:30:15`.
+ */
+const parseAngle = (text) => {
+  const cleaned = text.trim();
+  if (!/^-?\d/.test(cleaned) || /[^\d.\s°º'′’"″”:-]/.test(cleaned)) return null;
+
+  const numbers = cleaned.match(/\d+(?:\.\d+)?/g) || [];
+  if (!numbers.length || numbers.length > 3) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return cleaned.startsWith('-') ? -value : value;
+};
+
+const splitLatLngText = (text) => {
+  if (/[,;]/.test(text)) {
+    return text.split(/[,;]/);
+  }
+
+  const letters = [...text.matchAll(/[NSEW]/g)];
+  if (letters.length === 2) {
+    const prefixed = letters[0].index === 0;
+    const cut = prefixed ? letters[1].index : letters[0].index + 1;
+    return [text.slice(0, cut), text.slice(cut)];
+  }
+  if (letters.length > 0) {
+    return null;
+  }
+
+  const tokens = text.split(/\s+/);
+  if (tokens.length % 2 === 0) {
+    return [tokens.slice(0, tokens.length / 2).join(' '), tokens.slice(tokens.length / 2).join(' ')];
+  }
+  return null;
+};
+
+/**
+ * Decimal degrees or DMS. Hemisphere letters may lead or trail each value
+ * and allow "lng, lat" order; without them the first value is latitude.
+ */
+const parseDegrees = (text) => {
+  const parts = splitLatLngText(text);
+  if (!parts || parts.length !== 2) return null;
+
+  const values = parts.map((part) => {
+    const hemisphere = (part.trim().match(/^[NSEW]|[NSEW]$/) || [])[0] || null;
+    const angle = parseAngle(part.replace(/[NSEW]/, ''));
+    if (angle === null) return null;
+    return {
+      axis: hemisphere ? (hemisphere === 'N' || hemisphere === 'S' ? 'lat' : 'lng') : null,
+      value: hemisphere === 'S' || hemisphere === 'W' ? -Math.abs(angle) : angle
+    };
+  });
+  if (values.includes(null)) return null;
+
+  const [first, second] = values;
+  if (first.axis && first.axis === second.axis) return null;
+  if (first.axis === 'lng' || second.axis === 'lat') {
+    return { lat: second.value, lng: first.value };
+  }
+  return { lat: first.value, lng: second.value };
+};
+
+/**
+ * Parse a coordinate typed in any supported format into `{ lat, lng }`, or
+ * throw an Error describing what was expected.
+ */
+const parseCoordinate = (input) => {
+  const text = String(input || '').trim().toUpperCase();
+  if (!text) {
+    throw new Error('Enter a coordinate.');
+  }
+
+  const latLng = parseMgrs(text) || parseUtm(text) || parseDegrees(text);
+  if (!latLng || !isValidLatLng(latLng)) {
+    throw new Error(
+      "Unrecognised coordinate. Try 39.0195, 125.7538 · 39°01′10″N 125°45′14″E · 51S 738410E 4322549N · 51SYD 38410 22549."
+    );
+  }
+
+  return latLng;
+};
@@ -0,0 +1,219 @@
+const COVERAGE_REFRESH_DEBOUNCE_MS = 200;
+const COVERAGE_REPORT_ZOOM_SPAN = 2;
+
+/**
+ * The tile server origin and tileset behind a layer's URL template, read from
+ * its `/tiles/{z}/…` (the `default` tileset) or `/tiles/<name>/{z}/…` path.
+ * Null for templates that do not point at the bundled tile server.
+ */
+const resolveCoverageSource = (urlTemplate) => {
+  let url;
+  try {
+    url = new URL(urlTemplate, window.location.href);
+  } catch (error) {
+    return null;
+  }
+
+  const match = /^(.*)\/tiles\/(?:([A-Za-z0-9_-]+)\/)?\{z\}\/\{x\}\/\{y\}/.exec(
+    decodeURI(url.pathname)
+  );
+  if (!match) return null;
+
+  return { baseUrl: `${url.origin}${match[1]}`, tileset: match[2] || 'default' };
+};
+
+const boundsToBboxParam = (bounds) =>
+  [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+    .map((value) => value.toFixed(6))
+    .join(',');
+
+/**
+ * Bottom-right panel that shades tiles the server holds (green) and lacks
+ * (red) at the current zoom, and saves a missing-tile report for the view
+ * that `download-tiles.js --tiles` can fetch. `getUrlTemplate()` returns
+ * the active base layer's template; `apiKey` is sent with every request.
+ */
+const createCoverageControl = (map, { getUrlTemplate, apiKey }) => {
+  const headers = apiKey ? { 'X-API-Key': apiKey } : undefined;
+  const control = window.L.control({ position: 'bottomright' });
+  const overlay = window.L.layerGroup();
+  let enabled = false;
+  let pending = null;
+  let debounceTimer = null;
+  let status = null;
+
+  const setStatus = (message, isError = false) => {
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+
+  const tileRectangle = (x, y, zoom, present) => {
+    const northWest = map.unproject(window.L.point(x * 256, y * 256), zoom);
+    const southEast = map.unproject(window.L.point((x + 1) * 256, (y + 1) * 256), zoom);
+    return window.L.rectangle(window.L.latLngBounds(northWest, southEast), {
+      interactive: false,
+      weight: 1,
+      color: present ? '#22c55e' : '#ef4444',
+      fillOpacity: present ? 0.12 : 0.3
+    });
+  };
+
+  const loadCoverage = async () => {
+    if (pending) pending.abort();
+    overlay.clearLayers();
+
+    const source = resolveCoverageSource(getUrlTemplate());
+    if (!source) {
+      setStatus('This layer is not served by the local tile server.', true);
+      return;
+    }
+
+    pending = new AbortController();
+    const zoom = Math.round(map.getZoom());
+    const url = new URL(`${source.baseUrl}/tilesets/${source.tileset}/coverage/${zoom}`);
+    url.searchParams.set('bbox', boundsToBboxParam(map.getBounds()));
+
+    try {
+      const response = await fetch(url, { signal: pending.signal, headers });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.error || `Coverage request failed with HTTP ${response.status}.`);
+      }
+
+      body.present.forEach(([x, y]) => tileRectangle(x, y, zoom, true).addTo(overlay));
+      body.missing.forEach(([x, y]) => tileRectangle(x, y, zoom, false).addTo(overlay));
+      const percent = body.total ? Math.round((body.present.length / body.total) * 100) : 0;
+      setStatus(`z${zoom}: ${body.present.length} of ${body.total} tiles (${percent}%)`);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.warn('[renderer] Unable to load tile coverage:', error);
+      setStatus(error.message || 'Coverage is unavailable.', true);
+    }
+  };
+
+  const refresh = () => {
+    if (!enabled) return;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(loadCoverage, COVERAGE_REFRESH_DEBOUNCE_MS);
+  };
+
+  const setEnabled = (value) => {
+    enabled = value;
+    if (enabled) {
+      overlay.addTo(map);
+      refresh();
+    } else {
+      if (pending) pending.abort();
+      clearTimeout(debounceTimer);
+      overlay.clearLayers();
+      overlay.remove();
+      setStatus('');
+    }
+  };
+
+  const saveMissingReport = async (fromZoom, toZoom) => {
+    const source = resolveCoverageSource(getUrlTemplate());
+    if (!source) {
+      throw new Error('This layer is not served by the local tile server.');
+    }
+
+    const url = new URL(`${source.baseUrl}/tilesets/${source.tileset}/missing`);
+    url.searchParams.set('bbox', boundsToBboxParam(map.getBounds()));
+    url.searchParams.set('zoom', `${fromZoom}-${toZoom}`);
+
+    const response = await fetch(url, { headers });
+    const content = await response.text();
+    if (!response.ok) {
+      let message = `Report failed with HTTP ${response.status}.`;
+      try {
+        message = JSON.parse(content).error || message;
+      } catch (error) {
+        // Keep the generic message for non-JSON error bodies.
+      }
+      throw new Error(message);
+    }
+
+    const missing = content.split('\n').filter((line) => line && !line.startsWith('#')).length;
+    const saved = await saveTextFile({
+      fileName: `missing-${source.tileset}-z${fromZoom}-${toZoom}.txt`,
+      content,
+      mimeType: 'text/plain',
+      filters: [{ name: 'Tile list', extensions: ['txt'] }]
+    });
+    return saved ? missing : null;
+  };
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('div', 'coverage-control');
+
+    const toggleLabel = window.L.DomUtil.create('label', 'coverage-toggle', container);
+    const toggle = window.L.DomUtil.create('input', '', toggleLabel);
+    toggle.type = 'checkbox';
+    toggleLabel.append(' Tile coverage');
+    toggle.addEventListener('change', () => setEnabled(toggle.checked));
+
+    const form = window.L.DomUtil.create('form', 'coverage-report', container);
+    form.title = 'Save the tiles missing from the current view as a list for download-tiles.js --tiles';
+    const formLabel = window.L.DomUtil.create('span', '', form);
+    formLabel.textContent = 'Missing z';
+    const createZoomInput = () => {
+      const input = window.L.DomUtil.create('input', '', form);
+      input.type = 'number';
+      input.min = '0';
+      input.max = '24';
+      return input;
+    };
+    const fromInput = createZoomInput();
+    window.L.DomUtil.create('span', '', form).textContent = '–';
+    const toInput = createZoomInput();
+    const submit = window.L.DomUtil.create('button', '', form);
+    submit.type = 'submit';
+    submit.textContent = 'Save list';
+
+    const syncZoomInputs = () => {
+      const zoom = Math.round(map.getZoom());
+      fromInput.value = String(zoom);
+      toInput.value = String(Math.min(zoom + COVERAGE_REPORT_ZOOM_SPAN, map.getMaxZoom()));
+    };
+    syncZoomInputs();
+    map.on('zoomend', syncZoomInputs);
+
+    status = window.L.DomUtil.create('small', 'coverage-status', container);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const fromZoom = Number(fromInput.value);
+      const toZoom = Number(toInput.value);
+      if (!Number.isInteger(fromZoom) || !Number.isInteger(toZoom) || fromZoom > toZoom) {
+        setStatus('Enter a zoom range such as 15–17.', true);
+        return;
+      }
+
+      submit.disabled = true;
+      try {
+        const missing = await saveMissingReport(fromZoom, toZoom);
+        if (missing !== null) {
+          setStatus(`Saved ${missing} missing tiles.`);
+        }
+      } catch (error) {
+        console.warn('[renderer] Unable to save missing-tile report:', error);
+        setStatus(error.message || String(error), true);
+      } finally {
+        submit.disabled = false;
+      }
+    });
+
+    map.on('moveend', refresh);
+
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    return container;
+  };
+
+  return {
+    control,
+    refresh,
+    setEnabled
+  };
+};
@@ -0,0 +1,385 @@
+const DOWNLOAD_ESTIMATE_DEBOUNCE_MS = 300;
+// Jobs above this many tiles ask for confirmation before starting.
+const LARGE_DOWNLOAD_TILES = 10000;
+const DOWNLOAD_MAX_ZOOM = 22;
+const MERCATOR_MAX_LAT = 85.0511;
+
+const DOWNLOAD_STATE_LABELS = {
+  ready: 'Starting',
+  running: 'Downloading',
+  paused: 'Paused',
+  stopping: 'Stopping',
+  completed: 'Done',
+  incomplete: 'Done with failures',
+  interrupted: 'Stopped',
+  cancelled: 'Cancelled',
+  failed: 'Failed'
+};
+
+const ACTIVE_DOWNLOAD_STATES = ['ready', 'running', 'paused', 'stopping'];
+
+const hasDownloadManager = () =>
+  Boolean(window.electronAPI && typeof window.electronAPI.startDownload === 'function');
+
+const formatByteSize = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 100 || unit === 0 ? value.toFixed(0) : value.toFixed(1)} ${units[unit]}`;
+};
+
+const formatEta = (ms) => {
+  if (!Number.isFinite(ms)) return '--';
+  const seconds = Math.round(ms / 1000);
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${String(Math.floor((seconds % 3600) / 60)).padStart(2, '0')}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
+
+// ipcRenderer.invoke wraps errors thrown in the main process.
+const ipcErrorMessage = (error) =>
+  String((error && error.message) || error).replace(/^Error invoking remote method '[^']+': (?:Error: )?/, '');
+
+const clampLat = (lat) => Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat));
+
+/**
+ * The area payload the main process expects for a drawn shape.
+ */
+const boundsToDownloadArea = (bounds) => ({
+  type: 'bbox',
+  bbox: {
+    minLon: Math.max(-180, bounds.getWest()),
+    minLat: clampLat(bounds.getSouth()),
+    maxLon: Math.min(180, bounds.getEast()),
+    maxLat: clampLat(bounds.getNorth())
+  }
+});
+
+const latLngsToDownloadArea = (latLngs) => ({
+  type: 'polygon',
+  coordinates: latLngs.map((latLng) => [latLng.lng, clampLat(latLng.lat)])
+});
+
+/**
+ * Top-left panel for downloading a region into the tile server's folders
+ * from the Electron app. Draw a rectangle (two clicks) or polygon (click the
+ * corners, double-click or click the first corner to finish), or use the
+ * current view; pick zoom levels and a source; see the estimated tile count
+ * and size; then start, pause or cancel. The job runs in the main process
+ * and streams progress back. `onComplete()` runs when a download finishes
+ * so the map can show the new tiles.
+ */
+const createDownloadControl = (map, { onComplete } = {}) => {
+  const api = window.electronAPI;
+  const control = window.L.control({ position: 'topleft' });
+  const shapeLayer = window.L.layerGroup().addTo(map);
+  const shapeStyle = { color: '#0ea5e9', weight: 2, fillOpacity: 0.08, interactive: false };
+
+  let area = null;
+  let drawing = null;
+  let progressState = null;
+  let estimateTimer = null;
+  let estimateRequest = 0;
+  let estimateFailed = false;
+  let elements = null;
+  let unsubscribe = null;
+
+  const setStatus = (message, isError = false) => {
+    if (!elements) return;
+    elements.status.textContent = message || '';
+    elements.status.classList.toggle('error', Boolean(isError));
+  };
+
+  const buildRequest = () => ({
+    area,
+    minZoom: Number(elements.minZoom.value),
+    maxZoom: Number(elements.maxZoom.value),
+    sourceId: elements.source.value
+  });
+
+  const isActive = () => Boolean(progressState && ACTIVE_DOWNLOAD_STATES.includes(progressState.state));
+
+  const updateButtons = () => {
+    if (!elements) return;
+    const active = isActive();
+    elements.start.disabled = active || !area || estimateFailed;
+    elements.pause.disabled = !active || progressState.state === 'stopping';
+    elements.pause.textContent = progressState && progressState.state === 'paused' ? 'Resume' : 'Pause';
+    elements.cancel.disabled = !active || progressState.state === 'stopping';
+  };
+
+  const refreshEstimate = () => {
+    clearTimeout(estimateTimer);
+    estimateFailed = false;
+    if (!area) {
+      elements.estimate.textContent = 'Draw an area to download.';
+      updateButtons();
+      return;
+    }
+
+    estimateTimer = setTimeout(async () => {
+      const requestId = ++estimateRequest;
+      try {
+        const estimate = await api.estimateDownload(buildRequest());
+        if (requestId !== estimateRequest) return;
+        elements.estimate.textContent = `${estimate.tiles.toLocaleString()} tiles · ~${formatByteSize(estimate.bytes)}`;
+        elements.estimate.title = estimate.zooms
+          .map((entry) => `z${entry.zoom}: ${entry.tiles.toLocaleString()} tiles`)
+          .join('\n');
+        setStatus('');
+      } catch (error) {
+        if (requestId !== estimateRequest) return;
+        estimateFailed = true;
+        elements.estimate.textContent = '';
+        setStatus(ipcErrorMessage(error), true);
+      }
+      updateButtons();
+    }, DOWNLOAD_ESTIMATE_DEBOUNCE_MS);
+  };
+
+  const setArea = (nextArea, layer) => {
+    shapeLayer.clearLayers();
+    area = nextArea;
+    if (layer) layer.addTo(shapeLayer);
+    refreshEstimate();
+  };
+
+  const stopDrawing = () => {
+    if (!drawing) return;
+    map.off('click', drawing.onClick);
+    map.off('mousemove', drawing.onMove);
+    map.off('dblclick', drawing.onDoubleClick);
+    document.removeEventListener('keydown', drawing.onKey);
+    if (drawing.preview) drawing.preview.remove();
+    map.doubleClickZoom.enable();
+    window.L.DomUtil.removeClass(map.getContainer(), 'download-drawing');
+    drawing = null;
+  };
+
+  const startDrawing = (mode) => {
+    stopDrawing();
+    setArea(null);
+    const points = [];
+    drawing = { mode, preview: null };
+
+    const updatePreview = (cursor) => {
+      if (drawing.preview) drawing.preview.remove();
+      if (!points.length) return;
+      drawing.preview =
+        mode === 'rectangle'
+          ? window.L.rectangle(window.L.latLngBounds(points[0], cursor), shapeStyle)
+          : window.L.polyline([...points, cursor], { ...shapeStyle, dashArray: '4 4' });
+      drawing.preview.addTo(map);
+    };
+
+    const finishPolygon = () => {
+      if (points.length < 3) {
+        setStatus('A polygon needs at least three corners.', true);
+        return;
+      }
+      stopDrawing();
+      setArea(latLngsToDownloadArea(points), window.L.polygon(points, shapeStyle));
+    };
+
+    drawing.onClick = (event) => {
+      if (mode === 'rectangle') {
+        if (!points.length) {
+          points.push(event.latlng);
+          setStatus('Click the opposite corner.');
+          return;
+        }
+        const bounds = window.L.latLngBounds(points[0], event.latlng);
+        stopDrawing();
+        setArea(boundsToDownloadArea(bounds), window.L.rectangle(bounds, shapeStyle));
+        return;
+      }
+
+      const first = points[0];
+      if (points.length >= 3 && map.latLngToContainerPoint(first).distanceTo(event.containerPoint) < 10) {
+        finishPolygon();
+        return;
+      }
+      points.push(event.latlng);
+      setStatus('Double-click or click the first corner to finish.');
+    };
+    drawing.onMove = (event) => updatePreview(event.latlng);
+    drawing.onDoubleClick = () => finishPolygon();
+    drawing.onKey = (event) => {
+      if (event.key === 'Escape') {
+        stopDrawing();
+        setStatus('');
+        refreshEstimate();
+      }
+    };
+
+    map.doubleClickZoom.disable();
+    map.on('click', drawing.onClick);
+    map.on('mousemove', drawing.onMove);
+    map.on('dblclick', drawing.onDoubleClick);
+    document.addEventListener('keydown', drawing.onKey);
+    window.L.DomUtil.addClass(map.getContainer(), 'download-drawing');
+    setStatus(mode === 'rectangle' ? 'Click the first corner.' : 'Click the polygon corners.');
+  };
+
+  const renderProgress = (progress) => {
+    const previous = progressState;
+    progressState = progress;
+    if (!elements || !progress) return;
+
+    const percent = progress.total ? (progress.done / progress.total) * 100 : 100;
+    elements.progress.hidden = false;
+    elements.progress.value = percent;
+    const label = DOWNLOAD_STATE_LABELS[progress.state] || progress.state;
+    const details = [
+      `${progress.done.toLocaleString()}/${progress.total.toLocaleString()} (${percent.toFixed(1)}%)`,
+      progress.state === 'running' ? `${progress.rate.toFixed(1)} tiles/s, ETA ${formatEta(progress.etaMs)}` : null,
+      progress.failed ? `${progress.failed} failed` : null
+    ].filter(Boolean);
+    setStatus(`${label} z${progress.zoom}: ${details.join(' · ')}`, ['failed', 'incomplete'].includes(progress.state));
+    if (progress.error) setStatus(`${label}: ${progress.error}`, true);
+    updateButtons();
+
+    const finished = previous && ACTIVE_DOWNLOAD_STATES.includes(previous.state) && !isActive();
+    if (finished && progress.downloaded && onComplete) {
+      onComplete(progress);
+    }
+  };
+
+  const run = (task) => async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error('[renderer] Download action failed:', error);
+      setStatus(ipcErrorMessage(error), true);
+    }
+  };
+
+  const startDownload = run(async () => {
+    if (!area) return;
+    const request = buildRequest();
+    const estimate = await api.estimateDownload(request);
+    if (
+      estimate.tiles > LARGE_DOWNLOAD_TILES &&
+      !window.confirm(
+        `Download ${estimate.tiles.toLocaleString()} tiles (~${formatByteSize(estimate.bytes)})? ` +
+          'Check that the source allows bulk downloads.'
+      )
+    ) {
+      return;
+    }
+    renderProgress(await api.startDownload(request));
+  });
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('details', 'download-control');
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    const summary = window.L.DomUtil.create('summary', '', container);
+    summary.textContent = 'Download area';
+
+    const shapeRow = window.L.DomUtil.create('div', 'download-row', container);
+    const shapeButton = (label, onClick) => {
+      const button = window.L.DomUtil.create('button', '', shapeRow);
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    shapeButton('Rectangle', () => startDrawing('rectangle'));
+    shapeButton('Polygon', () => startDrawing('polygon'));
+    shapeButton('View', () => {
+      stopDrawing();
+      const bounds = map.getBounds();
+      setArea(boundsToDownloadArea(bounds), window.L.rectangle(bounds, shapeStyle));
+    });
+    shapeButton('Clear', () => {
+      stopDrawing();
+      setArea(null);
+      setStatus('');
+    });
+
+    const zoomRow = window.L.DomUtil.create('label', 'download-row', container);
+    zoomRow.append('Zoom');
+    const zoomInput = (value) => {
+      const input = window.L.DomUtil.create('input', '', zoomRow);
+      input.type = 'number';
+      input.min = '0';
+      input.max = String(DOWNLOAD_MAX_ZOOM);
+      input.value = String(value);
+      input.addEventListener('change', refreshEstimate);
+      return input;
+    };
+    const currentZoom = Math.round(map.getZoom());
+    const minZoom = zoomInput(currentZoom);
+    zoomRow.append('to');
+    const maxZoom = zoomInput(Math.min(currentZoom + 2, DOWNLOAD_MAX_ZOOM));
+
+    const source = window.L.DomUtil.create('select', '', container);
+    source.addEventListener('change', refreshEstimate);
+
+    const estimate = window.L.DomUtil.create('div', 'download-estimate', container);
+
+    const actions = window.L.DomUtil.create('div', 'download-row', container);
+    const actionButton = (label, onClick) => {
+      const button = window.L.DomUtil.create('button', '', actions);
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    const start = actionButton('Start', startDownload);
+    const pause = actionButton(
+      'Pause',
+      run(async () => {
+        renderProgress(
+          await (progressState.state === 'paused' ? api.resumeDownload() : api.pauseDownload())
+        );
+      })
+    );
+    const cancel = actionButton(
+      'Cancel',
+      run(async () => renderProgress(await api.cancelDownload()))
+    );
+
+    const progress = window.L.DomUtil.create('progress', '', container);
+    progress.max = 100;
+    progress.hidden = true;
+    const status = window.L.DomUtil.create('small', 'download-status', container);
+
+    elements = { minZoom, maxZoom, source, estimate, start, pause, cancel, progress, status };
+    refreshEstimate();
+
+    unsubscribe = api.onDownloadProgress(renderProgress);
+    run(async () => {
+      const sources = await api.listDownloadSources();
+      sources.forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.name;
+        option.title = entry.outputDir;
+        source.appendChild(option);
+      });
+      const current = await api.getDownloadStatus();
+      if (current) {
+        if (current.sourceId) source.value = current.sourceId;
+        renderProgress(current);
+        if (isActive()) container.open = true;
+      }
+    })();
+
+    return container;
+  };
+
+  control.onRemove = () => {
+    stopDrawing();
+    clearTimeout(estimateTimer);
+    shapeLayer.remove();
+    if (unsubscribe) unsubscribe();
+  };
+
+  return { control };
+};
@@ -0,0 +1,276 @@
+/**
+ * Distances and bearings between `{ lat, lng }` points, either on a sphere
+ * (the same model as Leaflet's `distanceTo`) or on the WGS84 ellipsoid.
+ */
+const EARTH_RADIUS_METERS = 6371000;
+const WGS84 = {
+  a: 6378137,
+  f: 1 / 298.257223563
+};
+WGS84.b = WGS84.a * (1 - WGS84.f);
+WGS84.e = Math.sqrt(WGS84.f * (2 - WGS84.f));
+
+const DISTANCE_METHODS = {
+  spherical: { label: 'Spherical (haversine)' },
+  ellipsoidal: { label: 'WGS84 ellipsoid (Vincenty)' }
+};
+const DEFAULT_DISTANCE_METHOD = 'spherical';
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalizeBearing = (degrees) => ((degrees % 360) + 360) % 360;
+
+const sphericalInverse = (from, to) => {
+  const phi1 = toRadians(from.lat);
+  const phi2 = toRadians(to.lat);
+  const deltaPhi = phi2 - phi1;
+  const deltaLambda = toRadians(to.lng - from.lng);
+
+  const h =
+    Math.sin(deltaPhi / 2) ** 2 +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+  const distance = 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+
+  const bearing = Math.atan2(
+    Math.sin(deltaLambda) * Math.cos(phi2),
+    Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda)
+  );
+
+  return { distance, bearing: normalizeBearing(toDegrees(bearing)) };
+};
+
+// Vincenty's series coefficients A and B and the correction Δσ, shared by
+// the inverse and direct formulas.
+const vincentySeries = (cosSqAlpha) => {
+  const { a, b } = WGS84;
+  const uSq = (cosSqAlpha * (a ** 2 - b ** 2)) / b ** 2;
+  return {
+    A: 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq))),
+    B: (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)))
+  };
+};
+
+const vincentyDeltaSigma = (B, sinSigma, cosSigma, cos2SigmaM) =>
+  B *
+  sinSigma *
+  (cos2SigmaM +
+    (B / 4) *
+      (cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+        (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+
+/**
+ * Vincenty's inverse formula. Returns null when the iteration does not
+ * converge, which only happens for nearly antipodal points.
+ */
+const vincentyInverse = (from, to) => {
+  const { b, f } = WGS84;
+  const L = toRadians(to.lng - from.lng);
+  const U1 = Math.atan((1 - f) * Math.tan(toRadians(from.lat)));
+  const U2 = Math.atan((1 - f) * Math.tan(toRadians(to.lat)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma = 0;
+  let cosSigma = 1;
+  let sigma = 0;
+  let cosSqAlpha = 1;
+  let cos2SigmaM = 0;
+  let sinLambda = 0;
+  let cosLambda = 1;
+
+  for (let iteration = 0; iteration < 200; iteration += 1) {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(
+      (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+    );
+
+    if (sinSigma === 0) {
+      return { distance: 0, bearing: 0 };
+    }
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha ** 2;
+    cos2SigmaM = cosSqAlpha === 0 ? 0 : cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha;
+
+    const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const previous = lambda;
+    lambda =
+      L +
+      (1 - C) *
+        f *
+        sinAlpha *
+        (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+    if (Math.abs(lambda - previous) < 1e-12) {
+      const { A, B } = vincentySeries(cosSqAlpha);
+      const deltaSigma = vincentyDeltaSigma(B, sinSigma, cosSigma, cos2SigmaM);
+      const bearing = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+
+      return {
+        distance: b * A * (sigma - deltaSigma),
+        bearing: normalizeBearing(toDegrees(bearing))
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Vincenty's direct formula: the point `distance` metres from `from` along
+ * the geodesic leaving it at `bearing` degrees.
+ */
+const vincentyDirect = (from, bearing, distance) => {
+  const { b, f } = WGS84;
+  const sinAlpha1 = Math.sin(toRadians(bearing));
+  const cosAlpha1 = Math.cos(toRadians(bearing));
+  const tanU1 = (1 - f) * Math.tan(toRadians(from.lat));
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 ** 2);
+  const sinU1 = tanU1 * cosU1;
+  const sigma1 = Math.atan2(tanU1, cosAlpha1);
+  const sinAlpha = cosU1 * sinAlpha1;
+  const cosSqAlpha = 1 - sinAlpha ** 2;
+  const { A, B } = vincentySeries(cosSqAlpha);
+
+  let sigma = distance / (b * A);
+  let sinSigma = Math.sin(sigma);
+  let cosSigma = Math.cos(sigma);
+  let cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+  for (let iteration = 0; iteration < 200; iteration += 1) {
+    const previous = sigma;
+    sigma = distance / (b * A) + vincentyDeltaSigma(B, sinSigma, cosSigma, cos2SigmaM);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    if (Math.abs(sigma - previous) < 1e-12) break;
+  }
+
+  const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+  const lat = Math.atan2(
+    sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+    (1 - f) * Math.sqrt(sinAlpha ** 2 + x ** 2)
+  );
+  const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+  const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+  const L =
+    lambda -
+    (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+  return { lat: toDegrees(lat), lng: from.lng + toDegrees(L) };
+};
+
+/**
+ * `{ distance, bearing }` from `from` to `to`: distance in metres and the
+ * initial bearing in degrees clockwise from true north. Ellipsoidal legs that
+ * Vincenty cannot solve fall back to the spherical result.
+ */
+const measureLeg = (from, to, method = DEFAULT_DISTANCE_METHOD) => {
+  if (method === 'ellipsoidal') {
+    const result = vincentyInverse(from, to);
+    if (result) return result;
+  }
+  return sphericalInverse(from, to);
+};
+
+/**
+ * One row per waypoint: the leg arriving at it (`null` for the first point)
+ * and the cumulative distance from the start. `closed` adds a final row for
+ * the leg back to the first waypoint. `index` is the row position and
+ * `waypoint` the 1-based waypoint number it arrives at.
+ */
+const computeSegments = (points, method = DEFAULT_DISTANCE_METHOD, { closed = false } = {}) => {
+  const path = closed && points.length > 2 ? [...points, points[0]] : points;
+  let cumulative = 0;
+
+  return path.map((point, index) => {
+    const waypoint = index === points.length ? 1 : index + 1;
+    if (index === 0) {
+      return { index, waypoint, lat: point.lat, lng: point.lng, distance: null, bearing: null, cumulative: 0 };
+    }
+
+    const { distance, bearing } = measureLeg(path[index - 1], point, method);
+    cumulative += distance;
+    return { index, waypoint, lat: point.lat, lng: point.lng, distance, bearing, cumulative };
+  });
+};
+
+const measurePath = (points, method = DEFAULT_DISTANCE_METHOD, options) => {
+  const segments = computeSegments(points, method, options);
+  return segments.length ? segments[segments.length - 1].cumulative : 0;
+};
+
+/**
+ * Latitude on the sphere of equal surface area (the authalic sphere), which
+ * lets the spherical area formula below give ellipsoidal areas.
+ */
+const authalicQ = (sinPhi) => {
+  const { e } = WGS84;
+  return (
+    (1 - e ** 2) *
+    (sinPhi / (1 - e ** 2 * sinPhi ** 2) -
+      (1 / (2 * e)) * Math.log((1 - e * sinPhi) / (1 + e * sinPhi)))
+  );
+};
+const AUTHALIC_QP = authalicQ(1);
+const AUTHALIC_RADIUS_METERS = WGS84.a * Math.sqrt(AUTHALIC_QP / 2);
+const toAuthalicLatitude = (lat) =>
+  Math.asin(Math.max(-1, Math.min(1, authalicQ(Math.sin(toRadians(lat))) / AUTHALIC_QP)));
+
+// Ellipsoidal edges are split into geodesic pieces no longer than this
+// before their area is summed on the authalic sphere, where pieces this
+// short differ from great circles by centimetres.
+const AREA_PIECE_METERS = 10000;
+const MAX_AREA_PIECES = 1000;
+
+/**
+ * `from` followed by the points that split the WGS84 geodesic to `to` into
+ * pieces of at most AREA_PIECE_METERS.
+ */
+const densifyGeodesic = (from, to) => {
+  const leg = vincentyInverse(from, to);
+  if (!leg || leg.distance <= AREA_PIECE_METERS) return [from];
+
+  const pieces = Math.min(Math.ceil(leg.distance / AREA_PIECE_METERS), MAX_AREA_PIECES);
+  return Array.from({ length: pieces }, (_, index) =>
+    index === 0 ? from : vincentyDirect(from, leg.bearing, (leg.distance * index) / pieces)
+  );
+};
+
+/**
+ * Area in square metres enclosed by the ring `points` (implicitly closed),
+ * with geodesic edges like the perimeter. Each edge contributes the exact
+ * spherical excess of the quadrilateral between it and the equator; on the
+ * ellipsoid the edges are densified along the geodesic and measured on the
+ * equal-area sphere. Longitude steps are wrapped so rings crossing the
+ * antimeridian measure correctly.
+ */
+const polygonArea = (points, method = DEFAULT_DISTANCE_METHOD) => {
+  if (points.length < 3) return 0;
+
+  const ellipsoidal = method === 'ellipsoidal';
+  const radius = ellipsoidal ? AUTHALIC_RADIUS_METERS : EARTH_RADIUS_METERS;
+  const latitude = (point) => (ellipsoidal ? toAuthalicLatitude(point.lat) : toRadians(point.lat));
+  const ring = ellipsoidal
+    ? points.flatMap((point, index) => densifyGeodesic(point, points[(index + 1) % points.length]))
+    : points;
+
+  let excess = 0;
+  ring.forEach((point, index) => {
+    const next = ring[(index + 1) % ring.length];
+    let deltaLambda = toRadians(next.lng - point.lng);
+    if (deltaLambda > Math.PI) deltaLambda -= 2 * Math.PI;
+    if (deltaLambda < -Math.PI) deltaLambda += 2 * Math.PI;
+    const phi1 = latitude(point);
+    const phi2 = latitude(next);
+    excess +=
+      2 * Math.atan2(Math.tan(deltaLambda / 2) * Math.sin((phi1 + phi2) / 2), Math.cos((phi1 - phi2) / 2));
+  });
+
+  return Math.abs(excess * radius ** 2);
+};
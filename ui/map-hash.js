@@ -0,0 +1,161 @@
+const MAP_HASH_UPDATE_MS = 250;
+
+/**
+ * Decimal places that resolve about one screen pixel at `zoom`.
+ */
+const hashPrecision = (zoom) => Math.min(6, Math.max(0, Math.ceil(Math.log10(2 ** zoom))));
+
+/**
+ * Read shared map state from a URL hash such as
+ * `#map=14/37.7749/-122.4194&layers=streets,labels&route=<polyline>`
+ * (`polygon=` instead of `route=` for a closed route). Each part is null
+ * when missing or malformed.
+ */
+const parseMapHash = (hash) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = { view: null, layers: null, route: null };
+
+  const view = (params.get('map') || '').split('/').map((part) => toFiniteNumber(part));
+  if (view.length === 3 && view.every((value) => value !== undefined)) {
+    const [zoom, lat, lng] = view;
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      state.view = { lat, lng, zoom };
+    }
+  }
+
+  const layers = (params.get('layers') || '').split(',').filter(Boolean);
+  if (layers.length) {
+    state.layers = layers;
+  }
+
+  const kind = params.has('polygon') ? 'polygon' : 'line';
+  const encoded = params.get(kind === 'polygon' ? 'polygon' : 'route');
+  if (encoded) {
+    try {
+      const points = decodePolyline(encoded);
+      if (points.length) {
+        state.route = { kind, points };
+      }
+    } catch (error) {
+      console.warn('[renderer] Ignoring invalid route in the URL:', error.message);
+    }
+  }
+
+  return state;
+};
+
+/**
+ * The hash for `{ view, layers, route }`, without the leading `#`. Encoded
+ * polylines never contain `&`, `+`, `%` or `#`, so they need no escaping.
+ */
+const formatMapHash = ({ view, layers, route }) => {
+  const parts = [];
+  if (view) {
+    const precision = hashPrecision(view.zoom);
+    parts.push(`map=${view.zoom}/${view.lat.toFixed(precision)}/${view.lng.toFixed(precision)}`);
+  }
+  if (layers && layers.length) {
+    parts.push(`layers=${layers.map(encodeURIComponent).join(',')}`);
+  }
+  if (route && route.points.length) {
+    parts.push(`${route.kind === 'polygon' ? 'polygon' : 'route'}=${encodePolyline(route.points)}`);
+  }
+  return parts.join('&');
+};
+
+/**
+ * Keep the URL hash in step with the map: the view, the active layers
+ * (`getLayers()` → ids) and the active route (`getRoute()` →
+ * `{ kind, points }`). Call `update()` when layers or the route change; the
+ * view is followed on its own. `onChange(state)` runs when the hash is
+ * changed from outside (edited, or a link opened in the running app), with
+ * the state parsed from it. The history is replaced rather than pushed, so
+ * panning does not fill the back button.
+ */
+const createMapHashSync = (map, { getLayers, getRoute, onChange }) => {
+  let timer = null;
+  let written = window.location.hash.replace(/^#/, '');
+
+  const write = () => {
+    timer = null;
+    const center = map.getCenter();
+    const hash = formatMapHash({
+      view: { lat: center.lat, lng: center.lng, zoom: map.getZoom() },
+      layers: getLayers(),
+      route: getRoute()
+    });
+    if (hash === written) return;
+    written = hash;
+    window.history.replaceState(window.history.state, '', `#${hash}`);
+  };
+
+  const update = () => {
+    window.clearTimeout(timer);
+    timer = window.setTimeout(write, MAP_HASH_UPDATE_MS);
+  };
+
+  map.on('moveend', update);
+  window.addEventListener('hashchange', () => {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (hash === written) return;
+    written = hash;
+    onChange(parseMapHash(hash));
+  });
+
+  return {
+    update,
+    getHash: () => {
+      window.clearTimeout(timer);
+      write();
+      return written;
+    }
+  };
+};
+
+/**
+ * Top-left button that copies a link to the current view and route.
+ * `getLink()` may return a promise.
+ */
+const createShareControl = ({ getLink }) => {
+  const control = window.L.control({ position: 'topleft' });
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('div', 'leaflet-bar share-control');
+    const button = window.L.DomUtil.create('a', '', container);
+    button.href = '#';
+    button.setAttribute('role', 'button');
+    button.title = 'Copy a link to this view and route';
+    button.textContent = 'Link';
+    window.L.DomEvent.disableClickPropagation(container);
+
+    let resetTimer = null;
+    const flash = (text) => {
+      button.textContent = text;
+      window.clearTimeout(resetTimer);
+      resetTimer = window.setTimeout(() => {
+        button.textContent = 'Link';
+      }, 1500);
+    };
+
+    button.addEventListener('click', async (event) => {
+      event.preventDefault();
+      let link = null;
+      try {
+        link = await getLink();
+        await copyText(link);
+        flash('Copied');
+      } catch (error) {
+        console.warn('[renderer] Unable to copy the link:', error);
+        if (link) {
+          window.prompt('Copy this link:', link);
+        } else {
+          flash('Failed');
+        }
+      }
+    });
+
+    return container;
+  };
+
+  return { control };
+};
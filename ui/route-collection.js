@@ -0,0 +1,161 @@
+const ROUTE_COLORS = ['#0ea5e9', '#f97316', '#22c55e', '#a855f7', '#ef4444', '#eab308', '#14b8a6', '#ec4899'];
+
+const ROUTE_KINDS = {
+  line: { label: 'Route' },
+  polygon: { label: 'Polygon' }
+};
+
+/**
+ * Several named trajectories on one map, each either an open `line` or a
+ * closed `polygon`. One route is always active; it receives new waypoints
+ * and undo/redo, and its kind is the current drawing mode. At least one
+ * route always exists.
+ *
+ * - `onRoutesChange()` runs when routes are added, removed, renamed,
+ *   recoloured, shown/hidden or activated.
+ * - `onPointsChange(route)` runs whenever a route's waypoints change.
+ */
+const createRouteCollection = (map, { onRoutesChange = () => {}, onPointsChange = () => {} } = {}) => {
+  const routes = [];
+  let activeId = null;
+  let createdCount = 0;
+  const kindCounts = { line: 0, polygon: 0 };
+
+  const getRoute = (id) => routes.find((route) => route.id === id) || null;
+  const getActive = () => getRoute(activeId);
+
+  const addRoute = ({ name, color, points, kind = 'line' } = {}) => {
+    const routeKind = ROUTE_KINDS[kind] ? kind : 'line';
+    createdCount += 1;
+    kindCounts[routeKind] += 1;
+    const route = {
+      id: `route-${createdCount}`,
+      kind: routeKind,
+      name: name || `${ROUTE_KINDS[routeKind].label} ${kindCounts[routeKind]}`,
+      color: color || ROUTE_COLORS[(createdCount - 1) % ROUTE_COLORS.length],
+      layer: null
+    };
+
+    route.layer = createTrajectoryLayer(map, {
+      color: route.color,
+      closed: routeKind === 'polygon',
+      onChange: () => onPointsChange(route)
+    });
+
+    routes.push(route);
+    activeId = route.id;
+
+    if (points && points.length) {
+      route.layer.setPoints(points);
+    }
+
+    onRoutesChange();
+    return route;
+  };
+
+  const setActive = (id) => {
+    const route = getRoute(id);
+    if (!route || activeId === id) return;
+    activeId = id;
+    onRoutesChange();
+  };
+
+  const rename = (id, name) => {
+    const route = getRoute(id);
+    const trimmed = String(name || '').trim();
+    if (!route || !trimmed || route.name === trimmed) return;
+    route.name = trimmed;
+    onRoutesChange();
+  };
+
+  const recolor = (id, color) => {
+    const route = getRoute(id);
+    if (!route || route.color === color) return;
+    route.color = color;
+    route.layer.setColor(color);
+    onRoutesChange();
+  };
+
+  const setVisible = (id, visible) => {
+    const route = getRoute(id);
+    if (!route) return;
+    route.layer.setVisible(visible);
+    onRoutesChange();
+  };
+
+  const removeRoute = (id) => {
+    const index = routes.findIndex((route) => route.id === id);
+    if (index === -1) return;
+
+    const [route] = routes.splice(index, 1);
+    route.layer.destroy();
+
+    if (!routes.length) {
+      addRoute({ kind: route.kind });
+      return;
+    }
+
+    if (activeId === id) {
+      activeId = routes[Math.max(index - 1, 0)].id;
+    }
+    onRoutesChange();
+  };
+
+  /**
+   * Switch the drawing mode: activate the most recent route of `kind`, or
+   * start a new one if there is none.
+   */
+  const activateKind = (kind) => {
+    if (getActive().kind === kind) return;
+    const latest = routes.filter((route) => route.kind === kind).pop();
+    if (latest) {
+      setActive(latest.id);
+    } else {
+      addRoute({ kind });
+    }
+  };
+
+  /**
+   * Append a waypoint to the active route, showing it again if it was hidden.
+   */
+  const addPointToActive = (latLng) => {
+    const route = getActive();
+    if (!route.layer.isVisible()) {
+      setVisible(route.id, true);
+    }
+    route.layer.addPoint(latLng);
+  };
+
+  /**
+   * Add imported routes. An empty active route of the same kind is reused for
+   * the first one so importing into a fresh session doesn't leave a blank
+   * "Route 1" behind.
+   */
+  const importRoutes = (imported) => {
+    return imported.map((entry, index) => {
+      const kind = entry.kind || 'line';
+      const active = getActive();
+      if (index === 0 && active && active.kind === kind && active.layer.getPoints().length === 0) {
+        rename(active.id, entry.name);
+        active.layer.setPoints(entry.points);
+        return active;
+      }
+      return addRoute({ name: entry.name, points: entry.points, kind });
+    });
+  };
+
+  return {
+    list: () => routes.slice(),
+    getRoute,
+    getActive,
+    addRoute,
+    setActive,
+    rename,
+    recolor,
+    setVisible,
+    removeRoute,
+    activateKind,
+    addPointToActive,
+    importRoutes
+  };
+};
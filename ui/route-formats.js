@@ -0,0 +1,416 @@
+const ROUTE_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+const ROUTE_FILE_ACCEPT = '.gpx,.kml,.geojson,.json';
+
+const escapeXml = (value) =>
+  String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+
+const formatCoordinate = (value) => Number(value.toFixed(7)).toString();
+
+const isPolygonRoute = (route) => route.kind === 'polygon';
+
+/**
+ * Polygon waypoints are stored open; file formats want the first point
+ * repeated at the end.
+ */
+const closeRing = (points) => (points.length > 0 ? [...points, points[0]] : points);
+
+const openRing = (points) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  return points.length > 1 && first.lat === last.lat && first.lng === last.lng
+    ? points.slice(0, -1)
+    : points;
+};
+
+const exportedPoints = (route) => (isPolygonRoute(route) ? closeRing(route.points) : route.points);
+
+const routesToGeoJSON = (routes) =>
+  JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      features: routes.map((route) => {
+        const coordinates = exportedPoints(route).map((point) => [
+          Number(formatCoordinate(point.lng)),
+          Number(formatCoordinate(point.lat))
+        ]);
+
+        return {
+          type: 'Feature',
+          properties: { name: route.name },
+          geometry: isPolygonRoute(route)
+            ? { type: 'Polygon', coordinates: [coordinates] }
+            : { type: 'LineString', coordinates }
+        };
+      })
+    },
+    null,
+    2
+  );
+
+const routesToGPX = (routes) => {
+  const tracks = routes
+    .map((route) => {
+      const points = exportedPoints(route)
+        .map(
+          (point) =>
+            `        <trkpt lat="${formatCoordinate(point.lat)}" lon="${formatCoordinate(point.lng)}"></trkpt>`
+        )
+        .join('\n');
+      const type = isPolygonRoute(route) ? '\n    <type>polygon</type>' : '';
+
+      return `  <trk>\n    <name>${escapeXml(route.name)}</name>${type}\n    <trkseg>\n${points}\n    </trkseg>\n  </trk>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Local Map View" xmlns="http://www.topografix.com/GPX/1/1">
+${tracks}
+</gpx>
+`;
+};
+
+const routesToKML = (routes) => {
+  const placemarks = routes
+    .map((route) => {
+      const coordinates = exportedPoints(route)
+        .map((point) => `${formatCoordinate(point.lng)},${formatCoordinate(point.lat)},0`)
+        .join(' ');
+
+      if (isPolygonRoute(route)) {
+        return `    <Placemark>
+      <name>${escapeXml(route.name)}</name>
+      <Polygon>
+        <tessellate>1</tessellate>
+        <outerBoundaryIs>
+          <LinearRing>
+            <coordinates>${coordinates}</coordinates>
+          </LinearRing>
+        </outerBoundaryIs>
+      </Polygon>
+    </Placemark>`;
+      }
+
+      return `    <Placemark>
+      <name>${escapeXml(route.name)}</name>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+${placemarks}
+  </Document>
+</kml>
+`;
+};
+
+const serializeRoutes = (routes, format) => {
+  switch (format) {
+    case 'gpx':
+      return routesToGPX(routes);
+    case 'kml':
+      return routesToKML(routes);
+    case 'geojson':
+      return routesToGeoJSON(routes);
+    default:
+      throw new Error(`Unsupported route format '${format}'.`);
+  }
+};
+
+const toRoutePoint = (lat, lng) => {
+  const parsedLat = Number(lat);
+  const parsedLng = Number(lng);
+  return Number.isFinite(parsedLat) && Number.isFinite(parsedLng)
+    ? { lat: parsedLat, lng: parsedLng }
+    : null;
+};
+
+const childText = (element, localName) => {
+  const child = Array.from(element.children).find((node) => node.localName === localName);
+  return child ? child.textContent.trim() : '';
+};
+
+const elementsByName = (root, localName) =>
+  Array.from(root.getElementsByTagNameNS('*', localName));
+
+const parseXml = (text) => {
+  const documentNode = new DOMParser().parseFromString(text, 'application/xml');
+  if (documentNode.getElementsByTagName('parsererror').length) {
+    throw new Error('The file is not valid XML.');
+  }
+  return documentNode;
+};
+
+/**
+ * Every `<trk>` becomes one route; tracks with several segments (GPS units
+ * start a new one after signal loss) become one route per segment. `<rte>`
+ * elements are imported as well. Tracks typed `polygon` (as exported by this
+ * app) come back as polygons.
+ */
+const parseGPX = (text) => {
+  const documentNode = parseXml(text);
+  const routes = [];
+
+  elementsByName(documentNode, 'trk').forEach((track, trackIndex) => {
+    const trackName = childText(track, 'name') || `Track ${trackIndex + 1}`;
+    const isPolygon = childText(track, 'type') === 'polygon';
+    const segments = elementsByName(track, 'trkseg');
+
+    segments.forEach((segment, segmentIndex) => {
+      const points = elementsByName(segment, 'trkpt')
+        .map((point) => toRoutePoint(point.getAttribute('lat'), point.getAttribute('lon')))
+        .filter(Boolean);
+
+      routes.push({
+        name: segments.length > 1 ? `${trackName} (${segmentIndex + 1})` : trackName,
+        kind: isPolygon ? 'polygon' : 'line',
+        points: isPolygon ? openRing(points) : points
+      });
+    });
+  });
+
+  elementsByName(documentNode, 'rte').forEach((route, routeIndex) => {
+    routes.push({
+      name: childText(route, 'name') || `Route ${routeIndex + 1}`,
+      kind: 'line',
+      points: elementsByName(route, 'rtept')
+        .map((point) => toRoutePoint(point.getAttribute('lat'), point.getAttribute('lon')))
+        .filter(Boolean)
+    });
+  });
+
+  return routes;
+};
+
+const parseKmlCoordinates = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => {
+      const [lng, lat] = tuple.split(',');
+      return toRoutePoint(lat, lng);
+    })
+    .filter(Boolean);
+
+const parseKML = (text) => {
+  const documentNode = parseXml(text);
+  const routes = [];
+
+  elementsByName(documentNode, 'Placemark').forEach((placemark, placemarkIndex) => {
+    const name = childText(placemark, 'name') || `Placemark ${placemarkIndex + 1}`;
+    const lines = elementsByName(placemark, 'LineString').map((line) => ({
+      kind: 'line',
+      points: parseKmlCoordinates(childText(line, 'coordinates'))
+    }));
+    const polygons = elementsByName(placemark, 'Polygon').flatMap((polygon) =>
+      elementsByName(polygon, 'outerBoundaryIs')
+        .flatMap((boundary) => elementsByName(boundary, 'LinearRing'))
+        .map((ring) => ({
+          kind: 'polygon',
+          points: openRing(parseKmlCoordinates(childText(ring, 'coordinates')))
+        }))
+    );
+    const tracks = elementsByName(placemark, 'Track').map((track) => ({
+      kind: 'line',
+      points: elementsByName(track, 'coord')
+        .map((coord) => {
+          const [lng, lat] = coord.textContent.trim().split(/\s+/);
+          return toRoutePoint(lat, lng);
+        })
+        .filter(Boolean)
+    }));
+
+    [...lines, ...polygons, ...tracks].forEach((geometry, index, all) => {
+      routes.push({ name: all.length > 1 ? `${name} (${index + 1})` : name, ...geometry });
+    });
+  });
+
+  return routes;
+};
+
+const toRoutePoints = (coordinates) =>
+  coordinates.map(([lng, lat]) => toRoutePoint(lat, lng)).filter(Boolean);
+
+/**
+ * Line geometries become routes and the outer ring of each polygon becomes a
+ * polygon; holes are ignored.
+ */
+const parseGeoJSON = (text) => {
+  const data = JSON.parse(text);
+  const routes = [];
+
+  const visit = (node, name) => {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+      case 'FeatureCollection':
+        (node.features || []).forEach((feature) => visit(feature));
+        break;
+      case 'Feature':
+        visit(node.geometry, node.properties?.name);
+        break;
+      case 'GeometryCollection':
+        (node.geometries || []).forEach((geometry) => visit(geometry, name));
+        break;
+      case 'LineString':
+        routes.push({
+          name: name || `Line ${routes.length + 1}`,
+          kind: 'line',
+          points: toRoutePoints(node.coordinates)
+        });
+        break;
+      case 'MultiLineString':
+        node.coordinates.forEach((line, index) => {
+          routes.push({
+            name: `${name || `Line ${routes.length + 1}`} (${index + 1})`,
+            kind: 'line',
+            points: toRoutePoints(line)
+          });
+        });
+        break;
+      case 'Polygon':
+        routes.push({
+          name: name || `Polygon ${routes.length + 1}`,
+          kind: 'polygon',
+          points: openRing(toRoutePoints(node.coordinates[0] || []))
+        });
+        break;
+      case 'MultiPolygon':
+        node.coordinates.forEach((polygon, index) => {
+          routes.push({
+            name: `${name || `Polygon ${routes.length + 1}`} (${index + 1})`,
+            kind: 'polygon',
+            points: openRing(toRoutePoints(polygon[0] || []))
+          });
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  visit(data);
+  return routes;
+};
+
+const detectRouteFormat = (fileName, text) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'gpx' || extension === 'kml') return extension;
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const head = text.trimStart().slice(0, 512);
+  if (head.startsWith('{')) return 'geojson';
+  if (head.includes('<gpx')) return 'gpx';
+  if (head.includes('<kml')) return 'kml';
+  return null;
+};
+
+/**
+ * Parse a GPX, KML or GeoJSON document into `{ name, kind, points }` routes,
+ * where `kind` is `'line'` or `'polygon'`. Routes with fewer than one point
+ * are dropped.
+ */
+const parseRouteFile = (fileName, text) => {
+  const format = detectRouteFormat(fileName, text);
+  let routes;
+
+  switch (format) {
+    case 'gpx':
+      routes = parseGPX(text);
+      break;
+    case 'kml':
+      routes = parseKML(text);
+      break;
+    case 'geojson':
+      routes = parseGeoJSON(text);
+      break;
+    default:
+      throw new Error(`Unrecognised route file '${fileName}'. Use GPX, KML or GeoJSON.`);
+  }
+
+  return routes.filter((route) => route.points.length > 0);
+};
+
+const POLYLINE_PRECISION = 5;
+
+/**
+ * Encode waypoints with the Google encoded polyline algorithm, a compact
+ * URL-friendly string (about 1 m resolution at the default precision).
+ */
+const encodePolyline = (points, precision = POLYLINE_PRECISION) => {
+  const factor = 10 ** precision;
+  const encodeValue = (value) => {
+    let rest = value < 0 ? ~(value << 1) : value << 1;
+    let text = '';
+    while (rest >= 0x20) {
+      text += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+      rest >>= 5;
+    }
+    return text + String.fromCharCode(rest + 63);
+  };
+
+  let lastLat = 0;
+  let lastLng = 0;
+  return points
+    .map((point) => {
+      const lat = Math.round(point.lat * factor);
+      const lng = Math.round(point.lng * factor);
+      const text = encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+      lastLat = lat;
+      lastLng = lng;
+      return text;
+    })
+    .join('');
+};
+
+/**
+ * Waypoints from an encoded polyline; throws on malformed input.
+ */
+const decodePolyline = (text, precision = POLYLINE_PRECISION) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= text.length) {
+        throw new Error('Truncated encoded polyline.');
+      }
+      byte = text.charCodeAt(index) - 63;
+      index += 1;
+      if (byte < 0 || byte > 63) {
+        throw new Error('Invalid character in encoded polyline.');
+      }
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < text.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+  return points;
+};
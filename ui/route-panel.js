@@ -0,0 +1,230 @@
+const hasElectronFileApi = () =>
+  Boolean(window.electronAPI && typeof window.electronAPI.saveFile === 'function');
+
+const hasRouteLibrary = () =>
+  Boolean(window.electronAPI && typeof window.electronAPI.listRoutes === 'function');
+
+const toFileName = (name, extension) =>
+  `${String(name || 'route').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'route'}.${extension}`;
+
+/**
+ * Save text through the Electron save dialog, or as a browser download when
+ * running in web mode.
+ */
+const saveTextFile = async ({ fileName, content, mimeType, filters }) => {
+  if (hasElectronFileApi()) {
+    const result = await window.electronAPI.saveFile({ defaultName: fileName, content, filters });
+    return !result.canceled;
+  }
+
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return true;
+};
+
+/**
+ * Resolve to `[{ name, content }]` picked through the Electron open dialog or
+ * a browser file input.
+ */
+const openTextFiles = ({ accept, filters }) => {
+  if (hasElectronFileApi()) {
+    return window.electronAPI.openFiles({ filters });
+  }
+
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = true;
+    input.addEventListener('change', async () => {
+      const files = Array.from(input.files || []);
+      resolve(
+        await Promise.all(files.map(async (file) => ({ name: file.name, content: await file.text() })))
+      );
+    });
+    input.click();
+  });
+};
+
+const createButton = (parent, label, onClick) => {
+  const button = window.L.DomUtil.create('button', '', parent);
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+/**
+ * Import/export controls and, in the Electron app, the saved-routes library.
+ *
+ * - `getRoutes(scope)` returns the `{ id, name, kind, points }` routes and
+ *   polygons to export or save; `scope` is `'active'` or `'all'`.
+ * - `loadRoutes(routes)` puts imported or library routes on the map and
+ *   returns them as added to the route list.
+ */
+const createRoutePanel = ({ getRoutes, loadRoutes }) => {
+  const container = window.L.DomUtil.create('div', 'route-panel');
+  const libraryAvailable = hasRouteLibrary();
+
+  const scopeSelect = window.L.DomUtil.create('select', '', container);
+  [
+    ['active', 'Active route or polygon'],
+    ['all', 'All routes and polygons']
+  ].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    scopeSelect.appendChild(option);
+  });
+
+  const exportRow = window.L.DomUtil.create('div', 'route-panel-row', container);
+  const formatSelect = window.L.DomUtil.create('select', '', exportRow);
+  Object.entries(ROUTE_FORMATS).forEach(([value, format]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  });
+
+  const status = window.L.DomUtil.create('small', 'route-status');
+  const libraryList = window.L.DomUtil.create('ul', 'route-list');
+  // Library ids by the ids of the routes on the map they were saved from or
+  // loaded into, so saving those routes again updates the same entry.
+  const libraryIds = new Map();
+  const libraryKey = (routes) => routes.map((route) => route.id).join(',');
+
+  const setStatus = (message, isError = false) => {
+    status.textContent = message || '';
+    status.classList.toggle('error', Boolean(isError));
+  };
+
+  const run = (task) => async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error('[renderer] Route action failed:', error);
+      setStatus(error.message || String(error), true);
+    }
+  };
+
+  const exportRoutes = async () => {
+    const routes = getRoutes(scopeSelect.value).filter((route) => route.points.length > 0);
+    if (!routes.length) {
+      setStatus('Nothing to export yet.', true);
+      return;
+    }
+
+    const format = ROUTE_FORMATS[formatSelect.value];
+    const saved = await saveTextFile({
+      fileName: toFileName(routes.length === 1 ? routes[0].name : 'routes', format.extension),
+      content: serializeRoutes(routes, formatSelect.value),
+      mimeType: format.mimeType,
+      filters: [{ name: format.label, extensions: [format.extension] }]
+    });
+
+    if (saved) {
+      setStatus(`Exported ${format.label}.`);
+    }
+  };
+
+  const importRoutes = async () => {
+    const files = await openTextFiles({
+      accept: ROUTE_FILE_ACCEPT,
+      filters: [{ name: 'Routes', extensions: ['gpx', 'kml', 'geojson', 'json'] }]
+    });
+    if (!files.length) return;
+
+    const routes = files.flatMap((file) => parseRouteFile(file.name, file.content));
+    if (!routes.length) {
+      setStatus('No tracks or routes found in the selected file.', true);
+      return;
+    }
+
+    loadRoutes(routes);
+    setStatus(
+      routes.length === 1 ? `Imported ${routes[0].name}.` : `Imported ${routes.length} routes.`
+    );
+  };
+
+  const refreshLibrary = async () => {
+    const saved = await window.electronAPI.listRoutes();
+    libraryList.innerHTML = '';
+
+    if (!saved.length) {
+      const empty = window.L.DomUtil.create('li', 'route-list-empty', libraryList);
+      empty.textContent = 'No saved routes yet.';
+      return;
+    }
+
+    saved.forEach((route) => {
+      const item = window.L.DomUtil.create('li', '', libraryList);
+      const label = window.L.DomUtil.create('span', '', item);
+      label.textContent = route.name;
+      label.title = `Saved ${new Date(route.savedAt).toLocaleString()}`;
+
+      createButton(item, 'Load', run(async () => {
+        const { geojson, name } = await window.electronAPI.loadRoute(route.id);
+        const routes = parseRouteFile(`${route.id}.geojson`, JSON.stringify(geojson));
+        const loaded = loadRoutes(routes.length === 1 ? [{ ...routes[0], name }] : routes);
+        libraryIds.set(libraryKey(loaded), route.id);
+        setStatus(`Loaded ${name}.`);
+      }));
+
+      createButton(item, 'Delete', run(async () => {
+        await window.electronAPI.deleteRoute(route.id);
+        libraryIds.forEach((id, key) => {
+          if (id === route.id) libraryIds.delete(key);
+        });
+        setStatus(`Deleted ${route.name}.`);
+        await refreshLibrary();
+      }));
+    });
+  };
+
+  const saveToLibrary = async () => {
+    const routes = getRoutes(scopeSelect.value).filter((route) => route.points.length > 0);
+    if (!routes.length) {
+      setStatus('Nothing to save yet.', true);
+      return;
+    }
+
+    const name = routes.length === 1 ? routes[0].name : `${routes[0].name} (+${routes.length - 1})`;
+    const key = libraryKey(routes);
+    const saved = await window.electronAPI.saveRoute({
+      id: libraryIds.get(key),
+      name,
+      geojson: JSON.parse(serializeRoutes(routes, 'geojson'))
+    });
+    libraryIds.set(key, saved.id);
+    setStatus(`Saved ${saved.name}.`);
+    await refreshLibrary();
+  };
+
+  createButton(exportRow, 'Export', run(exportRoutes));
+  createButton(exportRow, 'Import…', run(importRoutes));
+
+  if (libraryAvailable) {
+    const libraryRow = window.L.DomUtil.create('div', 'route-panel-row', container);
+    createButton(libraryRow, 'Save to library', run(saveToLibrary));
+  }
+
+  container.appendChild(status);
+
+  if (libraryAvailable) {
+    const heading = window.L.DomUtil.create('div', 'route-panel-heading', container);
+    heading.textContent = 'Saved routes';
+    container.appendChild(libraryList);
+    run(refreshLibrary)();
+  }
+
+  return {
+    element: container,
+    setStatus
+  };
+};
@@ -0,0 +1,184 @@
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_RESULT_LIMIT = 8;
+const SEARCH_MIN_ZOOM = 16;
+
+/**
+ * The tile server's `/search` endpoint: `tileServer.searchUrl` when set,
+ * otherwise derived from the origin of the tile URL template.
+ */
+const resolveSearchUrl = (tileServer) => {
+  if (tileServer.searchUrl) return tileServer.searchUrl;
+
+  try {
+    return `${new URL(tileServer.urlTemplate).origin}/search`;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Place-name search box backed by the tile server's offline gazetteer.
+ * Results are biased to the current view; choosing one pans there and drops
+ * a marker. `apiKey`, when set, goes in the `X-API-Key` header.
+ */
+const createSearchControl = (map, { searchUrl, apiKey }) => {
+  const control = window.L.control({ position: 'topleft' });
+  let resultMarker = null;
+
+  const showPlace = (place) => {
+    const latLng = window.L.latLng(place.lat, place.lon);
+    const zoom = Math.min(Math.max(map.getZoom(), SEARCH_MIN_ZOOM), map.getMaxZoom());
+    map.setView(latLng, zoom);
+
+    if (!resultMarker) {
+      resultMarker = window.L.circleMarker(latLng, {
+        radius: 9,
+        color: '#f8fafc',
+        weight: 2,
+        fillColor: '#a855f7',
+        fillOpacity: 0.9
+      }).addTo(map);
+    }
+
+    const content = window.L.DomUtil.create('div', 'search-popup');
+    const title = window.L.DomUtil.create('strong', '', content);
+    title.textContent = place.name;
+    if (place.type) {
+      const type = window.L.DomUtil.create('div', '', content);
+      type.textContent = place.type;
+    }
+    const position = window.L.DomUtil.create('small', '', content);
+    position.textContent = formatLatLng(latLng);
+
+    resultMarker.setLatLng(latLng).bindPopup(content, { closeButton: false }).openPopup();
+  };
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('div', 'search-control');
+    const input = window.L.DomUtil.create('input', '', container);
+    input.type = 'search';
+    input.placeholder = 'Search places…';
+    input.spellcheck = false;
+    const list = window.L.DomUtil.create('ul', 'search-results', container);
+
+    let results = [];
+    let highlighted = -1;
+    let debounceTimer = null;
+    let pending = null;
+
+    const renderMessage = (message, isError = false) => {
+      list.innerHTML = '';
+      const item = window.L.DomUtil.create('li', `search-message${isError ? ' error' : ''}`, list);
+      item.textContent = message;
+    };
+
+    const clearResults = () => {
+      results = [];
+      highlighted = -1;
+      list.innerHTML = '';
+    };
+
+    const choose = (index) => {
+      const place = results[index];
+      if (!place) return;
+      input.value = place.name;
+      clearResults();
+      showPlace(place);
+    };
+
+    const renderResults = () => {
+      list.innerHTML = '';
+      if (!results.length) {
+        renderMessage('No matching places.');
+        return;
+      }
+
+      results.forEach((place, index) => {
+        const item = window.L.DomUtil.create('li', index === highlighted ? 'active' : '', list);
+        const name = window.L.DomUtil.create('span', '', item);
+        name.textContent = place.name;
+        if (place.type) {
+          const type = window.L.DomUtil.create('small', '', item);
+          type.textContent = place.type;
+        }
+        item.addEventListener('mousedown', (event) => {
+          event.preventDefault();
+          choose(index);
+        });
+      });
+    };
+
+    const runSearch = async (query) => {
+      if (pending) pending.abort();
+      pending = new AbortController();
+
+      const bounds = map.getBounds();
+      const url = new URL(searchUrl, window.location.href);
+      url.searchParams.set('q', query);
+      url.searchParams.set('limit', String(SEARCH_RESULT_LIMIT));
+      url.searchParams.set(
+        'bbox',
+        [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+          .map((value) => value.toFixed(5))
+          .join(',')
+      );
+
+      try {
+        const response = await fetch(url, {
+          signal: pending.signal,
+          headers: apiKey ? { 'X-API-Key': apiKey } : undefined
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(body.error || `Search failed with HTTP ${response.status}.`);
+        }
+        results = body.results || [];
+        highlighted = results.length ? 0 : -1;
+        renderResults();
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.warn('[renderer] Place search failed:', error);
+        results = [];
+        renderMessage(error.message || 'Search is unavailable.', true);
+      }
+    };
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      const query = input.value.trim();
+      if (!query) {
+        if (pending) pending.abort();
+        clearResults();
+        return;
+      }
+      debounceTimer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (!results.length) return;
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        highlighted = (highlighted + step + results.length) % results.length;
+        renderResults();
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        choose(Math.max(highlighted, 0));
+      } else if (event.key === 'Escape') {
+        clearResults();
+        input.blur();
+      }
+    });
+
+    input.addEventListener('blur', () => setTimeout(clearResults, 150));
+
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    return container;
+  };
+
+  return {
+    control,
+    showPlace
+  };
+};
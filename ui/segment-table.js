@@ -0,0 +1,139 @@
+const SEGMENT_CSV_HEADER = ['waypoint', 'lat', 'lng', 'leg_m', 'cumulative_m', 'bearing_deg'];
+
+const formatBearing = (degrees) => (degrees === null ? '' : `${degrees.toFixed(2)}°`);
+const formatMeters = (meters) => (meters === null ? '' : meters.toFixed(2));
+
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value);
+
+/**
+ * Decimal lat/lng are always included; other coordinate formats add a
+ * `position` column in that format.
+ */
+const segmentsToCSV = (segments, format = getCoordinateFormat()) => {
+  const withPosition = format !== 'dd';
+  const header = withPosition
+    ? [...SEGMENT_CSV_HEADER.slice(0, 3), 'position', ...SEGMENT_CSV_HEADER.slice(3)]
+    : SEGMENT_CSV_HEADER;
+
+  return [
+    header.join(','),
+    ...segments.map((segment) =>
+      [
+        segment.waypoint,
+        segment.lat.toFixed(7),
+        segment.lng.toFixed(7),
+        ...(withPosition ? [csvField(formatLatLng(segment, format))] : []),
+        formatMeters(segment.distance),
+        formatMeters(segment.cumulative),
+        segment.bearing === null ? '' : segment.bearing.toFixed(4)
+      ].join(',')
+    )
+  ].join('\n');
+};
+
+/**
+ * Put text on the clipboard, falling back to a hidden textarea where the
+ * async clipboard API is unavailable.
+ */
+const copyText = async (text) => {
+  if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  if (!copied) {
+    throw new Error('Clipboard is not available.');
+  }
+};
+
+/**
+ * Per-waypoint breakdown of a route: leg length and initial bearing from the
+ * previous waypoint, cumulative distance and coordinates. Each row highlights
+ * its incoming leg on hover through `onHighlight(segmentIndex | null)`.
+ */
+const createSegmentTable = ({ onHighlight = () => {} } = {}) => {
+  const container = window.L.DomUtil.create('details', 'segment-table');
+  const summary = window.L.DomUtil.create('summary', '', container);
+  summary.textContent = 'Segments';
+
+  const scroller = window.L.DomUtil.create('div', 'segment-table-scroll', container);
+  const table = window.L.DomUtil.create('table', '', scroller);
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Position</th>
+        <th title="Length of the leg from the previous waypoint, in metres">Leg (m)</th>
+        <th title="Distance from the first waypoint, in metres">Total (m)</th>
+        <th title="Initial bearing of the leg from the previous waypoint, clockwise from true north">Bearing</th>
+      </tr>
+    </thead>
+  `;
+  const body = window.L.DomUtil.create('tbody', '', table);
+
+  const footer = window.L.DomUtil.create('div', 'segment-table-footer', container);
+  const copyButton = window.L.DomUtil.create('button', '', footer);
+  copyButton.type = 'button';
+  copyButton.textContent = 'Copy CSV';
+  const status = window.L.DomUtil.create('small', 'segment-table-status', footer);
+
+  let currentSegments = [];
+
+  copyButton.addEventListener('click', async () => {
+    try {
+      await copyText(segmentsToCSV(currentSegments));
+      status.textContent = `Copied ${currentSegments.length} rows.`;
+    } catch (error) {
+      console.error('[renderer] Unable to copy segment table:', error);
+      status.textContent = error.message || String(error);
+    }
+  });
+
+  body.addEventListener('mouseleave', () => onHighlight(null));
+
+  const render = (segments) => {
+    currentSegments = segments;
+    body.innerHTML = '';
+    status.textContent = '';
+    copyButton.disabled = segments.length === 0;
+
+    if (!segments.length) {
+      const row = window.L.DomUtil.create('tr', 'segment-table-empty', body);
+      const cell = window.L.DomUtil.create('td', '', row);
+      cell.colSpan = 5;
+      cell.textContent = 'No waypoints yet.';
+      return;
+    }
+
+    segments.forEach((segment) => {
+      const row = window.L.DomUtil.create('tr', '', body);
+      [
+        segment.waypoint,
+        formatLatLng(segment),
+        formatMeters(segment.distance),
+        formatMeters(segment.cumulative),
+        formatBearing(segment.bearing)
+      ].forEach((value) => {
+        const cell = window.L.DomUtil.create('td', '', row);
+        cell.textContent = value;
+      });
+
+      row.addEventListener('mouseenter', () =>
+        onHighlight(segment.index > 0 ? segment.index - 1 : null)
+      );
+    });
+  };
+
+  return {
+    element: container,
+    render
+  };
+};
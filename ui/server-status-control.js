@@ -0,0 +1,101 @@
+const SERVER_STATUS_POLL_MS = 15000;
+
+const SERVER_STATE_LABELS = {
+  starting: 'Starting…',
+  running: 'Online',
+  unhealthy: 'Not responding',
+  restarting: 'Restarting…',
+  failed: 'Failed to start',
+  stopped: 'Stopped',
+  offline: 'Offline'
+};
+
+/**
+ * The tile server's `/health` URL for a layer URL template, or null when
+ * the template does not point at the bundled tile server.
+ */
+const resolveHealthUrl = (urlTemplate) => {
+  const source = resolveCoverageSource(urlTemplate);
+  return source ? `${source.baseUrl}/health` : null;
+};
+
+const describeServerStatus = (status) => {
+  const details = [];
+  if (status.health) {
+    const count = status.health.tilesets.length;
+    details.push(`${count} tileset${count === 1 ? '' : 's'}`);
+  }
+  if (status.restarts) {
+    details.push(`restarted ${status.restarts}×`);
+  }
+  if (status.state !== 'running' && status.lastError) {
+    details.push(status.lastError);
+  }
+  return details.join(' · ');
+};
+
+/**
+ * Bottom-left badge showing whether the tile server is up. With an embedded
+ * server, `subscribe(callback)` and `getStatus()` deliver the supervisor's
+ * status from the main process; otherwise `healthUrl` is polled.
+ * `onRecover()` runs when the server answers again after an outage, so
+ * tiles that failed meanwhile can be reloaded.
+ */
+const createServerStatusControl = (map, { healthUrl, subscribe, getStatus, onRecover }) => {
+  const control = window.L.control({ position: 'bottomleft' });
+  let badge = null;
+  let lastState = null;
+  let pollTimer = null;
+  let unsubscribe = null;
+
+  const render = (status) => {
+    if (lastState && lastState !== 'running' && status.state === 'running' && onRecover) {
+      onRecover();
+    }
+    lastState = status.state;
+    if (!badge) return;
+
+    Object.keys(SERVER_STATE_LABELS).forEach((state) => {
+      badge.classList.toggle(`server-status-${state}`, state === status.state);
+    });
+    badge.textContent = `Tile server: ${SERVER_STATE_LABELS[status.state] || status.state}`;
+    badge.title = describeServerStatus(status);
+  };
+
+  const poll = async () => {
+    try {
+      const response = await fetch(healthUrl, { cache: 'no-store' });
+      const health = await response.json();
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      render({ state: 'running', health: { tilesets: health.tilesets || [] } });
+    } catch (error) {
+      render({ state: 'offline', lastError: error.message });
+    }
+  };
+
+  control.onAdd = () => {
+    badge = window.L.DomUtil.create('div', 'server-status');
+    badge.textContent = 'Tile server: …';
+    window.L.DomEvent.disableClickPropagation(badge);
+
+    if (subscribe) {
+      unsubscribe = subscribe((status) => {
+        if (status) render(status);
+      });
+      Promise.resolve(getStatus && getStatus()).then((status) => {
+        if (status) render(status);
+      });
+    } else {
+      poll();
+      pollTimer = window.setInterval(poll, SERVER_STATUS_POLL_MS);
+    }
+    return badge;
+  };
+
+  control.onRemove = () => {
+    window.clearInterval(pollTimer);
+    if (unsubscribe) unsubscribe();
+  };
+
+  return { control };
+};
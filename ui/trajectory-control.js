@@ -0,0 +1,240 @@
+const DISTANCE_METHOD_STORAGE_KEY = 'map.distanceMethod';
+
+const loadDistanceMethod = () => {
+  try {
+    const stored = window.localStorage.getItem(DISTANCE_METHOD_STORAGE_KEY);
+    return DISTANCE_METHODS[stored] ? stored : DEFAULT_DISTANCE_METHOD;
+  } catch (error) {
+    console.warn('[renderer] Unable to read distance method:', error);
+    return DEFAULT_DISTANCE_METHOD;
+  }
+};
+
+const saveDistanceMethod = (method) => {
+  try {
+    window.localStorage.setItem(DISTANCE_METHOD_STORAGE_KEY, method);
+  } catch (error) {
+    console.warn('[renderer] Unable to save distance method:', error);
+  }
+};
+
+/**
+ * The trajectory panel: a route/polygon mode toggle, a list of routes and
+ * polygons (active one highlighted, each with colour, name, visibility,
+ * length or area and point count), the active one's totals with
+ * undo/redo/clear, its per-segment table, and the import/export panel.
+ * Distances and areas use the chosen spherical or ellipsoidal model.
+ */
+const createTrajectoryControl = ({ collection, routePanel }) => {
+  const control = window.L.control({ position: 'topright' });
+  let listElement = null;
+  let summaryElement = null;
+  let modeButtons = [];
+  let distanceMethod = loadDistanceMethod();
+
+  const segmentTable = createSegmentTable({
+    onHighlight: (index) => collection.getActive().layer.highlightSegment(index)
+  });
+
+  const describeRoute = (route) => {
+    const count = route.layer.getPoints().length;
+    const length = formatDistance(route.layer.totalDistance(distanceMethod));
+    const measure =
+      route.kind === 'polygon' ? `${formatArea(route.layer.area(distanceMethod))} · ${length}` : length;
+    return `${measure} · ${count} pt${count === 1 ? '' : 's'}`;
+  };
+
+  const renderSegments = () => {
+    const { layer } = collection.getActive();
+    segmentTable.render(
+      computeSegments(layer.getPoints(), distanceMethod, { closed: layer.isClosed() })
+    );
+  };
+
+  const renderSummary = () => {
+    if (!summaryElement) return;
+
+    const active = collection.getActive();
+    const pointCount = active.layer.getPoints().length;
+    const perimeter = formatDistance(active.layer.totalDistance(distanceMethod));
+    const isPolygon = active.kind === 'polygon';
+    const noun = isPolygon ? 'polygon' : 'route';
+
+    modeButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.kind === active.kind);
+    });
+
+    let measurement = `<div class="distance">${perimeter}</div>`;
+    if (isPolygon) {
+      const area = active.layer.area(distanceMethod);
+      measurement = `
+        <div class="distance">${formatArea(area)}</div>
+        <div class="area-units">${area.toFixed(0)} m² · ${(area / 1e4).toFixed(4)} ha · ${(area / 1e6).toFixed(6)} km²</div>
+        <div>Perimeter ${perimeter}</div>
+      `;
+    }
+
+    summaryElement.innerHTML = `
+      ${measurement}
+      <div>${pointCount} point${pointCount === 1 ? '' : 's'} on the active ${noun}</div>
+      <small>Right-click on the map to add a waypoint to the active ${noun}. Drag a waypoint to move it, click ${isPolygon ? 'an edge' : 'a line'} to insert one, right-click a waypoint to delete it.</small>
+      <div class="trajectory-history">
+        <button type="button" data-undo-trajectory title="Undo (Ctrl+Z)">Undo</button>
+        <button type="button" data-redo-trajectory title="Redo (Ctrl+Y)">Redo</button>
+      </div>
+      <button type="button" data-clear-trajectory>Clear</button>
+    `;
+
+    const bindButton = (selector, enabled, handler) => {
+      const button = summaryElement.querySelector(selector);
+      if (!button) return;
+      button.disabled = !enabled;
+      button.style.opacity = enabled ? '1' : '0.7';
+      button.addEventListener('click', handler, { once: true });
+    };
+
+    bindButton('[data-clear-trajectory]', pointCount > 0, () => active.layer.clear());
+    bindButton('[data-undo-trajectory]', active.layer.canUndo(), () => active.layer.undo());
+    bindButton('[data-redo-trajectory]', active.layer.canRedo(), () => active.layer.redo());
+  };
+
+  const renderList = () => {
+    if (!listElement) return;
+
+    const activeId = collection.getActive().id;
+    listElement.innerHTML = '';
+
+    collection.list().forEach((route) => {
+      const item = window.L.DomUtil.create('li', 'trajectory-item', listElement);
+      item.dataset.routeId = route.id;
+      item.classList.toggle('active', route.id === activeId);
+      item.classList.toggle('hidden-route', !route.layer.isVisible());
+      item.title = 'Click to make this the active route';
+
+      const colorInput = window.L.DomUtil.create('input', 'trajectory-color', item);
+      colorInput.type = 'color';
+      colorInput.value = route.color;
+      colorInput.title = 'Route colour';
+      colorInput.addEventListener('change', () => collection.recolor(route.id, colorInput.value));
+
+      const details = window.L.DomUtil.create('div', 'trajectory-details', item);
+      const nameInput = window.L.DomUtil.create('input', 'trajectory-name', details);
+      nameInput.type = 'text';
+      nameInput.value = route.name;
+      nameInput.title = 'Rename route';
+      nameInput.addEventListener('change', () => {
+        collection.rename(route.id, nameInput.value);
+        nameInput.value = route.name;
+      });
+      nameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') nameInput.blur();
+      });
+
+      const stats = window.L.DomUtil.create('small', 'trajectory-stats', details);
+      stats.textContent = describeRoute(route);
+
+      const visibility = window.L.DomUtil.create('input', 'trajectory-visibility', item);
+      visibility.type = 'checkbox';
+      visibility.checked = route.layer.isVisible();
+      visibility.title = 'Show on map';
+      visibility.addEventListener('change', () => collection.setVisible(route.id, visibility.checked));
+
+      const remove = window.L.DomUtil.create('button', 'trajectory-delete', item);
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = 'Delete route';
+      remove.addEventListener('click', () => collection.removeRoute(route.id));
+
+      item.addEventListener('click', (event) => {
+        if (event.target.closest('input, button')) return;
+        collection.setActive(route.id);
+      });
+    });
+  };
+
+  /**
+   * Cheap refresh after waypoint edits: only the route's stats line and, for
+   * the active route, the summary are redrawn, so inputs keep their focus.
+   */
+  const updatePoints = (route) => {
+    if (listElement) {
+      const stats = listElement.querySelector(
+        `[data-route-id="${route.id}"] .trajectory-stats`
+      );
+      if (stats) {
+        stats.textContent = describeRoute(route);
+      }
+    }
+
+    if (route === collection.getActive()) {
+      renderSummary();
+      renderSegments();
+    }
+  };
+
+  control.onAdd = () => {
+    const container = window.L.DomUtil.create('div', 'trajectory-control');
+
+    const header = window.L.DomUtil.create('div', 'trajectory-header', container);
+    const title = window.L.DomUtil.create('strong', '', header);
+    title.textContent = 'Measurements';
+    const addButton = window.L.DomUtil.create('button', 'trajectory-add', header);
+    addButton.type = 'button';
+    addButton.textContent = '+ New';
+    addButton.title = 'Start a new route or polygon, depending on the mode';
+    addButton.addEventListener('click', () =>
+      collection.addRoute({ kind: collection.getActive().kind })
+    );
+
+    const modeToggle = window.L.DomUtil.create('div', 'trajectory-mode', container);
+    modeToggle.title = 'What right-clicking the map adds to';
+    modeButtons = Object.entries(ROUTE_KINDS).map(([kind, { label }]) => {
+      const button = window.L.DomUtil.create('button', '', modeToggle);
+      button.type = 'button';
+      button.dataset.kind = kind;
+      button.textContent = label;
+      button.addEventListener('click', () => collection.activateKind(kind));
+      return button;
+    });
+
+    listElement = window.L.DomUtil.create('ul', 'trajectory-list', container);
+    summaryElement = window.L.DomUtil.create('div', '', container);
+
+    const methodSelect = window.L.DomUtil.create('select', 'distance-method', container);
+    methodSelect.title = 'Distance model';
+    Object.entries(DISTANCE_METHODS).forEach(([value, method]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = method.label;
+      methodSelect.appendChild(option);
+    });
+    methodSelect.value = distanceMethod;
+    methodSelect.addEventListener('change', () => {
+      distanceMethod = methodSelect.value;
+      saveDistanceMethod(distanceMethod);
+      renderList();
+      renderSummary();
+      renderSegments();
+    });
+
+    container.appendChild(segmentTable.element);
+    container.appendChild(routePanel.element);
+
+    window.L.DomEvent.disableClickPropagation(container);
+    window.L.DomEvent.disableScrollPropagation(container);
+    renderList();
+    renderSummary();
+    renderSegments();
+    return container;
+  };
+
+  return {
+    control,
+    refresh: () => {
+      renderList();
+      renderSummary();
+      renderSegments();
+    },
+    updatePoints
+  };
+};
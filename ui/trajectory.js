@@ -0,0 +1,318 @@
+const TRAJECTORY_HISTORY_LIMIT = 200;
+// How far from a polygon's outline, in pixels, a click still inserts a vertex.
+const POLYGON_EDGE_TOLERANCE = 8;
+
+/**
+ * Undo/redo stacks of point snapshots. Every edit records the state it
+ * replaced, so undo simply restores the previous snapshot.
+ */
+const createEditHistory = (limit = TRAJECTORY_HISTORY_LIMIT) => {
+  const undoStack = [];
+  const redoStack = [];
+
+  return {
+    record: (snapshot) => {
+      undoStack.push(snapshot);
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      redoStack.length = 0;
+    },
+    undo: (current) => {
+      if (!undoStack.length) return null;
+      redoStack.push(current);
+      return undoStack.pop();
+    },
+    redo: (current) => {
+      if (!redoStack.length) return null;
+      undoStack.push(current);
+      return redoStack.pop();
+    },
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0
+  };
+};
+
+const formatArea = (squareMeters) => {
+  if (!Number.isFinite(squareMeters) || squareMeters <= 0) {
+    return '0 m²';
+  }
+
+  if (squareMeters >= 1e6) {
+    const km2 = squareMeters / 1e6;
+    return `${km2 >= 10 ? km2.toFixed(1) : km2.toFixed(2)} km²`;
+  }
+
+  if (squareMeters >= 1e4) {
+    return `${(squareMeters / 1e4).toFixed(2)} ha`;
+  }
+
+  return `${squareMeters.toFixed(0)} m²`;
+};
+
+const formatDistance = (meters) => {
+  if (!Number.isFinite(meters) || meters <= 0) {
+    return '0 m';
+  }
+
+  if (meters >= 1000) {
+    const km = meters / 1000;
+    return `${km >= 10 ? km.toFixed(1) : km.toFixed(2)} km`;
+  }
+
+  return `${meters >= 100 ? meters.toFixed(0) : meters.toFixed(1)} m`;
+};
+
+const createWaypointIcon = (color) =>
+  window.L.divIcon({
+    className: 'waypoint-marker',
+    html: `<span style="background-color: ${color}; border-color: ${color};"></span>`,
+    iconSize: [14, 14],
+    iconAnchor: [7, 7]
+  });
+
+/**
+ * The segment closest to `latLng` as `{ index, distance }`, measured in
+ * screen pixels so the hit matches what the user clicked. With `closed`, the
+ * last segment runs from the final point back to the first.
+ */
+const findNearestSegment = (map, points, latLng, closed = false) => {
+  const target = map.latLngToLayerPoint(latLng);
+  const last = closed ? points.length : points.length - 1;
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+
+  for (let index = 1; index <= last; index += 1) {
+    const distance = window.L.LineUtil.pointToSegmentDistance(
+      target,
+      map.latLngToLayerPoint(points[index - 1]),
+      map.latLngToLayerPoint(points[index % points.length])
+    );
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = index - 1;
+    }
+  }
+
+  return { index: bestIndex, distance: bestDistance };
+};
+
+/**
+ * An editable trajectory on `map`: draggable waypoints, click-to-insert on
+ * segments, delete from the waypoint context menu, and undo/redo for all of
+ * them. `onChange` runs after every edit, including while dragging. With
+ * `closed` the waypoints outline a filled polygon instead of a line.
+ */
+const createTrajectoryLayer = (
+  map,
+  { color = '#0ea5e9', lineColor = color, closed = false, onChange = () => {} } = {}
+) => {
+  let markerColor = color;
+  let visible = true;
+  const points = [];
+  const history = createEditHistory();
+  const markerLayer = window.L.layerGroup().addTo(map);
+  const lineOptions = {
+    color: lineColor,
+    weight: 4,
+    opacity: 0.85,
+    lineJoin: 'round'
+  };
+  const line = (
+    closed
+      ? window.L.polygon([], { ...lineOptions, fillColor: lineColor, fillOpacity: 0.15 })
+      : window.L.polyline([], lineOptions)
+  ).addTo(map);
+  const highlight = window.L.polyline([], {
+    color: '#facc15',
+    weight: 9,
+    opacity: 0.75,
+    lineCap: 'round',
+    interactive: false
+  }).addTo(map);
+
+  const snapshot = () => points.map((point) => window.L.latLng(point.lat, point.lng));
+
+  const renderMarkers = () => {
+    markerLayer.clearLayers();
+    points.forEach((point, index) => createMarker(point, index));
+  };
+
+  const render = () => {
+    line.setLatLngs(points);
+    highlight.setLatLngs([]);
+    renderMarkers();
+    onChange();
+  };
+
+  const edit = (mutate) => {
+    history.record(snapshot());
+    mutate();
+    render();
+  };
+
+  const restore = (next) => {
+    if (!next) return false;
+    points.splice(0, points.length, ...next);
+    render();
+    return true;
+  };
+
+  const addPoint = (latLng) => {
+    edit(() => points.push(window.L.latLng(latLng.lat, latLng.lng)));
+  };
+
+  const insertPoint = (index, latLng) => {
+    edit(() => points.splice(index, 0, window.L.latLng(latLng.lat, latLng.lng)));
+  };
+
+  const removePoint = (index) => {
+    if (index < 0 || index >= points.length) return;
+    edit(() => points.splice(index, 1));
+  };
+
+  const setPoints = (latLngs) => {
+    edit(() => {
+      points.splice(
+        0,
+        points.length,
+        ...latLngs.map((latLng) => window.L.latLng(latLng.lat, latLng.lng))
+      );
+    });
+  };
+
+  const clear = () => {
+    if (!points.length) return;
+    edit(() => {
+      points.length = 0;
+    });
+  };
+
+  const openWaypointMenu = (index) => {
+    const content = window.L.DomUtil.create('div', 'waypoint-menu');
+    const label = window.L.DomUtil.create('div', '', content);
+    label.textContent = `Waypoint #${index + 1}`;
+    const button = window.L.DomUtil.create('button', '', content);
+    button.type = 'button';
+    button.textContent = 'Delete waypoint';
+
+    const popup = window.L.popup({ closeButton: false, offset: [0, -4] })
+      .setLatLng(points[index])
+      .setContent(content)
+      .openOn(map);
+
+    button.addEventListener('click', () => {
+      map.closePopup(popup);
+      removePoint(index);
+    });
+  };
+
+  function createMarker(point, index) {
+    let dragSnapshot = null;
+
+    const marker = window.L.marker(point, {
+      icon: createWaypointIcon(markerColor),
+      draggable: true,
+      autoPan: true,
+      keyboard: false
+    })
+      .bindTooltip(`#${index + 1}<br>${formatLatLng(point)}`, {
+        permanent: false
+      })
+      .addTo(markerLayer);
+
+    marker.on('dragstart', () => {
+      dragSnapshot = snapshot();
+    });
+
+    marker.on('drag', () => {
+      points[index] = marker.getLatLng();
+      line.setLatLngs(points);
+      onChange();
+    });
+
+    marker.on('dragend', () => {
+      history.record(dragSnapshot);
+      dragSnapshot = null;
+      render();
+    });
+
+    marker.on('contextmenu', (event) => {
+      window.L.DomEvent.stop(event);
+      openWaypointMenu(index);
+    });
+
+    return marker;
+  }
+
+  // Clicks on a polygon's fill, away from its outline, fall through to the map.
+  line.on('click', (event) => {
+    if (points.length < 2) {
+      window.L.DomEvent.stop(event);
+      return;
+    }
+    const segment = findNearestSegment(map, points, event.latlng, closed);
+    if (closed && segment.distance > POLYGON_EDGE_TOLERANCE) return;
+    window.L.DomEvent.stop(event);
+    insertPoint(segment.index + 1, event.latlng);
+  });
+
+  const setColor = (nextColor) => {
+    markerColor = nextColor;
+    line.setStyle(closed ? { color: nextColor, fillColor: nextColor } : { color: nextColor });
+    render();
+  };
+
+  /**
+   * Emphasise the leg from waypoint `index` to `index + 1`; pass null to
+   * clear it.
+   */
+  const highlightSegment = (index) => {
+    const segmentCount = closed && points.length > 2 ? points.length : points.length - 1;
+    const valid = Number.isInteger(index) && index >= 0 && index < segmentCount;
+    highlight.setLatLngs(valid ? [points[index], points[(index + 1) % points.length]] : []);
+  };
+
+  const setVisible = (nextVisible) => {
+    visible = Boolean(nextVisible);
+    [line, markerLayer, highlight].forEach((layer) => {
+      if (visible) {
+        layer.addTo(map);
+      } else {
+        layer.remove();
+      }
+    });
+  };
+
+  const destroy = () => {
+    highlight.remove();
+    line.remove();
+    markerLayer.remove();
+  };
+
+  const totalDistance = (method) => measurePath(points, method, { closed });
+
+  const area = (method) => (closed ? polygonArea(points, method) : 0);
+
+  return {
+    getPoints: () => points.slice(),
+    addPoint,
+    insertPoint,
+    removePoint,
+    setPoints,
+    clear,
+    totalDistance,
+    area,
+    isClosed: () => closed,
+    refreshLabels: renderMarkers,
+    highlightSegment,
+    setColor,
+    setVisible,
+    isVisible: () => visible,
+    destroy,
+    undo: () => restore(history.undo(snapshot())),
+    redo: () => restore(history.redo(snapshot())),
+    canUndo: history.canUndo,
+    canRedo: history.canRedo
+  };
+};